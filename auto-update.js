@@ -1,69 +1,49 @@
 #!/usr/bin/env node
 /**
- * 7x24 Auto-Update Script
- * Runs continuously to update website content
+ * Auto-Update Script
+ * Builds the site and publishes the changes through lib/publisher.js
+ * (--publish=commit|branch|pr|none). Runs once per call; daemon.js calls
+ * update() on a schedule.
+ *
+ * update({ only }) limits the build to the named graph nodes (and their
+ * dependencies) and resolves to the build result.
  */
 
-const { execSync } = require('child_process');
-const fs = require('fs');
-const path = require('path');
-
-const SCRIPTS = [
-    'generate.js',
-    'generate-pages.js', 
-    'generate-crypto.js',
-    'generate-earnings.js',
-    'generate-ipo.js',
-    'generate-rss.js',
-    'generate-screener.js',
-    'generate-stock-pages.js',
-    'generate-etfs.js',
-    'generate-sectors.js',
-    'generate-dividends.js',
-    'generate-economic.js',
-    'generate-futures.js'
-];
+const cache = require('./lib/cache');
+const fixtures = require('./lib/fixtures');
+const { runGraph, builtOutputs } = require('./lib/build-graph');
+const { publish } = require('./lib/publisher');
 
 function log(msg) {
     const timestamp = new Date().toISOString();
     console.log(`[${timestamp}] ${msg}`);
 }
 
-async function update() {
+async function update({ only = null } = {}) {
     log('🚀 Starting auto-update cycle...\n');
+    // New archive pages go into the source tree too, for the publisher to commit
+    if (fixtures.mode !== 'replay') process.env.BUILD_PERSIST = '1';
+    const cacheBefore = cache.stats();
     
-    // Run all generators
-    for (const script of SCRIPTS) {
-        try {
-            log(`Running ${script}...`);
-            execSync(`node ${script}`, { stdio: 'inherit' });
-        } catch (e) {
-            log(`❌ ${script} failed: ${e.message}`);
-        }
-    }
+    // Run the generators; a failed node skips only what depends on it
+    const build = await runGraph({ only, log });
+    if (!build.ok) log('⚠️ Some generators failed or were skipped, see the build summary');
     
-    // Check for changes
-    try {
-        const status = execSync('git status --porcelain', { encoding: 'utf8' });
-        
-        if (status.trim()) {
-            log('📝 Changes detected, committing...');
-            execSync('git add -A');
-            const date = new Date().toISOString().split('T')[0];
-            const time = new Date().toTimeString().split(' ')[0];
-            execSync(`git commit -m "Auto-update: ${date} ${time}"`);
-            
-            log('📤 Pushing to GitHub...');
-            execSync('git push origin main');
-            log('✅ Pushed successfully');
-        } else {
-            log('ℹ️ No changes to commit');
-        }
-    } catch (e) {
-        log(`❌ Git operations failed: ${e.message}`);
+    log(`📦 HTTP cache this cycle: ${cache.formatStats(cache.statsSince(cacheBefore))}`);
+    
+    if (fixtures.mode === 'replay') {
+        log(`ℹ️ Replayed fixtures from ${fixtures.dir}, skipping git`);
+        log('\n✅ Update cycle complete\n');
+        return build;
     }
     
+    // Commit and push only what the successful generators wrote
+    const date = new Date().toISOString().split('T')[0];
+    const time = new Date().toTimeString().split(' ')[0];
+    await publish({ paths: builtOutputs(build.results), message: `Auto-update: ${date} ${time}`, log });
+    
     log('\n✅ Update cycle complete\n');
+    return build;
 }
 
 // Run immediately if called directly
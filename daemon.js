@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+/**
+ * Update daemon
+ * Runs auto-update.js for each job in SCHEDULE when it falls due, in New York
+ * time and aware of NYSE holidays and early closes (lib/schedule.js,
+ * lib/market-calendar.js). Jobs run one at a time; a job that comes due while
+ * it is already queued or running is not queued twice.
+ *
+ *   node daemon.js            start (refuses if another daemon holds the lock);
+ *                             --publish=commit|branch|pr|none as in auto-update.js
+ *   node daemon.js --status   print the status file
+ *   node daemon.js --next     print the next run of every job
+ *
+ * A PID lock and status.json live in DAEMON_DIR (default .cache/daemon).
+ * SIGINT/SIGTERM stop the timer, let the running job finish, then release the
+ * lock; a second signal exits at once.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const calendar = require('./lib/market-calendar');
+const schedule = require('./lib/schedule');
+const publisher = require('./lib/publisher');
+
+const DAEMON_DIR = path.resolve(process.env.DAEMON_DIR || path.join(__dirname, '.cache', 'daemon'));
+const LOCK_PATH = path.join(DAEMON_DIR, 'daemon.pid');
+const STATUS_PATH = path.join(DAEMON_DIR, 'status.json');
+
+// Minutes of missed schedule (sleep, a long job) to catch up on
+const CATCH_UP_MINUTES = 30;
+
+const SCHEDULE = [
+    // Pre-market brief and the pages built from the same movers, plus a price snapshot
+    { name: 'premarket', nodes: ['prices', 'brief', 'rss', 'news', 'pages', 'screener', 'market-hours'], cron: ['0 4,6 * * *', '30 8 * * *'], days: 'trading' },
+    // Closing prices, a quarter hour after the bell (13:15 on early closes)
+    { name: 'close', nodes: ['brief', 'pages', 'screener', 'stock-pages', 'etfs', 'sectors', 'market-hours'], cron: '@close+15', days: 'trading' },
+    { name: 'crypto', nodes: ['crypto'], cron: '0 * * * *' },
+    // Headlines through the trading day and evening
+    { name: 'news', nodes: ['news'], cron: '15 7-20 * * *', days: 'trading' },
+    { name: 'futures', nodes: ['futures'], cron: '5 * * * 0-5' },
+    { name: 'calendars', nodes: ['earnings', 'ipo', 'dividends', 'economic', 'market-hours'], cron: '0 5 * * *' },
+    { name: 'reference', nodes: ['more-stock-pages', 'indicators'], cron: '30 3 * * 0' }
+];
+
+function log(msg) {
+    console.log(`[${new Date().toISOString()}] ${msg}`);
+}
+
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        return e.code === 'EPERM';
+    }
+}
+
+// Take the PID lock, clearing it first if its owner is gone; returns false when held
+function acquireLock() {
+    fs.mkdirSync(DAEMON_DIR, { recursive: true });
+    try {
+        fs.writeFileSync(LOCK_PATH, String(process.pid), { flag: 'wx' });
+        return true;
+    } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+    }
+
+    const owner = Number(fs.readFileSync(LOCK_PATH, 'utf8'));
+    if (owner && owner !== process.pid && isRunning(owner)) return false;
+
+    log(`🧹 Removing stale lock of PID ${owner || '?'}`);
+    fs.unlinkSync(LOCK_PATH);
+    return acquireLock();
+}
+
+function releaseLock() {
+    try {
+        if (Number(fs.readFileSync(LOCK_PATH, 'utf8')) === process.pid) fs.unlinkSync(LOCK_PATH);
+    } catch {
+        // already gone
+    }
+}
+
+function readStatus() {
+    try {
+        return JSON.parse(fs.readFileSync(STATUS_PATH, 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+function nextRuns(jobs, from = new Date()) {
+    return Object.fromEntries(jobs.map(job => [job.name, schedule.nextRun(job, from)?.toISOString() || null]));
+}
+
+function createDaemon(jobs = schedule.compile(SCHEDULE)) {
+    const { update } = require('./auto-update');
+
+    const status = {
+        pid: process.pid,
+        startedAt: new Date().toISOString(),
+        state: 'idle',
+        current: null,
+        queue: [],
+        market: calendar.describeDay(new Date()),
+        lastRuns: readStatus()?.lastRuns || {},
+        nextRuns: {}
+    };
+
+    const queue = [];
+    let current = null;
+    let timer = null;
+    let lastTick = Date.now();
+    let stopping = false;
+
+    // Write to a temp file first so readers never see half a status
+    function saveStatus() {
+        status.queue = queue.map(job => job.name);
+        status.current = current && { job: current.name, startedAt: current.startedAt };
+        status.updatedAt = new Date().toISOString();
+        const tmp = `${STATUS_PATH}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(status, null, 2));
+        fs.renameSync(tmp, STATUS_PATH);
+    }
+
+    function refreshSchedule() {
+        status.market = calendar.describeDay(new Date());
+        status.nextRuns = nextRuns(jobs);
+        saveStatus();
+    }
+
+    function enqueue(job, dueAt) {
+        if (queue.includes(job) || current?.name === job.name) {
+            log(`⏭️ ${job.name} due at ${dueAt.toISOString()} is already queued`);
+            return;
+        }
+        queue.push(job);
+    }
+
+    async function work() {
+        while (queue.length && !stopping) {
+            const job = queue.shift();
+            current = { name: job.name, startedAt: new Date().toISOString() };
+            status.state = 'running';
+            saveStatus();
+
+            log(`▶️ Job ${job.name}: ${job.nodes.join(', ')}`);
+            const startedAt = Date.now();
+            let ok = false;
+            let error = null;
+            let quarantined = [];
+            try {
+                const build = await update({ only: job.nodes });
+                ok = build.ok;
+                quarantined = Object.keys(build.validation?.quarantined || {});
+            } catch (e) {
+                error = e.message;
+                log(`❌ Job ${job.name} crashed: ${e.message}`);
+            }
+
+            status.lastRuns[job.name] = {
+                startedAt: current.startedAt,
+                finishedAt: new Date().toISOString(),
+                seconds: Math.round((Date.now() - startedAt) / 1000),
+                ok,
+                error,
+                quarantined
+            };
+            current = null;
+            status.state = stopping ? 'stopping' : 'idle';
+            refreshSchedule();
+        }
+    }
+
+    // Queue every job due in the minutes since the last tick, then re-arm the timer
+    function tick() {
+        const nowMs = Date.now();
+        const from = Math.max(Math.floor(lastTick / 60000) + 1, Math.floor(nowMs / 60000) - CATCH_UP_MINUTES + 1);
+        for (let minute = from; minute <= Math.floor(nowMs / 60000); minute++) {
+            const instant = new Date(minute * 60000);
+            const et = calendar.toET(instant);
+            jobs.filter(job => schedule.isDue(job, et)).forEach(job => enqueue(job, instant));
+        }
+        lastTick = nowMs;
+
+        if (!current && queue.length) work().catch(e => log(`❌ ${e.stack || e.message}`));
+        else saveStatus();
+
+        timer = setTimeout(tick, 60000 - (Date.now() % 60000) + 500);
+    }
+
+    function start() {
+        fs.mkdirSync(DAEMON_DIR, { recursive: true });
+        const today = status.market;
+        log(`🤖 Update daemon started (PID ${process.pid})`);
+        log(`📅 ${today.date}: ${today.tradingDay ? `trading ${today.hours.open}-${today.hours.close} ET` : `market closed${today.holiday ? ` (${today.holiday})` : ''}`}`);
+        refreshSchedule();
+        for (const [name, at] of Object.entries(status.nextRuns)) log(`   ${name.padEnd(10)} next ${at || 'not within 8 days'}`);
+        timer = setTimeout(tick, 60000 - (Date.now() % 60000) + 500);
+    }
+
+    // Resolves once the running job (if any) has finished
+    async function stop() {
+        stopping = true;
+        clearTimeout(timer);
+        queue.length = 0;
+        status.state = 'stopping';
+        saveStatus();
+        if (current) log(`⏳ Waiting for job ${current.name} to finish...`);
+        while (current) await new Promise(resolve => setTimeout(resolve, 1000));
+        status.state = 'stopped';
+        saveStatus();
+    }
+
+    return { start, stop, status };
+}
+
+function main() {
+    if (process.argv.includes('--status')) {
+        const status = readStatus();
+        if (!status) {
+            console.log('ℹ️ No status file, the daemon has not run yet');
+            return;
+        }
+        const alive = status.state !== 'stopped' && isRunning(status.pid);
+        console.log(JSON.stringify({ ...status, alive }, null, 2));
+        return;
+    }
+
+    const jobs = schedule.compile(SCHEDULE);
+    // Fail now rather than at the first job
+    publisher.selectedMode();
+
+    if (process.argv.includes('--next')) {
+        for (const [name, at] of Object.entries(nextRuns(jobs))) {
+            const job = jobs.find(j => j.name === name);
+            const when = at ? new Date(at).toLocaleString('en-US', { timeZone: calendar.TIME_ZONE }) + ' ET' : 'not within 8 days';
+            console.log(`${name.padEnd(10)} ${when.padEnd(26)} ${job.nodes.join(', ')}`);
+        }
+        return;
+    }
+
+    if (!acquireLock()) {
+        console.error(`❌ Another daemon is running (PID ${fs.readFileSync(LOCK_PATH, 'utf8')}), see ${LOCK_PATH}`);
+        process.exitCode = 1;
+        return;
+    }
+    process.on('exit', releaseLock);
+
+    const daemon = createDaemon(jobs);
+    let signalled = false;
+    const shutdown = (signal) => {
+        if (signalled) {
+            log(`🛑 ${signal} again, exiting now`);
+            process.exit(1);
+        }
+        signalled = true;
+        log(`🛑 ${signal} received, shutting down...`);
+        daemon.stop().then(() => {
+            log('👋 Daemon stopped');
+            process.exit(0);
+        });
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+    daemon.start();
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { SCHEDULE, createDaemon };
@@ -4,47 +4,34 @@
  * Generates all pages: main, SEO pages, crypto, RSS, sitemap, archive
  */
 
-const { execSync } = require('child_process');
-const fs = require('fs');
-const path = require('path');
+const fixtures = require('./lib/fixtures');
+const { runGraph, builtOutputs } = require('./lib/build-graph');
+const { publish } = require('./lib/publisher');
 
 console.log('🚀 Pre-Market Brief Master Generator\n');
 
-const scripts = [
-    { name: 'Main Brief', file: 'generate.js' },
-    { name: 'SEO Pages', file: 'generate-pages.js' },
-    { name: 'RSS & Sitemap', file: 'generate-rss.js' },
-    { name: 'Crypto', file: 'generate-crypto.js' }
-];
+// Main brief, SEO pages, crypto, and RSS & sitemap (which needs the brief)
+const PAGES = ['brief', 'pages', 'crypto', 'rss'];
 
-for (const script of scripts) {
-    console.log(`\n📄 Running ${script.name}...`);
-    try {
-        execSync(`node ${script.file}`, { stdio: 'inherit' });
-    } catch (e) {
-        console.error(`❌ ${script.name} failed:`, e.message);
-    }
-}
-
-console.log('\n✅ All pages generated!\n');
-
-// Auto-commit if in git repo
-try {
-    const gitStatus = execSync('git status --porcelain', { encoding: 'utf8' });
-    if (gitStatus.trim()) {
-        console.log('📝 Committing changes...');
-        execSync('git add -A');
-        const date = new Date().toISOString().split('T')[0];
-        execSync(`git commit -m "Daily update: ${date}"`);
-        console.log('✅ Committed to git');
+async function main() {
+    const build = await runGraph({ only: PAGES });
+    console.log(build.ok ? '\n✅ All pages generated!\n' : '\n⚠️ Some pages failed, see the build summary\n');
+    
+    // Commit the generated pages if in git repo (never for pages rendered from fixtures)
+    if (fixtures.mode === 'replay') {
+        console.log('ℹ️ Git commit skipped (fixture replay)');
     } else {
-        console.log('ℹ️ No changes to commit');
+        const date = new Date().toISOString().split('T')[0];
+        await publish({ paths: builtOutputs(build.results), message: `Daily update: ${date}`, push: false });
     }
-} catch (e) {
-    console.log('ℹ️ Git commit skipped');
+
+    console.log('\n🎉 Done! Next steps:');
+    console.log('1. Push to GitHub when ready');
+    console.log('2. Enable GitHub Pages');
+    console.log('3. Apply for AdSense');
 }
 
-console.log('\n🎉 Done! Next steps:');
-console.log('1. Push to GitHub when ready');
-console.log('2. Enable GitHub Pages');
-console.log('3. Apply for AdSense');
+main().catch(e => {
+    console.error(e);
+    process.exitCode = 1;
+});
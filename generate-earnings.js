@@ -4,56 +4,12 @@
  * High-value SEO keywords: earnings calendar, stock earnings this week
  */
 
-const fs = require('fs');
-const path = require('path');
-
-// Major companies with predictable earnings dates
-const EARNINGS_STOCKS = [
-    // Tech Giants
-    { symbol: 'AAPL', name: 'Apple Inc', sector: 'Technology' },
-    { symbol: 'MSFT', name: 'Microsoft Corp', sector: 'Technology' },
-    { symbol: 'GOOGL', name: 'Alphabet Inc', sector: 'Technology' },
-    { symbol: 'AMZN', name: 'Amazon.com Inc', sector: 'Technology' },
-    { symbol: 'META', name: 'Meta Platforms', sector: 'Technology' },
-    { symbol: 'NVDA', name: 'NVIDIA Corp', sector: 'Technology' },
-    { symbol: 'TSLA', name: 'Tesla Inc', sector: 'Technology' },
-    { symbol: 'NFLX', name: 'Netflix Inc', sector: 'Technology' },
-    
-    // Finance
-    { symbol: 'JPM', name: 'JPMorgan Chase', sector: 'Finance' },
-    { symbol: 'BAC', name: 'Bank of America', sector: 'Finance' },
-    { symbol: 'WFC', name: 'Wells Fargo', sector: 'Finance' },
-    { symbol: 'GS', name: 'Goldman Sachs', sector: 'Finance' },
-    { symbol: 'MS', name: 'Morgan Stanley', sector: 'Finance' },
-    { symbol: 'V', name: 'Visa Inc', sector: 'Finance' },
-    { symbol: 'MA', name: 'Mastercard Inc', sector: 'Finance' },
-    
-    // Healthcare
-    { symbol: 'JNJ', name: 'Johnson & Johnson', sector: 'Healthcare' },
-    { symbol: 'UNH', name: 'UnitedHealth Group', sector: 'Healthcare' },
-    { symbol: 'PFE', name: 'Pfizer Inc', sector: 'Healthcare' },
-    { symbol: 'ABBV', name: 'AbbVie Inc', sector: 'Healthcare' },
-    { symbol: 'MRK', name: 'Merck & Co', sector: 'Healthcare' },
-    { symbol: 'LLY', name: 'Eli Lilly', sector: 'Healthcare' },
-    
-    // Retail & Consumer
-    { symbol: 'WMT', name: 'Walmart Inc', sector: 'Retail' },
-    { symbol: 'HD', name: 'Home Depot', sector: 'Retail' },
-    { symbol: 'COST', name: 'Costco Wholesale', sector: 'Retail' },
-    { symbol: 'NKE', name: 'Nike Inc', sector: 'Consumer' },
-    { symbol: 'MCD', name: 'McDonald\'s Corp', sector: 'Consumer' },
-    { symbol: 'SBUX', name: 'Starbucks Corp', sector: 'Consumer' },
-    
-    // Energy
-    { symbol: 'XOM', name: 'Exxon Mobil', sector: 'Energy' },
-    { symbol: 'CVX', name: 'Chevron Corp', sector: 'Energy' },
-    
-    // Chinese Stocks
-    { symbol: 'BABA', name: 'Alibaba Group', sector: 'Technology' },
-    { symbol: 'JD', name: 'JD.com Inc', sector: 'Retail' },
-    { symbol: 'PDD', name: 'PDD Holdings', sector: 'Retail' },
-    { symbol: 'BIDU', name: 'Baidu Inc', sector: 'Technology' }
-];
+const registry = require('./lib/symbols');
+const { now, random } = require('./lib/clock');
+const { run } = require('./lib/generator');
+const { html } = require('./lib/html');
+const { layout } = require('./lib/layout');
+const { pageHeader, adSlot, tableCard } = require('./lib/partials');
 
 async function fetchEarningsData(symbol) {
     try {
@@ -78,11 +34,9 @@ async function fetchEarningsData(symbol) {
     }
 }
 
-function getMockEarningsDate(symbol) {
+function getMockEarningsDate(index) {
     // Generate realistic mock earnings dates for demo
-    const today = new Date();
-    const symbols = EARNINGS_STOCKS.map(s => s.symbol);
-    const index = symbols.indexOf(symbol);
+    const today = now();
     
     // Distribute earnings over next 30 days
     const daysOffset = (index * 2) % 30;
@@ -95,7 +49,10 @@ function getMockEarningsDate(symbol) {
 async function generateEarningsCalendar() {
     console.log('Generating earnings calendar...\n');
     
-    const today = new Date();
+    // Major companies with predictable earnings dates, tagged "earnings" in symbols.json
+    const EARNINGS_STOCKS = registry.select({ tag: 'earnings' }).map(({ symbol, name, sector }) => ({ symbol, name, sector }));
+    
+    const today = now();
     const nextWeek = new Date(today);
     nextWeek.setDate(today.getDate() + 7);
     
@@ -103,12 +60,12 @@ async function generateEarningsCalendar() {
     nextMonth.setDate(today.getDate() + 30);
     
     // Generate earnings data with mock dates
-    const earnings = EARNINGS_STOCKS.map(stock => ({
+    const earnings = EARNINGS_STOCKS.map((stock, i) => ({
         ...stock,
-        date: getMockEarningsDate(stock.symbol),
-        eps: (Math.random() * 5 + 0.5).toFixed(2),
-        epsGrowth: (Math.random() * 40 - 10).toFixed(1),
-        surprise: (Math.random() * 20 - 10).toFixed(1)
+        date: getMockEarningsDate(i),
+        eps: (random() * 5 + 0.5).toFixed(2),
+        epsGrowth: (random() * 40 - 10).toFixed(1),
+        surprise: (random() * 20 - 10).toFixed(1)
     }));
     
     // Sort by date
@@ -127,213 +84,31 @@ async function generateEarningsCalendar() {
         });
     };
     
-    const generateTable = (items) => items.map(e => `
+    const generateTable = (items) => items.map(e => html`
         <tr>
             <td class="date">${formatDate(e.date)}</td>
             <td class="symbol">${e.symbol}</td>
             <td class="company">${e.name}</td>
-            <td class="sector"><span class="tag ${e.sector.toLowerCase()}">${e.sector}</span></td>
+            <td class="sector"><span class="tag ${e.sector.toLowerCase().replace(/ /g, '-')}">${e.sector}</span></td>
             <td class="eps">$${e.eps}</td>
             <td class="growth ${parseFloat(e.epsGrowth) >= 0 ? 'positive' : 'negative'}">${e.epsGrowth}%</td>
             <td class="preview">
                 <a href="https://finance.yahoo.com/quote/${e.symbol}" target="_blank" class="preview-link">View →</a>
             </td>
         </tr>
-    `).join('');
-    
-    const html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Stock Earnings Calendar 2025 | This Week & Upcoming Reports</title>
-    <meta name="description" content="Stock earnings calendar for this week. Track upcoming earnings reports for AAPL, TSLA, NVDA, and major companies.">
-    <meta name="keywords" content="earnings calendar, stock earnings this week, earnings report schedule, quarterly earnings">
-    <link rel="canonical" href="https://premarketbrief.com/earnings-calendar">
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { 
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            background: #0a0e1a;
-            color: #e8eaed;
-            line-height: 1.6;
-        }
-        .container { max-width: 1100px; margin: 0 auto; padding: 20px; }
-        
-        header { text-align: center; padding: 40px 0 30px; }
-        h1 { 
-            font-size: 2.2em; 
-            background: linear-gradient(135deg, #00d4aa, #00a8e8);
-            -webkit-background-clip: text;
-            -webkit-text-fill-color: transparent;
-            margin-bottom: 10px;
-        }
-        .tagline { color: #8b92a8; font-size: 1.1em; }
-        
-        nav { 
-            background: #111827;
-            padding: 15px 20px;
-            border-bottom: 1px solid #1e3a5f;
-            margin: -20px -20px 30px;
-        }
-        nav a {
-            color: #00d4aa;
-            text-decoration: none;
-            margin-right: 20px;
-            font-size: 0.9em;
-        }
-        nav a:hover { text-decoration: underline; }
-        
-        .stats-bar {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
-            gap: 20px;
-            margin-bottom: 30px;
-        }
-        .stat-box {
-            background: linear-gradient(135deg, rgba(0, 212, 170, 0.1), rgba(0, 168, 232, 0.1));
-            border: 1px solid #1e3a5f;
-            border-radius: 12px;
-            padding: 20px;
-            text-align: center;
-        }
-        .stat-number { font-size: 2em; font-weight: bold; color: #00d4aa; }
-        .stat-label { color: #8b92a8; font-size: 0.9em; margin-top: 5px; }
-        
-        .card {
-            background: #111827;
-            border: 1px solid #1e3a5f;
-            border-radius: 12px;
-            overflow: hidden;
-            margin-bottom: 30px;
-        }
-        .card-header {
-            background: linear-gradient(135deg, rgba(0, 212, 170, 0.1), rgba(0, 168, 232, 0.1));
-            padding: 20px 25px;
-            border-bottom: 1px solid #1e3a5f;
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-        }
-        .card-header h2 { color: #00d4aa; font-size: 1.2em; }
-        .card-badge {
-            background: rgba(0, 212, 170, 0.2);
-            color: #00d4aa;
-            padding: 5px 15px;
-            border-radius: 20px;
-            font-size: 0.85em;
-        }
-        
-        table { width: 100%; border-collapse: collapse; }
-        th, td {
-            padding: 15px;
-            text-align: left;
-            border-bottom: 1px solid #1e3a5f;
-        }
-        th {
-            background: #0d1117;
-            color: #8b92a8;
-            font-weight: 600;
-            font-size: 0.8em;
-            text-transform: uppercase;
-        }
-        tr:hover { background: rgba(0, 212, 170, 0.05); }
-        
-        td.date { 
-            font-weight: bold; 
-            color: #00d4aa;
-            white-space: nowrap;
-        }
-        td.symbol { 
-            font-weight: bold; 
-            color: #fff;
-            font-size: 1.1em;
-        }
-        td.company { color: #e8eaed; }
-        td.sector { font-size: 0.85em; }
-        td.eps { font-family: monospace; }
-        td.growth { font-weight: bold; }
-        td.preview { text-align: right; }
-        
-        .tag {
-            padding: 4px 10px;
-            border-radius: 4px;
-            font-size: 0.75em;
-            font-weight: bold;
-        }
-        .tag.technology { background: rgba(0, 168, 232, 0.2); color: #00a8e8; }
-        .tag.finance { background: rgba(0, 212, 170, 0.2); color: #00d4aa; }
-        .tag.healthcare { background: rgba(255, 71, 87, 0.2); color: #ff4757; }
-        .tag.retail { background: rgba(247, 147, 26, 0.2); color: #f7931a; }
-        .tag.consumer { background: rgba(155, 89, 182, 0.2); color: #9b59b6; }
-        .tag.energy { background: rgba(231, 76, 60, 0.2); color: #e74c3c; }
-        
-        .positive { color: #00d4aa; }
-        .negative { color: #ff4757; }
-        
-        .preview-link {
-            color: #8b92a8;
-            text-decoration: none;
-            font-size: 0.9em;
-        }
-        .preview-link:hover { color: #00d4aa; }
-        
-        .info-section {
-            background: #111827;
-            border: 1px solid #1e3a5f;
-            border-radius: 12px;
-            padding: 30px;
-            margin-bottom: 30px;
-        }
-        .info-section h3 {
-            color: #00d4aa;
-            margin-bottom: 15px;
-            font-size: 1.1em;
-        }
-        .info-section p {
-            color: #8b92a8;
-            line-height: 1.8;
-            margin-bottom: 15px;
-        }
-        .info-section p:last-child { margin-bottom: 0; }
-        
-        .ad-container {
-            background: #1a1f2e;
-            border: 2px dashed #2d3748;
-            border-radius: 12px;
-            padding: 60px 20px;
-            text-align: center;
-            margin: 30px 0;
-            color: #4a5568;
-        }
-        
-        footer {
-            text-align: center;
-            padding: 40px 0;
-            color: #4a5568;
-            font-size: 0.85em;
-            border-top: 1px solid #1e3a5f;
-            margin-top: 40px;
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <nav>
-            <a href="/">← Home</a>
-            <a href="/earnings-calendar">Earnings</a>
-            <a href="/crypto.html">Crypto</a>
-        </nav>
-        
-        <header>
-            <h1>📅 Stock Earnings Calendar</h1>
-            <p class="tagline">Upcoming quarterly earnings reports and estimates</p>
-        </header>
+    `);
+    
+    const page = layout({
+        page: 'earnings',
+        title: 'Stock Earnings Calendar 2025 | This Week & Upcoming Reports',
+        description: 'Stock earnings calendar for this week. Track upcoming earnings reports for AAPL, TSLA, NVDA, and major companies.',
+        keywords: 'earnings calendar, stock earnings this week, earnings report schedule, quarterly earnings',
+        canonical: 'earnings-calendar',
+        footer: 'Data for informational purposes only. Earnings dates subject to change',
+        body: html`
+        ${pageHeader({ title: '📅 Stock Earnings Calendar', tagline: 'Upcoming quarterly earnings reports and estimates' })}
 
-        <div class="ad-container">
-            AdSense Banner<br>
-            <small>Finance & Trading Keywords</small>
-        </div>
+        ${adSlot('top')}
 
         <div class="stats-bar">
             <div class="stat-box">
@@ -350,11 +125,7 @@ async function generateEarningsCalendar() {
             </div>
         </div>
 
-        <div class="card">
-            <div class="card-header">
-                <h2>🔥 This Week's Earnings</h2>
-                <span class="card-badge">High Volatility Expected</span>
-            </div>
+        ${tableCard({ title: `🔥 This Week's Earnings`, extra: html`<span class="card-badge">High Volatility Expected</span>`, body: html`
             <table>
                 <thead>
                     <tr>
@@ -370,18 +141,11 @@ async function generateEarningsCalendar() {
                 <tbody>
                     ${generateTable(thisWeek)}
                 </tbody>
-            </table>
-        </div>
+            </table>` })}
 
-        <div class="ad-container">
-            AdSense In-Feed Ad<br>
-            <small>Brokerage & Investment Services</small>
-        </div>
+        ${adSlot('inArticle')}
 
-        <div class="card">
-            <div class="card-header">
-                <h2>📈 Next 30 Days</h2>
-            </div>
+        ${tableCard({ title: '📈 Next 30 Days', body: html`
             <table>
                 <thead>
                     <tr>
@@ -397,8 +161,7 @@ async function generateEarningsCalendar() {
                 <tbody>
                     ${generateTable(next30Days)}
                 </tbody>
-            </table>
-        </div>
+            </table>` })}
 
         <div class="info-section">
             <h3>📊 What is an Earnings Calendar?</h3>
@@ -409,20 +172,24 @@ async function generateEarningsCalendar() {
             
             <h3>📈 Why Earnings Matter</h3>
             <p>Earnings reports are among the biggest catalysts for stock price movement. Companies beating expectations often see rallies, while misses can trigger sharp declines. The "earnings surprise" - the difference between estimated and actual EPS - is particularly important.</p>
-        </div>
-
-        <footer>
-            <p>© ${new Date().getFullYear()} Pre-Market Brief | Data for informational purposes only</p>
-            <p style="margin-top: 10px; font-size: 0.8em;">Not investment advice. Earnings dates subject to change.</p>
-        </footer>
-    </div>
-</body>
-</html>`;
+        </div>`
+    });
     
-    fs.writeFileSync(path.join(__dirname, 'earnings-calendar.html'), html);
-    console.log('✅ earnings-calendar.html generated');
+    console.log('✅ Built earnings-calendar.html');
     console.log(`   This week: ${thisWeek.length} companies`);
     console.log(`   Next 30 days: ${next30Days.length} companies`);
+    
+    // The estimate columns are placeholders drawn at random, so only the
+    // schedule counts as input; the page changes at most once a day
+    return [{
+        path: 'earnings-calendar.html',
+        inputs: { date: now().toISOString().split('T')[0], stocks: EARNINGS_STOCKS },
+        content: page
+    }];
+}
+
+if (require.main === module) {
+    run(__filename, generateEarningsCalendar);
 }
 
-generateEarningsCalendar().catch(console.error);
+module.exports = { generate: generateEarningsCalendar };
@@ -4,8 +4,11 @@
  * High-value keywords: IPO calendar, upcoming IPOs, new stock listings
  */
 
-const fs = require('fs');
-const path = require('path');
+const { now } = require('./lib/clock');
+const { run } = require('./lib/generator');
+const { html } = require('./lib/html');
+const { layout } = require('./lib/layout');
+const { pageHeader, adSlot, tableCard } = require('./lib/partials');
 
 // Mock IPO data (real data would come from a financial API)
 const UPCOMING_IPOS = [
@@ -107,7 +110,7 @@ const RECENT_IPOS = [
 ];
 
 function generateIPOPage() {
-    const today = new Date().toLocaleDateString('en-US', {
+    const today = now().toLocaleDateString('en-US', {
         weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
     });
     
@@ -116,7 +119,7 @@ function generateIPOPage() {
         return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
     };
     
-    const upcomingTable = UPCOMING_IPOS.map(ipo => `
+    const upcomingTable = UPCOMING_IPOS.map(ipo => html`
         <tr>
             <td class="date">${formatDate(ipo.date)}</td>
             <td class="company">
@@ -129,9 +132,9 @@ function generateIPOPage() {
             <td class="shares">${ipo.shares}</td>
             <td class="market-cap">${ipo.marketCap}</td>
         </tr>
-    `).join('');
+    `);
     
-    const recentTable = RECENT_IPOS.map(ipo => `
+    const recentTable = RECENT_IPOS.map(ipo => html`
         <tr>
             <td class="date">${formatDate(ipo.date)}</td>
             <td class="company">
@@ -142,173 +145,18 @@ function generateIPOPage() {
             <td class="current">${ipo.current}</td>
             <td class="performance ${ipo.change.startsWith('+') ? 'positive' : 'negative'}">${ipo.change}</td>
         </tr>
-    `).join('');
+    `);
     
-    const html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>IPO Calendar 2025 | Upcoming IPOs & New Stock Listings</title>
-    <meta name="description" content="IPO calendar for 2025. Track upcoming IPOs, new stock listings, and recent IPO performance. Stay informed on the latest public offerings.">
-    <meta name="keywords" content="IPO calendar, upcoming IPOs, new stock listings, IPO schedule, initial public offering">
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { 
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            background: #0a0e1a;
-            color: #e8eaed;
-            line-height: 1.6;
-        }
-        .container { max-width: 1100px; margin: 0 auto; padding: 20px; }
-        
-        header { text-align: center; padding: 40px 0 30px; }
-        h1 { 
-            font-size: 2.2em; 
-            background: linear-gradient(135deg, #9b59b6, #3498db);
-            -webkit-background-clip: text;
-            -webkit-text-fill-color: transparent;
-            margin-bottom: 10px;
-        }
-        .tagline { color: #8b92a8; }
-        
-        nav { 
-            background: #111827;
-            padding: 15px 20px;
-            border-bottom: 1px solid #1e3a5f;
-            margin: -20px -20px 30px;
-        }
-        nav a {
-            color: #9b59b6;
-            text-decoration: none;
-            margin-right: 20px;
-            font-size: 0.9em;
-        }
-        
-        .stats-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
-            gap: 20px;
-            margin-bottom: 40px;
-        }
-        .stat-box {
-            background: linear-gradient(135deg, rgba(155, 89, 182, 0.1), rgba(52, 152, 219, 0.1));
-            border: 1px solid #1e3a5f;
-            border-radius: 12px;
-            padding: 25px;
-            text-align: center;
-        }
-        .stat-number { font-size: 2.5em; font-weight: bold; color: #9b59b6; }
-        .stat-label { color: #8b92a8; margin-top: 5px; }
-        
-        .card {
-            background: #111827;
-            border: 1px solid #1e3a5f;
-            border-radius: 12px;
-            overflow: hidden;
-            margin-bottom: 30px;
-        }
-        .card-header {
-            background: linear-gradient(135deg, rgba(155, 89, 182, 0.1), rgba(52, 152, 219, 0.1));
-            padding: 20px 25px;
-            border-bottom: 1px solid #1e3a5f;
-        }
-        .card-header h2 { color: #9b59b6; font-size: 1.2em; }
-        
-        table { width: 100%; border-collapse: collapse; }
-        th, td {
-            padding: 15px;
-            text-align: left;
-            border-bottom: 1px solid #1e3a5f;
-        }
-        th {
-            background: #0d1117;
-            color: #8b92a8;
-            font-weight: 600;
-            font-size: 0.8em;
-            text-transform: uppercase;
-        }
-        tr:hover { background: rgba(155, 89, 182, 0.05); }
-        
-        td.date { color: #9b59b6; font-weight: bold; }
-        td.company { font-weight: bold; }
-        td.company .company-symbol { color: #8b92a8; font-size: 0.85em; font-weight: normal; }
-        td.exchange { text-align: center; }
-        td.price { font-family: monospace; }
-        td.performance { font-weight: bold; }
-        .positive { color: #00d4aa; }
-        .negative { color: #ff4757; }
-        
-        .tag {
-            padding: 4px 12px;
-            border-radius: 4px;
-            font-size: 0.75em;
-            font-weight: bold;
-        }
-        .tag.exchange-nasdaq { background: rgba(0, 212, 170, 0.2); color: #00d4aa; }
-        .tag.exchange-nyse { background: rgba(52, 152, 219, 0.2); color: #3498db; }
-        
-        .info-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
-            gap: 25px;
-            margin: 30px 0;
-        }
-        .info-card {
-            background: #111827;
-            border: 1px solid #1e3a5f;
-            border-radius: 12px;
-            padding: 25px;
-        }
-        .info-card h3 {
-            color: #9b59b6;
-            margin-bottom: 15px;
-            font-size: 1.1em;
-        }
-        .info-card p {
-            color: #8b92a8;
-            line-height: 1.8;
-            margin-bottom: 10px;
-        }
-        .info-card p:last-child { margin-bottom: 0; }
-        
-        .ad-container {
-            background: #1a1f2e;
-            border: 2px dashed #2d3748;
-            border-radius: 12px;
-            padding: 60px 20px;
-            text-align: center;
-            margin: 30px 0;
-            color: #4a5568;
-        }
-        
-        footer {
-            text-align: center;
-            padding: 40px 0;
-            color: #4a5568;
-            border-top: 1px solid #1e3a5f;
-            margin-top: 40px;
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <nav>
-            <a href="/">← Home</a>
-            <a href="/earnings-calendar.html">Earnings</a>
-            <a href="/screener.html">Screener</a>
-            <a href="/ipo-calendar.html">IPO Calendar</a>
-        </nav>
-        
-        <header>
-            <h1>🚀 IPO Calendar 2025</h1>
-            <p class="tagline">Upcoming IPOs & new stock listings</p>
-        </header>
+    const page = layout({
+        page: 'ipo',
+        title: 'IPO Calendar 2025 | Upcoming IPOs & New Stock Listings',
+        description: 'IPO calendar for 2025. Track upcoming IPOs, new stock listings, and recent IPO performance. Stay informed on the latest public offerings.',
+        keywords: 'IPO calendar, upcoming IPOs, new stock listings, IPO schedule, initial public offering',
+        footer: 'IPO data for informational purposes. IPO dates subject to change',
+        body: html`
+        ${pageHeader({ title: '🚀 IPO Calendar 2025', tagline: 'Upcoming IPOs & new stock listings' })}
 
-        <div class="ad-container">
-            AdSense Display Ad<br>
-            <small>Investment & Finance Keywords</small>
-        </div>
+        ${adSlot('top')}
 
         <div class="stats-grid">
             <div class="stat-box">
@@ -329,10 +177,7 @@ function generateIPOPage() {
             </div>
         </div>
 
-        <div class="card">
-            <div class="card-header">
-                <h2>📅 Upcoming IPOs</h2>
-            </div>
+        ${tableCard({ title: '📅 Upcoming IPOs', body: html`
             <table>
                 <thead>
                     <tr>
@@ -348,17 +193,11 @@ function generateIPOPage() {
                 <tbody>
                     ${upcomingTable}
                 </tbody>
-            </table>
-        </div>
+            </table>` })}
 
-        <div class="ad-container">
-            AdSense In-Article Ad
-        </div>
+        ${adSlot('inArticle')}
 
-        <div class="card">
-            <div class="card-header">
-                <h2>📈 Recent IPO Performance</h2>
-            </div>
+        ${tableCard({ title: '📈 Recent IPO Performance', body: html`
             <table>
                 <thead>
                     <tr>
@@ -372,8 +211,7 @@ function generateIPOPage() {
                 <tbody>
                     ${recentTable}
                 </tbody>
-            </table>
-        </div>
+            </table>` })}
 
         <div class="info-grid">
             <div class="info-card">
@@ -393,20 +231,22 @@ function generateIPOPage() {
                 <p>The IPO market in 2025 is seeing renewed activity after a quiet 2023-2024. Technology, AI, and clean energy companies are leading the pipeline.</p>
                 <p>Investor appetite for growth stocks has improved, making conditions favorable for new listings.</p>
             </div>
-        </div>
-
-        <footer>
-            <p>© ${new Date().getFullYear()} Pre-Market Brief | IPO data for informational purposes</p>
-            <p style="margin-top: 10px; font-size: 0.8em;">Not investment advice. IPO dates subject to change.</p>
-        </footer>
-    </div>
-</body>
-</html>`;
+        </div>`
+    });
     
-    fs.writeFileSync(path.join(__dirname, 'ipo-calendar.html'), html);
-    console.log('✅ ipo-calendar.html generated');
+    console.log('✅ Built ipo-calendar.html');
     console.log(`   Upcoming: ${UPCOMING_IPOS.length} IPOs`);
     console.log(`   Recent: ${RECENT_IPOS.length} IPOs`);
+    
+    return [{
+        path: 'ipo-calendar.html',
+        inputs: { date: now().toISOString().split('T')[0], upcoming: UPCOMING_IPOS, recent: RECENT_IPOS },
+        content: page
+    }];
+}
+
+if (require.main === module) {
+    run(__filename, generateIPOPage);
 }
 
-generateIPOPage();
+module.exports = { generate: generateIPOPage };
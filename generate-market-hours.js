@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Market Hours - trading sessions and holiday schedule
+ * High-value keywords: stock market hours, market holidays, pre-market hours
+ *
+ * Rendered from the market session clock (lib/market-session.js) and the
+ * NYSE calendar (lib/market-calendar.js): whether the market is open now, the
+ * coming week's hours, and this year's and next year's holidays and early
+ * closes, with times in EST or EDT as they fall.
+ */
+
+const calendar = require('./lib/market-calendar');
+const session = require('./lib/market-session');
+const { run } = require('./lib/generator');
+const { html } = require('./lib/html');
+const { layout } = require('./lib/layout');
+const { pageHeader, marketStatus, adSlot } = require('./lib/partials');
+
+// Calendar days shown in the week ahead
+const WEEK_DAYS = 7;
+
+// '16:00' -> '4:00 PM'
+function clockTime(hhmm) {
+    const [hour, minute] = hhmm.split(':').map(Number);
+    return `${hour % 12 || 12}:${String(minute).padStart(2, '0')} ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+function longDate(dateString) {
+    return new Date(`${dateString}T12:00:00Z`).toLocaleDateString('en-US', {
+        timeZone: 'UTC', weekday: 'long', month: 'long', day: 'numeric'
+    });
+}
+
+// The first date after `from` whose noon falls in a different zone (EDT <-> EST)
+function nextZoneChange(from) {
+    const zone = session.zoneName(session.atET(from, '12:00'));
+    for (let date = calendar.addDays(from, 1), i = 0; i < 366; date = calendar.addDays(date, 1), i++) {
+        const next = session.zoneName(session.atET(date, '12:00'));
+        if (next !== zone) return { date, zone: next };
+    }
+    return null;
+}
+
+function dayRow(dateString) {
+    const slots = session.sessionsOn(dateString);
+    const zone = session.zoneName(session.atET(dateString, '12:00'));
+    const regular = slots.find(slot => slot.session === 'regular');
+    const note = regular
+        ? calendar.describeDay(dateString).earlyClose
+        : calendar.holidayName(dateString);
+    return html`
+            <div class="time-slot${regular ? '' : ' closed'}">
+                <span class="session">${longDate(dateString)}${note && html` <span class="note">${note}</span>`}</span>
+                <span class="time">${regular ? `${clockTime(regular.start)} - ${clockTime(regular.end)} ${zone}` : 'Closed'}</span>
+            </div>`;
+}
+
+// Holidays and early closes in date order; past ones are dimmed
+function holidayList(year, today) {
+    const days = [
+        ...calendar.holidays(year),
+        ...calendar.earlyCloses(year).map(early => ({ ...early, name: `${early.name} (closes ${clockTime(calendar.EARLY_CLOSE)} ET)` }))
+    ].sort((a, b) => a.date.localeCompare(b.date));
+
+    return html`
+        <div class="schedule">
+            <h2>${year} Holidays &amp; Early Closes</h2>
+            ${days.map(day => html`
+            <div class="time-slot${day.date < today ? ' past' : ''}"><span class="session">${day.name}</span><span class="status">${longDate(day.date)}</span></div>`)}
+        </div>`;
+}
+
+async function generateMarketHours() {
+    console.log('🕐 Generating market hours page...\n');
+
+    const clock = session.sessionAt();
+    const today = clock.date;
+    const year = Number(today.slice(0, 4));
+    const week = Array.from({ length: WEEK_DAYS }, (_, i) => calendar.addDays(today, i));
+    const zone = session.zoneName(session.atET(today, '12:00'));
+    const change = nextZoneChange(today);
+    const { open, close } = calendar.REGULAR_HOURS;
+
+    const page = layout({
+        page: 'market-hours',
+        title: 'Stock Market Hours | Trading Sessions & Holiday Schedule',
+        description: 'Stock market hours today. NYSE, NASDAQ, pre-market, after-hours trading times and holiday schedule.',
+        keywords: 'stock market hours, market holidays, pre-market hours, after-hours trading, nyse hours, nasdaq hours',
+        canonical: 'market-hours',
+        body: html`
+        ${pageHeader({ title: '🕐 Market Hours', tagline: 'Trading sessions and holiday schedule', status: marketStatus(clock) })}
+
+        ${adSlot('top')}
+
+        <div class="schedule">
+            <h2>The Week Ahead</h2>
+            ${week.map(dayRow)}
+        </div>
+
+        <div class="schedule">
+            <h2>Regular Trading Hours</h2>
+            <div class="time-slot">
+                <span class="session">NYSE & NASDAQ Open</span>
+                <span class="time">${clockTime(open)} ET</span>
+            </div>
+            <div class="time-slot">
+                <span class="session">NYSE & NASDAQ Close</span>
+                <span class="time">${clockTime(close)} ET</span>
+            </div>
+            <div class="time-slot">
+                <span class="session">Early Close</span>
+                <span class="time">${clockTime(calendar.EARLY_CLOSE)} ET</span>
+            </div>
+        </div>
+
+        <div class="schedule">
+            <h2>Extended Hours</h2>
+            <div class="time-slot">
+                <span class="session">Pre-Market Trading</span>
+                <span class="time">${clockTime(session.PRE_OPEN)} - ${clockTime(open)} ET</span>
+            </div>
+            <div class="time-slot">
+                <span class="session">After-Hours Trading</span>
+                <span class="time">${clockTime(close)} - ${clockTime(session.POST_CLOSE)} ET</span>
+            </div>
+            <div class="time-slot">
+                <span class="session">After-Hours on Early Closes</span>
+                <span class="time">${clockTime(calendar.EARLY_CLOSE)} - ${clockTime(session.EARLY_POST_CLOSE)} ET</span>
+            </div>
+            <p class="note">ET is New York time, ${zone} today${change ? `; it switches to ${change.zone} on ${longDate(change.date)}` : ''}.</p>
+        </div>
+
+        ${adSlot('inArticle')}
+
+        ${holidayList(year, today)}
+        ${holidayList(year + 1, today)}`
+    });
+
+    console.log('✅ Built market-hours.html');
+    console.log(`   ${clock.label}, ${WEEK_DAYS}-day outlook from ${today}`);
+
+    return [{ path: 'market-hours.html', inputs: { date: today, session: clock.session }, content: page }];
+}
+
+if (require.main === module) {
+    run(__filename, generateMarketHours);
+}
+
+module.exports = { generate: generateMarketHours };
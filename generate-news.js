@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Market News - latest headlines, filterable by text, symbol and source
+ * High-value keywords: stock market news, financial headlines, stock news today
+ *
+ * Headlines from lib/news.js: the configured RSS/Atom feeds and Yahoo's news
+ * search for the stocks tagged "brief" in symbols.json, deduplicated and
+ * newest first. Filtering happens in the browser over the data-* attributes
+ * of each item; ?symbol=AAPL preselects a symbol.
+ */
+
+const registry = require('./lib/symbols');
+const { collectNews } = require('./lib/news');
+const { sessionAt, formatDay, formatTime } = require('./lib/market-session');
+const { run } = require('./lib/generator');
+const { html } = require('./lib/html');
+const { layout } = require('./lib/layout');
+const { pageHeader, marketStatus, adSlot } = require('./lib/partials');
+
+// Headlines on the page, newest first
+const NEWS_LIMIT = 100;
+
+const FILTER_SCRIPT = html`<script>
+    (function () {
+        var search = document.getElementById('news-search');
+        var symbol = document.getElementById('news-symbol');
+        var source = document.getElementById('news-source');
+        var count = document.getElementById('news-count');
+        var empty = document.getElementById('news-empty');
+        var items = Array.prototype.slice.call(document.querySelectorAll('.news-item'));
+
+        function apply() {
+            var text = search.value.trim().toLowerCase();
+            var shown = 0;
+            items.forEach(function (item) {
+                var match = (!text || item.dataset.text.indexOf(text) !== -1)
+                    && (!symbol.value || item.dataset.symbols.split(' ').indexOf(symbol.value) !== -1)
+                    && (!source.value || item.dataset.source === source.value);
+                item.hidden = !match;
+                if (match) shown++;
+            });
+            count.textContent = shown + ' of ' + items.length + ' headlines';
+            empty.hidden = shown > 0;
+        }
+
+        var requested = new URLSearchParams(location.search).get('symbol');
+        if (requested && symbol.querySelector('option[value="' + requested.toUpperCase() + '"]')) symbol.value = requested.toUpperCase();
+
+        search.addEventListener('input', apply);
+        symbol.addEventListener('change', apply);
+        source.addEventListener('change', apply);
+        apply();
+    })();
+    </script>`;
+
+// Symbols with a page of their own link to it
+function symbolTag(symbol) {
+    const tags = registry.get(symbol)?.tags || [];
+    return tags.includes('stock-page') || tags.includes('stock-page-2')
+        ? html`<a class="tag symbol" href="/stock/${symbol}.html">${symbol}</a>`
+        : html`<span class="tag symbol">${symbol}</span>`;
+}
+
+function newsItem(item) {
+    return html`
+        <article class="news-item" data-symbols="${item.symbols.join(' ')}" data-source="${item.source}" data-text="${`${item.title} ${item.summary} ${item.symbols.join(' ')}`.toLowerCase()}">
+            <span class="tag">${item.category}</span>${item.symbols.map(symbolTag)}
+            <h3><a href="${item.url}" rel="nofollow noopener" target="_blank">${item.title}</a></h3>
+            ${item.summary && html`<p>${item.summary}</p>`}
+            <div class="meta">${item.source} · ${formatDay(item.time)} ${formatTime(item.time)}</div>
+        </article>`;
+}
+
+async function generateNews({ provider }) {
+    console.log('📰 Generating news page...\n');
+
+    const stocks = registry.select({ tag: 'brief', assetClass: 'equity' }).map(({ symbol, name }) => ({ symbol, name }));
+    const items = (await collectNews(provider, stocks)).slice(0, NEWS_LIMIT);
+
+    const symbols = [...new Set(items.flatMap(item => item.symbols))].sort();
+    const sources = [...new Set(items.map(item => item.source))].sort();
+
+    const page = layout({
+        page: 'news',
+        title: 'Stock Market News | Latest Financial Headlines',
+        description: 'Latest stock market news and financial headlines. Market updates, earnings reports, and economic developments.',
+        keywords: 'stock market news, financial headlines, stock news today, earnings news, market updates',
+        canonical: 'news',
+        footer: 'Headlines link to their publishers. News aggregation for informational purposes',
+        body: html`
+        ${pageHeader({ title: '📰 Market News', tagline: 'Latest financial headlines', status: marketStatus(sessionAt()) })}
+
+        ${adSlot('top')}
+
+        <div class="news-filters">
+            <input type="search" id="news-search" placeholder="Search headlines" aria-label="Search headlines">
+            <select id="news-symbol" aria-label="Symbol">
+                <option value="">All symbols</option>${symbols.map(symbol => html`
+                <option value="${symbol}">${symbol}</option>`)}
+            </select>
+            <select id="news-source" aria-label="Source">
+                <option value="">All sources</option>${sources.map(source => html`
+                <option value="${source}">${source}</option>`)}
+            </select>
+            <span id="news-count" class="news-count">${items.length} headlines</span>
+        </div>
+
+        ${items.map(newsItem)}
+        <div id="news-empty" class="empty-state"${items.length ? html` hidden` : ''}>No headlines match.</div>
+
+        ${adSlot('bottom')}`,
+        scripts: FILTER_SCRIPT
+    });
+
+    console.log('✅ Built news.html');
+    console.log(`   ${items.length} headlines, ${symbols.length} symbols, ${sources.length} sources`);
+
+    return [{ path: 'news.html', inputs: { items }, content: page }];
+}
+
+if (require.main === module) {
+    run(__filename, generateNews);
+}
+
+module.exports = { generate: generateNews };
@@ -3,8 +3,14 @@
  * Generate SEO landing pages for long-tail keywords
  */
 
-const fs = require('fs');
-const path = require('path');
+const registry = require('./lib/symbols');
+const { now } = require('./lib/clock');
+const { run } = require('./lib/generator');
+const { html } = require('./lib/html');
+const { layout } = require('./lib/layout');
+const { pageHeader, marketStatus, adSlot, tableCard } = require('./lib/partials');
+const { sessionAt, asOf } = require('./lib/market-session');
+const { TIME_ZONE } = require('./lib/market-calendar');
 
 // High-value long-tail keywords for pre-market trading
 const KEYWORD_PAGES = [
@@ -47,7 +53,7 @@ const KEYWORD_PAGES = [
         h1: 'Tech Stocks Pre-Market',
         description: 'Technology stocks pre-market performance. FAANG, semiconductor, and AI stocks moving before market open.',
         keywords: ['tech stocks premarket', 'faang pre market', 'nvidia premarket', 'apple premarket'],
-        symbols: ['AAPL', 'MSFT', 'GOOGL', 'AMZN', 'META', 'NVDA', 'AMD', 'TSLA', 'NFLX', 'CRM']
+        tag: 'tech-leaders'
     },
     {
         slug: 'meme-stocks-premarket',
@@ -55,7 +61,7 @@ const KEYWORD_PAGES = [
         h1: 'Meme Stocks Pre-Market',
         description: 'Meme stocks pre-market trading activity. GME, AMC, and retail investor favorites moving before the bell.',
         keywords: ['meme stocks premarket', 'gme premarket', 'amc pre market', 'retail stocks today'],
-        symbols: ['GME', 'AMC', 'BB', 'NOK', 'PLTR', 'SOFI', 'COIN', 'HOOD']
+        tag: 'meme'
     },
     {
         slug: 'chinese-stocks-premarket',
@@ -63,7 +69,7 @@ const KEYWORD_PAGES = [
         h1: 'Chinese Stocks Pre-Market',
         description: 'China stocks ADR pre-market performance. Alibaba, PDD, JD.com and other Chinese equities before market open.',
         keywords: ['chinese stocks premarket', 'alibaba premarket', 'pdd stock premarket', 'china adr'],
-        symbols: ['BABA', 'PDD', 'JD', 'BIDU', 'NIO', 'XPEV', 'LI', 'TCOM', 'EDU', 'TAL']
+        tag: 'china-adr'
     },
     {
         slug: 'biotech-premarket-movers',
@@ -71,210 +77,60 @@ const KEYWORD_PAGES = [
         h1: 'Biotech Pre-Market Movers',
         description: 'Biotech stocks pre-market movers. FDA approvals, clinical trial results, and pharmaceutical news before market open.',
         keywords: ['biotech premarket', 'biotech stocks today', 'fda approval stocks'],
-        symbols: ['MRNA', 'BNTX', 'VXRT', 'INO', 'SRNE', 'CODX', 'REGN', 'GILD', 'AMGN', 'BIIB']
+        tag: 'biotech-movers'
     }
 ];
 
-// Yahoo Finance fetch (reuse from main script)
-async function fetchQuote(symbol) {
-    try {
-        const response = await fetch(`https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?interval=1d&range=1d`);
-        const data = await response.json();
-        
-        if (!data.chart?.result?.[0]) return null;
-        
-        const result = data.chart.result[0];
-        const meta = result.meta;
-        const quote = result.indicators?.quote?.[0];
-        
-        if (!quote?.close?.[0]) return null;
-        
-        const current = quote.close[quote.close.length - 1];
-        const previous = meta.previousClose || meta.chartPreviousClose || current;
-        const change = current - previous;
-        const changePercent = (change / previous) * 100;
-        
-        return {
-            symbol,
-            price: current,
-            change,
-            changePercent,
-            volume: meta.regularMarketVolume || 0
-        };
-    } catch (e) {
-        return null;
-    }
+function toQuote(symbol, quote) {
+    return {
+        symbol,
+        price: quote.price,
+        change: quote.change,
+        changePercent: quote.changePercent,
+        volume: quote.volume
+    };
 }
 
-async function fetchCompanyName(symbol) {
+async function fetchCompanyName(provider, symbol) {
     try {
-        const response = await fetch(`https://query1.finance.yahoo.com/v10/finance/quoteSummary/${symbol}?modules=assetProfile`);
-        const data = await response.json();
-        return data.quoteSummary?.result?.[0]?.assetProfile?.longBusinessSummary?.substring(0, 100) || '';
+        const profile = await provider.getProfile(symbol);
+        return profile?.summary.substring(0, 100) || '';
     } catch {
         return '';
     }
 }
 
-function generateLandingPage(config, stocks) {
-    const date = new Date().toLocaleDateString('en-US', {
-        weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+// Quotes are regular-session prices: live while the market is open, else the last close
+function generateLandingPage(config, stocks, clock) {
+    const date = now().toLocaleDateString('en-US', {
+        timeZone: TIME_ZONE, weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
     });
     
     const sortedStocks = config.sort === 'volume' 
         ? stocks.sort((a, b) => b.volume - a.volume).slice(0, 20)
         : stocks.sort((a, b) => b.changePercent - a.changePercent).slice(0, 20);
     
-    const stocksHtml = sortedStocks.map(stock => `
+    const stocksHtml = sortedStocks.map(stock => html`
         <tr class="${stock.changePercent >= 0 ? 'positive' : 'negative'}">
             <td class="symbol">${stock.symbol}</td>
             <td class="price">$${stock.price.toFixed(2)}</td>
             <td class="change">${stock.changePercent >= 0 ? '+' : ''}${stock.changePercent.toFixed(2)}%</td>
             <td class="volume">${(stock.volume / 1000000).toFixed(2)}M</td>
         </tr>
-    `).join('');
-    
-    return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${config.title}</title>
-    <meta name="description" content="${config.description}">
-    <meta name="keywords" content="${config.keywords.join(', ')}">
-    <link rel="canonical" href="https://premarketbrief.com/${config.slug}">
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { 
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            background: #0a0e1a;
-            color: #e8eaed;
-            line-height: 1.6;
-        }
-        .container { max-width: 1000px; margin: 0 auto; padding: 20px; }
-        nav {
-            background: #111827;
-            padding: 15px 20px;
-            border-bottom: 1px solid #1e3a5f;
-            margin-bottom: 20px;
-        }
-        nav a {
-            color: #00d4aa;
-            text-decoration: none;
-            margin-right: 20px;
-            font-size: 0.9em;
-        }
-        nav a:hover { text-decoration: underline; }
-        header { text-align: center; padding: 30px 0; }
-        h1 { 
-            font-size: 2.2em; 
-            background: linear-gradient(135deg, #00d4aa, #00a8e8);
-            -webkit-background-clip: text;
-            -webkit-text-fill-color: transparent;
-            margin-bottom: 10px;
-        }
-        .date { color: #00d4aa; font-size: 0.9em; font-family: monospace; }
-        .intro {
-            background: #111827;
-            border: 1px solid #1e3a5f;
-            border-radius: 12px;
-            padding: 25px;
-            margin: 25px 0;
-        }
-        .intro p { color: #8b92a8; margin-bottom: 15px; }
-        .intro p:last-child { margin-bottom: 0; }
-        .card {
-            background: #111827;
-            border: 1px solid #1e3a5f;
-            border-radius: 12px;
-            overflow: hidden;
-            margin-bottom: 25px;
-        }
-        .card-header {
-            background: linear-gradient(135deg, rgba(0, 212, 170, 0.1), rgba(0, 168, 232, 0.1));
-            padding: 20px 25px;
-            border-bottom: 1px solid #1e3a5f;
-        }
-        .card-header h2 { color: #00d4aa; font-size: 1.2em; }
-        table {
-            width: 100%;
-            border-collapse: collapse;
-        }
-        th, td {
-            padding: 15px;
-            text-align: left;
-            border-bottom: 1px solid #1e3a5f;
-        }
-        th {
-            background: #0d1117;
-            color: #8b92a8;
-            font-weight: 600;
-            font-size: 0.85em;
-            text-transform: uppercase;
-        }
-        tr:last-child td { border-bottom: none; }
-        tr:hover { background: rgba(0, 212, 170, 0.05); }
-        .symbol { font-weight: bold; color: #fff; }
-        .price { font-family: monospace; }
-        .positive { color: #00d4aa; }
-        .negative { color: #ff4757; }
-        .volume { color: #8b92a8; font-family: monospace; }
-        .update-time {
-            text-align: center;
-            color: #4a5568;
-            font-size: 0.8em;
-            margin: 20px 0;
-        }
-        .ad-container {
-            background: #1a1f2e;
-            border: 2px dashed #2d3748;
-            border-radius: 8px;
-            padding: 60px 20px;
-            text-align: center;
-            margin: 25px 0;
-            color: #4a5568;
-        }
-        footer {
-            text-align: center;
-            padding: 40px 0;
-            color: #4a5568;
-            font-size: 0.85em;
-            border-top: 1px solid #1e3a5f;
-            margin-top: 40px;
-        }
-        .faq {
-            margin-top: 40px;
-        }
-        .faq h3 {
-            color: #00d4aa;
-            margin: 25px 0 15px;
-        }
-        .faq p {
-            color: #8b92a8;
-            line-height: 1.8;
-        }
-    </style>
-</head>
-<body>
-    <nav>
-        <div class="container">
-            <a href="/">← Back to Home</a>
-            <a href="/nasdaq-premarket-gainers">Nasdaq</a>
-            <a href="/dow-jones-premarket">Dow Jones</a>
-            <a href="/sp500-premarket-movers">S&P 500</a>
-        </div>
-    </nav>
+    `);
     
-    <div class="container">
-        <header>
-            <h1>${config.h1}</h1>
-            <p class="date">${date}</p>
-        </header>
+    return layout({
+        page: 'movers',
+        title: config.title,
+        description: config.description,
+        keywords: config.keywords.join(', '),
+        canonical: config.slug,
+        links: KEYWORD_PAGES.map(page => ({ href: `/${page.slug}`, label: page.h1 })),
+        footer: 'Data provided by Yahoo Finance',
+        body: html`
+        ${pageHeader({ title: config.h1, date, status: marketStatus(clock) })}
 
-        <div class="ad-container">
-            AdSense Display Ad (Responsive)<br>
-            <small>${config.keywords[0]} - High CPC</small>
-        </div>
+        ${adSlot('top')}
 
         <div class="intro">
             <p><strong>What is ${config.h1}?</strong></p>
@@ -282,10 +138,7 @@ function generateLandingPage(config, stocks) {
             <p><strong>Why it matters:</strong> Pre-market movements often indicate institutional positioning, earnings reactions, and overnight news impact. Smart traders monitor these levels to prepare for the regular session.</p>
         </div>
 
-        <div class="card">
-            <div class="card-header">
-                <h2>📊 ${config.h1} - Real Time</h2>
-            </div>
+        ${tableCard({ title: `📊 ${config.h1} - ${clock.session === 'regular' ? 'Today' : 'Last Session'}`, body: html`
             <table>
                 <thead>
                     <tr>
@@ -296,15 +149,11 @@ function generateLandingPage(config, stocks) {
                     </tr>
                 </thead>
                 <tbody>
-                    ${stocksHtml || '<tr><td colspan="4" style="text-align:center;color:#8b92a8;padding:40px;">Loading market data...</td></tr>'}
+                    ${stocksHtml.length ? stocksHtml : html`<tr><td colspan="4" class="empty">Loading market data...</td></tr>`}
                 </tbody>
-            </table>
-        </div>
+            </table>` })}
 
-        <div class="ad-container">
-            AdSense In-Feed Ad<br>
-            <small>Financial Services Targeting</small>
-        </div>
+        ${adSlot('inArticle')}
 
         <div class="faq">
             <h3>What time does pre-market trading start?</h3>
@@ -318,57 +167,46 @@ function generateLandingPage(config, stocks) {
         </div>
 
         <div class="update-time">
-            Last updated: ${new Date().toLocaleString('en-US', {timeZone: 'America/New_York'})} EST
-        </div>
-
-        <footer>
-            <p>© ${new Date().getFullYear()} Pre-Market Brief | Data provided by Yahoo Finance</p>
-            <p style="margin-top: 10px; font-size: 0.8em;">Not investment advice. For educational purposes only.</p>
-        </footer>
-    </div>
-</body>
-</html>`;
+            Last updated: ${asOf()}
+        </div>`
+    });
 }
 
-async function main() {
+async function generate({ provider }) {
     console.log('🎯 Generating SEO landing pages...\n');
     
-    // Create pages directory
-    const pagesDir = path.join(__dirname, 'pages');
-    if (!fs.existsSync(pagesDir)) {
-        fs.mkdirSync(pagesDir);
-    }
-    
     // Fetch data for all stocks
-    const allSymbols = [...new Set(KEYWORD_PAGES.flatMap(p => p.symbols || []))];
-    const stocks = [];
+    const pageSymbols = (config) => registry.select({ tag: config.tag }).map(entry => entry.symbol);
+    const allSymbols = [...new Set(KEYWORD_PAGES.filter(p => p.tag).flatMap(pageSymbols))];
+    const quotes = await provider.getQuotes(allSymbols);
+    const stocks = allSymbols.filter(symbol => quotes[symbol]).map(symbol => toQuote(symbol, quotes[symbol]));
     
-    for (const symbol of allSymbols) {
-        const data = await fetchQuote(symbol);
-        if (data) {
-            stocks.push(data);
-        }
-        await new Promise(r => setTimeout(r, 100));
-    }
-    
-    // Generate each landing page
-    for (const config of KEYWORD_PAGES) {
-        const filteredStocks = config.symbols 
-            ? stocks.filter(s => config.symbols.includes(s.symbol))
+    // Build each landing page
+    const clock = sessionAt();
+    const pages = KEYWORD_PAGES.map(config => {
+        const filteredStocks = config.tag 
+            ? stocks.filter(s => pageSymbols(config).includes(s.symbol))
             : stocks.filter(s => !config.filter || config.filter(s));
         
-        const html = generateLandingPage(config, filteredStocks);
-        const filePath = path.join(pagesDir, `${config.slug}.html`);
-        fs.writeFileSync(filePath, html);
-        
         console.log(`✅ ${config.slug}.html - ${filteredStocks.length} stocks`);
-    }
+        return {
+            path: `pages/${config.slug}.html`,
+            inputs: { config, stocks: filteredStocks, session: clock.session },
+            content: generateLandingPage(config, filteredStocks, clock)
+        };
+    });
     
-    console.log(`\n📁 Generated ${KEYWORD_PAGES.length} landing pages in /pages/`);
+    console.log(`\n📁 Built ${KEYWORD_PAGES.length} landing pages in /pages/`);
     console.log('\nKeywords covered:');
     KEYWORD_PAGES.forEach(p => {
         console.log(`  • ${p.keywords[0]}`);
     });
+    
+    return pages;
+}
+
+if (require.main === module) {
+    run(__filename, generate);
 }
 
-main().catch(console.error);
+module.exports = { generate };
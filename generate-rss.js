@@ -5,42 +5,46 @@
 
 const fs = require('fs');
 const path = require('path');
+const { now } = require('./lib/clock');
+const { run } = require('./lib/generator');
+const { html, xml, render } = require('./lib/html');
+const { layout } = require('./lib/layout');
+const { pageHeader } = require('./lib/partials');
+const { site, url } = require('./lib/config');
+const { OUTPUT_DIR } = require('./lib/output');
 
 function generateRSS(stocks) {
-    const date = new Date().toUTCString();
-    const today = new Date().toISOString().split('T')[0];
+    const date = now().toUTCString();
+    const today = now().toISOString().split('T')[0];
     
-    const items = stocks.slice(0, 10).map(stock => `
+    // The description is HTML carried as escaped text, as RSS readers expect
+    const items = stocks.slice(0, 10).map(stock => xml`
     <item>
       <title>${stock.symbol} ${stock.changePercent >= 0 ? '▲' : '▼'} ${Math.abs(stock.changePercent).toFixed(2)}%</title>
-      <link>https://premarketbrief.com/stock/${stock.symbol}</link>
+      <link>${url(`stock/${stock.symbol}`)}</link>
       <pubDate>${date}</pubDate>
-      <description><![CDATA[
-        <strong>${stock.symbol}</strong> is trading at $${stock.price.toFixed(2)} 
-        ${stock.changePercent >= 0 ? 'up' : 'down'} ${Math.abs(stock.changePercent).toFixed(2)}% 
-        in pre-market trading.
-      ]]></description>
-      <guid>https://premarketbrief.com/stock/${stock.symbol}-${today}</guid>
+      <description>${render(html`<strong>${stock.symbol}</strong> is trading at $${stock.price.toFixed(2)} ${stock.changePercent >= 0 ? 'up' : 'down'} ${Math.abs(stock.changePercent).toFixed(2)}% in pre-market trading.`)}</description>
+      <guid>${url(`stock/${stock.symbol}-${today}`)}</guid>
     </item>
-  `).join('');
+  `);
     
-    return `<?xml version="1.0" encoding="UTF-8"?>
+    return render(xml`<?xml version="1.0" encoding="UTF-8"?>
 <rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
   <channel>
-    <title>Pre-Market Stock Brief</title>
-    <link>https://premarketbrief.com</link>
-    <description>Daily pre-market stock market briefing with top movers, indices, and analysis.</description>
+    <title>${site.title}</title>
+    <link>${url()}</link>
+    <description>${site.description}</description>
     <language>en-us</language>
     <lastBuildDate>${date}</lastBuildDate>
-    <atom:link href="https://premarketbrief.com/feed.xml" rel="self" type="application/rss+xml"/>
+    <atom:link href="${url('feed.xml')}" rel="self" type="application/rss+xml"/>
     <image>
-      <url>https://premarketbrief.com/logo.png</url>
-      <title>Pre-Market Stock Brief</title>
-      <link>https://premarketbrief.com</link>
+      <url>${url('logo.png')}</url>
+      <title>${site.title}</title>
+      <link>${url()}</link>
     </image>
     ${items}
   </channel>
-</rss>`;
+</rss>`);
 }
 
 function generateArchivePage(dates) {
@@ -49,81 +53,23 @@ function generateArchivePage(dates) {
         const formatted = dateObj.toLocaleDateString('en-US', {
             weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
         });
-        return `
+        return html`
         <li>
             <a href="/archive/${d}.html">${formatted}</a>
-            <span class="meta">Pre-Market Brief</span>
+            <span class="meta">${site.name}</span>
         </li>`;
-    }).join('');
+    });
     
-    return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Archive | Pre-Market Stock Brief</title>
-    <meta name="description" content="Browse historical pre-market stock market briefings and analysis.">
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { 
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            background: #0a0e1a;
-            color: #e8eaed;
-            line-height: 1.6;
-        }
-        .container { max-width: 800px; margin: 0 auto; padding: 20px; }
-        header { text-align: center; padding: 40px 0; border-bottom: 1px solid #1e3a5f; margin-bottom: 30px; }
-        h1 { 
-            font-size: 2em; 
-            background: linear-gradient(135deg, #00d4aa, #00a8e8);
-            -webkit-background-clip: text;
-            -webkit-text-fill-color: transparent;
-        }
-        .back { display: block; margin-bottom: 20px; color: #00d4aa; text-decoration: none; }
-        .back:hover { text-decoration: underline; }
-        ul { list-style: none; }
-        li {
-            background: #111827;
-            border: 1px solid #1e3a5f;
-            border-radius: 8px;
-            padding: 20px;
-            margin-bottom: 15px;
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-        }
-        li:hover { border-color: #00d4aa; }
-        a { color: #fff; text-decoration: none; font-size: 1.1em; }
-        a:hover { color: #00d4aa; }
-        .meta { color: #8b92a8; font-size: 0.85em; }
-        footer {
-            text-align: center;
-            padding: 40px 0;
-            color: #4a5568;
-            font-size: 0.85em;
-            border-top: 1px solid #1e3a5f;
-            margin-top: 40px;
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <header>
-            <h1>📚 Archive</h1>
-        </header>
-        
-        <a href="/" class="back">← Back to Current Brief</a>
-        
+    return layout({
+        page: 'archive',
+        title: `Archive | ${site.title}`,
+        description: 'Browse historical pre-market stock market briefings and analysis.',
+        body: html`
+        ${pageHeader({ title: '📚 Archive' })}
         <ul>
-            ${dateList || '<li style="text-align:center;color:#8b92a8;">No archives yet. Archives are created daily.</li>'}
-        </ul>
-        
-        <footer>
-            <p>© ${new Date().getFullYear()} Pre-Market Brief</p>
-        </footer>
-    </div>
-</body>
-</html>`;
+            ${dateList.length ? dateList : html`<li class="empty">No archives yet. Archives are created daily.</li>`}
+        </ul>`
+    });
 }
 
 function generateSitemap() {
@@ -140,23 +86,23 @@ function generateSitemap() {
         'archive'
     ];
     
-    const today = new Date().toISOString().split('T')[0];
+    const today = now().toISOString().split('T')[0];
     
-    const urls = pages.map(page => `
+    const urls = pages.map(page => xml`
   <url>
-    <loc>https://premarketbrief.com${page ? '/' + page : ''}</loc>
+    <loc>${url(page)}</loc>
     <lastmod>${today}</lastmod>
     <changefreq>${page === '' ? 'daily' : 'weekly'}</changefreq>
     <priority>${page === '' ? '1.0' : '0.8'}</priority>
-  </url>`).join('');
+  </url>`);
     
-    return `<?xml version="1.0" encoding="UTF-8"?>
+    return render(xml`<?xml version="1.0" encoding="UTF-8"?>
 <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
 ${urls}
-</urlset>`;
+</urlset>`);
 }
 
-async function main() {
+async function generate() {
     console.log('📰 Generating RSS and sitemap...\n');
     
     // Mock stocks for RSS (in real usage, would fetch actual data)
@@ -166,18 +112,17 @@ async function main() {
         { symbol: 'AAPL', price: 189.30, changePercent: -1.23 }
     ];
     
-    // Generate RSS feed
-    const rss = generateRSS(mockStocks);
-    fs.writeFileSync(path.join(__dirname, 'feed.xml'), rss);
+    // RSS feed
+    const today = now().toISOString().split('T')[0];
+    const pages = [{ path: 'feed.xml', inputs: { date: today, stocks: mockStocks }, content: generateRSS(mockStocks) }];
     console.log('✅ feed.xml');
     
-    // Generate sitemap
-    const sitemap = generateSitemap();
-    fs.writeFileSync(path.join(__dirname, 'sitemap.xml'), sitemap);
+    // Sitemap
+    pages.push({ path: 'sitemap.xml', inputs: { date: today }, content: generateSitemap() });
     console.log('✅ sitemap.xml');
     
-    // Generate archive index
-    const archiveDir = path.join(__dirname, 'archive');
+    // Archive index
+    const archiveDir = path.join(OUTPUT_DIR, 'archive');
     let dates = [];
     if (fs.existsSync(archiveDir)) {
         dates = fs.readdirSync(archiveDir)
@@ -187,21 +132,13 @@ async function main() {
             .reverse();
     }
     
-    const archiveHtml = generateArchivePage(dates);
-    fs.writeFileSync(path.join(__dirname, 'archive.html'), archiveHtml);
+    pages.push({ path: 'archive.html', inputs: { dates }, content: generateArchivePage(dates) });
     console.log('✅ archive.html');
     
-    // Create archive directory if not exists
-    if (!fs.existsSync(archiveDir)) {
-        fs.mkdirSync(archiveDir);
-        console.log('✅ Created archive/ directory');
-    }
-    
-    // Copy today's index.html to archive
-    const today = new Date().toISOString().split('T')[0];
-    const indexPath = path.join(__dirname, 'index.html');
+    // Archive a copy of today's index.html
+    const indexPath = path.join(OUTPUT_DIR, 'index.html');
     if (fs.existsSync(indexPath)) {
-        fs.copyFileSync(indexPath, path.join(archiveDir, `${today}.html`));
+        pages.push({ path: `archive/${today}.html`, content: fs.readFileSync(indexPath, 'utf8') });
         console.log(`✅ Archived today's brief: archive/${today}.html`);
     }
     
@@ -209,6 +146,12 @@ async function main() {
     console.log('  • RSS feed (for news aggregators)');
     console.log('  • XML sitemap (for Google indexing)');
     console.log('  • Archive page (for content depth)');
+    
+    return pages;
+}
+
+if (require.main === module) {
+    run(__filename, generate);
 }
 
-main().catch(console.error);
+module.exports = { generate };
@@ -4,356 +4,49 @@
  * Expand coverage to reach 300+ pages
  */
 
-const fs = require('fs');
-const path = require('path');
-
-const MORE_STOCKS = [
-    { symbol: 'ABNB', name: 'Airbnb Inc', desc: 'Vacation rental online marketplace' },
-    { symbol: 'AI', name: 'C3.ai Inc', desc: 'Enterprise AI software' },
-    { symbol: 'ALGN', name: 'Align Technology', desc: 'Medical device for orthodontics' },
-    { symbol: 'AMD', name: 'AMD Inc', desc: 'Semiconductor processors' },
-    { symbol: 'ANET', name: 'Arista Networks', desc: 'Cloud networking solutions' },
-    { symbol: 'APO', name: 'Apollo Global', desc: 'Alternative asset management' },
-    { symbol: 'ASML', name: 'ASML Holding', desc: 'Semiconductor equipment' },
-    { symbol: 'ATVI', name: 'Activision Blizzard', desc: 'Video game publisher' },
-    { symbol: 'AXP', name: 'American Express', desc: 'Payment card services' },
-    { symbol: 'BA', name: 'Boeing Co', desc: 'Aerospace and defense' },
-    { symbol: 'BHC', name: 'Bausch Health', desc: 'Pharmaceutical company' },
-    { symbol: 'BIDU', name: 'Baidu Inc', desc: 'Chinese search engine and AI' },
-    { symbol: 'BIIB', name: 'Biogen Inc', desc: 'Biotechnology company' },
-    { symbol: 'BILI', name: 'Bilibili Inc', desc: 'Chinese video sharing platform' },
-    { symbol: 'BK', name: 'Bank of New York Mellon', desc: 'Investment banking' },
-    { symbol: 'BTU', name: 'Peabody Energy', desc: 'Coal mining company' },
-    { symbol: 'BX', name: 'Blackstone Inc', desc: 'Alternative investments' },
-    { symbol: 'C', name: 'Citigroup Inc', desc: 'Banking and financial services' },
-    { symbol: 'CAR', name: 'Avis Budget Group', desc: 'Vehicle rental services' },
-    { symbol: 'CDNS', name: 'Cadence Design', desc: 'Electronic design automation' },
-    { symbol: 'CF', name: 'CF Industries', desc: 'Fertilizer manufacturer' },
-    { symbol: 'CHK', name: 'Chesapeake Energy', desc: 'Oil and natural gas' },
-    { symbol: 'CMCSA', name: 'Comcast Corp', desc: 'Telecommunications conglomerate' },
-    { symbol: 'CMG', name: 'Chipotle Mexican Grill', desc: 'Fast casual restaurant chain' },
-    { symbol: 'COP', name: 'ConocoPhillips', desc: 'Oil and gas exploration' },
-    { symbol: 'CPB', name: 'Campbell Soup', desc: 'Food processing company' },
-    { symbol: 'CROX', name: 'Crocs Inc', desc: 'Footwear company' },
-    { symbol: 'CSX', name: 'CSX Corp', desc: 'Railroad transportation' },
-    { symbol: 'CTLT', name: 'Catalent Inc', desc: 'Pharmaceutical development' },
-    { symbol: 'CVNA', name: 'Carvana Co', desc: 'Online used car retailer' },
-    { symbol: 'DASH', name: 'DoorDash Inc', desc: 'Food delivery platform' },
-    { symbol: 'DBX', name: 'Dropbox Inc', desc: 'Cloud storage service' },
-    { symbol: 'DD', name: 'DuPont de Nemours', desc: 'Specialty chemicals' },
-    { symbol: 'DHI', name: 'D.R. Horton', desc: 'Home construction' },
-    { symbol: 'DASH', name: 'DoorDash Inc', desc: 'Food delivery platform' },
-    { symbol: 'EA', name: 'Electronic Arts', desc: 'Video game company' },
-    { symbol: 'EBAY', name: 'eBay Inc', desc: 'E-commerce marketplace' },
-    { symbol: 'EL', name: 'Estee Lauder', desc: 'Beauty products' },
-    { symbol: 'ENPH', name: 'Enphase Energy', desc: 'Solar energy systems' },
-    { symbol: 'EOG', name: 'EOG Resources', desc: 'Oil and natural gas' },
-    { symbol: 'EPAM', name: 'EPAM Systems', desc: 'Software engineering' },
-    { symbol: 'EQIX', name: 'Equinix Inc', desc: 'Data center REIT' },
-    { symbol: 'ETSY', name: 'Etsy Inc', desc: 'E-commerce for handmade goods' },
-    { symbol: 'EW', name: 'Edwards Lifesciences', desc: 'Medical technology' },
-    { symbol: 'EXC', name: 'Exelon Corp', desc: 'Electric utility' },
-    { symbol: 'FANG', name: 'Diamondback Energy', desc: 'Oil and natural gas' },
-    { symbol: 'FAST', name: 'Fastenal Company', desc: 'Industrial supplies' },
-    { symbol: 'FDX', name: 'FedEx Corp', desc: 'Package delivery' },
-    { symbol: 'FE', name: 'FirstEnergy Corp', desc: 'Electric utility' },
-    { symbol: 'FITB', name: 'Fifth Third Bancorp', desc: 'Banking services' },
-    { symbol: 'FIVE', name: 'Five Below', desc: 'Discount retailer' },
-    { symbol: 'FLT', name: 'FleetCor Technologies', desc: 'Fuel payment solutions' },
-    { symbol: 'FMC', name: 'FMC Corp', desc: 'Agricultural sciences' },
-    { symbol: 'FOX', name: 'Fox Corp', desc: 'Media company' },
-    { symbol: 'FTNT', name: 'Fortinet Inc', desc: 'Cybersecurity solutions' },
-    { symbol: 'GD', name: 'General Dynamics', desc: 'Aerospace and defense' },
-    { symbol: 'GILD', name: 'Gilead Sciences', desc: 'Biopharmaceutical' },
-    { symbol: 'GIS', name: 'General Mills', desc: 'Food processing' },
-    { symbol: 'GM', name: 'General Motors', desc: 'Automotive manufacturer' },
-    { symbol: 'GNRC', name: 'Generac Holdings', desc: 'Power generation equipment' },
-    { symbol: 'GPN', name: 'Global Payments', desc: 'Payment technology' },
-    { symbol: 'GRMN', name: 'Garmin Ltd', desc: 'GPS technology' },
-    { symbol: 'GWW', name: 'W.W. Grainger', desc: 'Industrial supply' },
-    { symbol: 'HAL', name: 'Halliburton', desc: 'Oilfield services' },
-    { symbol: 'HBAN', name: 'Huntington Bancshares', desc: 'Regional bank' },
-    { symbol: 'HIG', name: 'Hartford Financial', desc: 'Insurance and investments' },
-    { symbol: 'HLT', name: 'Hilton Worldwide', desc: 'Hospitality company' },
-    { symbol: 'HOLX', name: 'Hologic Inc', desc: 'Medical technology' },
-    { symbol: 'HPE', name: 'Hewlett Packard Enterprise', desc: 'IT infrastructure' },
-    { symbol: 'HPQ', name: 'HP Inc', desc: 'Personal computers' },
-    { symbol: 'HRL', name: 'Hormel Foods', desc: 'Food processing' },
-    { symbol: 'HSIC', name: 'Henry Schein', desc: 'Healthcare products' },
-    { symbol: 'HST', name: 'Host Hotels', desc: 'Hotel REIT' },
-    { symbol: 'HSY', name: 'Hershey Company', desc: 'Chocolate manufacturer' },
-    { symbol: 'HUM', name: 'Humana Inc', desc: 'Health insurance' },
-    { symbol: 'IBM', name: 'IBM Corp', desc: 'Technology and consulting' },
-    { symbol: 'ICE', name: 'Intercontinental Exchange', desc: 'Exchange operator' },
-    { symbol: 'IDXX', name: 'IDEXX Laboratories', desc: 'Veterinary diagnostics' },
-    { symbol: 'ILMN', name: 'Illumina Inc', desc: 'DNA sequencing' },
-    { symbol: 'INCY', name: 'Incyte Corp', desc: 'Biopharmaceutical' },
-    { symbol: 'IP', name: 'International Paper', desc: 'Paper and packaging' },
-    { symbol: 'IPG', name: 'Interpublic Group', desc: 'Advertising agency' },
-    { symbol: 'IQV', name: 'IQVIA Holdings', desc: 'Healthcare data' },
-    { symbol: 'IR', name: 'Ingersoll Rand', desc: 'Industrial manufacturing' },
-    { symbol: 'IRM', name: 'Iron Mountain', desc: 'Information management' },
-    { symbol: 'ISRG', name: 'Intuitive Surgical', desc: 'Robotic surgery' },
-    { symbol: 'IT', name: 'Gartner Inc', desc: 'Research and advisory' },
-    { symbol: 'ITW', name: 'Illinois Tool Works', desc: 'Industrial products' },
-    { symbol: 'IVZ', name: 'Invesco Ltd', desc: 'Investment management' },
-    { symbol: 'JCI', name: 'Johnson Controls', desc: 'Building technology' },
-    { symbol: 'JKHY', name: 'Jack Henry', desc: 'Financial technology' },
-    { symbol: 'JNJ', name: 'Johnson & Johnson', desc: 'Healthcare conglomerate' },
-    { symbol: 'JNPR', name: 'Juniper Networks', desc: 'Networking equipment' },
-    { symbol: 'KDP', name: 'Keurig Dr Pepper', desc: 'Beverage company' },
-    { symbol: 'KEY', name: 'KeyCorp', desc: 'Bank holding company' },
-    { symbol: 'KEYS', name: 'Keysight Technologies', desc: 'Electronic test equipment' },
-    { symbol: 'KHC', name: 'Kraft Heinz', desc: 'Food and beverage' },
-    { symbol: 'KIM', name: 'Kimco Realty', desc: 'Shopping center REIT' },
-    { symbol: 'KLAC', name: 'KLA Corp', desc: 'Semiconductor equipment' },
-    { symbol: 'KMB', name: 'Kimberly-Clark', desc: 'Personal care products' },
-    { symbol: 'KMI', name: 'Kinder Morgan', desc: 'Energy infrastructure' },
-    { symbol: 'KMX', name: 'CarMax Inc', desc: 'Used car retailer' },
-    { symbol: 'KR', name: 'Kroger Co', desc: 'Retail grocery' },
-    { symbol: 'L', name: 'Loews Corp', desc: 'Conglomerate holding' },
-    { symbol: 'LDOS', name: 'Leidos Holdings', desc: 'Defense contractor' },
-    { symbol: 'LEN', name: 'Lennar Corp', desc: 'Home construction' },
-    { symbol: 'LH', name: 'LabCorp', desc: 'Medical diagnostics' },
-    { symbol: 'LMT', name: 'Lockheed Martin', desc: 'Aerospace and defense' },
-    { symbol: 'LNC', name: 'Lincoln National', desc: 'Insurance and annuities' },
-    { symbol: 'LOGI', name: 'Logitech International', desc: 'Computer peripherals' },
-    { symbol: 'LUV', name: 'Southwest Airlines', desc: 'Airline company' },
-    { symbol: 'LVS', name: 'Las Vegas Sands', desc: 'Casino resorts' },
-    { symbol: 'LYB', name: 'LyondellBasell', desc: 'Chemical company' },
-    { symbol: 'LYV', name: 'Live Nation', desc: 'Entertainment and ticketing' },
-    { symbol: 'MAA', name: 'Mid-America Apartment', desc: 'Apartment REIT' },
-    { symbol: 'MAR', name: 'Marriott International', desc: 'Hotel company' },
-    { symbol: 'MAS', name: 'Masco Corp', desc: 'Home improvement products' },
-    { symbol: 'MCD', name: 'McDonald\'s Corp', desc: 'Fast food restaurant' },
-    { symbol: 'MCHP', name: 'Microchip Technology', desc: 'Semiconductor' },
-    { symbol: 'MCK', name: 'McKesson Corp', desc: 'Healthcare distribution' },
-    { symbol: 'MCO', name: 'Moody\'s Corp', desc: 'Credit ratings' },
-    { symbol: 'MDLZ', name: 'Mondelez International', desc: 'Snack food company' },
-    { symbol: 'MET', name: 'MetLife Inc', desc: 'Insurance company' },
-    { symbol: 'MGM', name: 'MGM Resorts', desc: 'Casino and hospitality' },
-    { symbol: 'MHK', name: 'Mohawk Industries', desc: 'Flooring manufacturer' },
-    { symbol: 'MKC', name: 'McCormick & Company', desc: 'Spice and seasoning' },
-    { symbol: 'MLM', name: 'Martin Marietta', desc: 'Construction materials' },
-    { symbol: 'MMC', name: 'Marsh & McLennan', desc: 'Insurance brokerage' },
-    { symbol: 'MNST', name: 'Monster Beverage', desc: 'Energy drinks' },
-    { symbol: 'MO', name: 'Altria Group', desc: 'Tobacco company' },
-    { symbol: 'MOS', name: 'Mosaic Company', desc: 'Fertilizer producer' },
-    { symbol: 'MPC', name: 'Marathon Petroleum', desc: 'Petroleum refining' },
-    { symbol: 'MPWR', name: 'Monolithic Power', desc: 'Semiconductor' },
-    { symbol: 'MSCI', name: 'MSCI Inc', desc: 'Investment research' },
-    { symbol: 'MSFT', name: 'Microsoft Corp', desc: 'Technology company' },
-    { symbol: 'MSI', name: 'Motorola Solutions', desc: 'Communications equipment' },
-    { symbol: 'MTB', name: 'M&T Bank', desc: 'Regional bank' },
-    { symbol: 'MTCH', name: 'Match Group', desc: 'Online dating' },
-    { symbol: 'MTD', name: 'Mettler-Toledo', desc: 'Precision instruments' },
-    { symbol: 'MU', name: 'Micron Technology', desc: 'Memory and storage' },
-    { symbol: 'NCLH', name: 'Norwegian Cruise Line', desc: 'Cruise line operator' },
-    { symbol: 'NDAQ', name: 'Nasdaq Inc', desc: 'Stock exchange operator' },
-    { symbol: 'NEE', name: 'NextEra Energy', desc: 'Electric utility' },
-    { symbol: 'NEM', name: 'Newmont Corp', desc: 'Gold mining' },
-    { symbol: 'NFLX', name: 'Netflix Inc', desc: 'Streaming service' },
-    { symbol: 'NI', name: 'NiSource Inc', desc: 'Natural gas utility' },
-    { symbol: 'NKE', name: 'Nike Inc', desc: 'Athletic footwear' },
-    { symbol: 'NOC', name: 'Northrop Grumman', desc: 'Aerospace and defense' },
-    { symbol: 'NOW', name: 'ServiceNow Inc', desc: 'Cloud computing' },
-    { symbol: 'NRG', name: 'NRG Energy', desc: 'Energy company' },
-    { symbol: 'NSC', name: 'Norfolk Southern', desc: 'Railroad company' },
-    { symbol: 'NTAP', name: 'NetApp Inc', desc: 'Data management' },
-    { symbol: 'NTRS', name: 'Northern Trust', desc: 'Asset management' },
-    { symbol: 'NUE', name: 'Nucor Corp', desc: 'Steel producer' },
-    { symbol: 'NVDA', name: 'NVIDIA Corp', desc: 'Semiconductor' },
-    { symbol: 'NVR', name: 'NVR Inc', desc: 'Home construction' },
-    { symbol: 'NWL', name: 'Newell Brands', desc: 'Consumer goods' },
-    { symbol: 'NWS', name: 'News Corp', desc: 'Media company' },
-    { symbol: 'NXPI', name: 'NXP Semiconductors', desc: 'Semiconductor' },
-    { symbol: 'O', name: 'Realty Income', desc: 'Retail REIT' },
-    { symbol: 'ODFL', name: 'Old Dominion', desc: 'Freight trucking' },
-    { symbol: 'OKE', name: 'ONEOK Inc', desc: 'Natural gas processing' },
-    { symbol: 'OMC', name: 'Omnicom Group', desc: 'Advertising agency' },
-    { symbol: 'ON', name: 'ON Semiconductor', desc: 'Semiconductor' },
-    { symbol: 'ORCL', name: 'Oracle Corp', desc: 'Database software' },
-    { symbol: 'ORLY', name: 'O\'Reilly Automotive', desc: 'Auto parts retailer' },
-    { symbol: 'OTIS', name: 'Otis Worldwide', desc: 'Elevator and escalator' },
-    { symbol: 'OXY', name: 'Occidental Petroleum', desc: 'Oil and gas' },
-    { symbol: 'PANW', name: 'Palo Alto Networks', desc: 'Cybersecurity' },
-    { symbol: 'PARA', name: 'Paramount Global', desc: 'Entertainment company' },
-    { symbol: 'PAYC', name: 'Paycom Software', desc: 'HR management software' },
-    { symbol: 'PCAR', name: 'Paccar Inc', desc: 'Truck manufacturer' },
-    { symbol: 'PEAK', name: 'Healthpeak Properties', desc: 'Healthcare REIT' },
-    { symbol: 'PENN', name: 'Penn Entertainment', desc: 'Casino and gaming' },
-    { symbol: 'PEP', name: 'PepsiCo Inc', desc: 'Beverage and snacks' },
-    { symbol: 'PFE', name: 'Pfizer Inc', desc: 'Pharmaceutical' },
-    { symbol: 'PFG', name: 'Principal Financial', desc: 'Insurance and investment' },
-    { symbol: 'PG', name: 'Procter & Gamble', desc: 'Consumer goods' },
-    { symbol: 'PGR', name: 'Progressive Corp', desc: 'Insurance company' },
-    { symbol: 'PH', name: 'Parker-Hannifin', desc: 'Motion control technology' },
-    { symbol: 'PHM', name: 'PulteGroup', desc: 'Home construction' },
-    { symbol: 'PKG', name: 'Packaging Corp', desc: 'Packaging manufacturer' },
-    { symbol: 'PLD', name: 'Prologis Inc', desc: 'Logistics REIT' },
-    { symbol: 'PM', name: 'Philip Morris', desc: 'Tobacco company' },
-    { symbol: 'PNC', name: 'PNC Financial', desc: 'Banking services' },
-    { symbol: 'PNR', name: 'Pentair plc', desc: 'Water treatment' },
-    { symbol: 'PNW', name: 'Pinnacle West', desc: 'Electric utility' },
-    { symbol: 'PODD', name: 'Insulet Corp', desc: 'Medical devices' },
-    { symbol: 'POOL', name: 'Pool Corp', desc: 'Swimming pool supplies' },
-    { symbol: 'PPG', name: 'PPG Industries', desc: 'Paint and coatings' },
-    { symbol: 'PPL', name: 'PPL Corp', desc: 'Electric utility' },
-    { symbol: 'PRU', name: 'Prudential Financial', desc: 'Insurance company' },
-    { symbol: 'PSA', name: 'Public Storage', desc: 'Self-storage REIT' },
-    { symbol: 'PSX', name: 'Phillips 66', desc: 'Oil refining' },
-    { symbol: 'PTC', name: 'PTC Inc', desc: 'Software company' },
-    { symbol: 'PVH', name: 'PVH Corp', desc: 'Apparel company' },
-    { symbol: 'PWR', name: 'Quanta Services', desc: 'Infrastructure contractor' },
-    { symbol: 'PXD', name: 'Pioneer Natural', desc: 'Oil and gas exploration' },
-    { symbol: 'PYPL', name: 'PayPal Holdings', desc: 'Digital payments' },
-    { symbol: 'QCOM', name: 'Qualcomm Inc', desc: 'Wireless technology' },
-    { symbol: 'QRVO', name: 'Qorvo Inc', desc: 'Semiconductor' },
-    { symbol: 'RCL', name: 'Royal Caribbean', desc: 'Cruise line operator' },
-    { symbol: 'REG', name: 'Regency Centers', desc: 'Shopping center REIT' },
-    { symbol: 'REGN', name: 'Regeneron Pharma', desc: 'Biotechnology' },
-    { symbol: 'RF', name: 'Regions Financial', desc: 'Regional bank' },
-    { symbol: 'RHI', name: 'Robert Half', desc: 'Staffing services' },
-    { symbol: 'RJF', name: 'Raymond James', desc: 'Investment banking' },
-    { symbol: 'RL', name: 'Ralph Lauren', desc: 'Fashion company' },
-    { symbol: 'RMD', name: 'ResMed Inc', desc: 'Medical equipment' },
-    { symbol: 'ROK', name: 'Rockwell Automation', desc: 'Industrial automation' },
-    { symbol: 'ROL', name: 'Rollins Inc', desc: 'Pest control services' },
-    { symbol: 'ROST', name: 'Ross Stores', desc: 'Discount retail' },
-    { symbol: 'RSG', name: 'Republic Services', desc: 'Waste management' },
-    { symbol: 'RTX', name: 'RTX Corp', desc: 'Aerospace and defense' },
-    { symbol: 'RVTY', name: 'Revvity Inc', desc: 'Life sciences' },
-    { symbol: 'SBAC', name: 'SBA Communications', desc: 'Wireless infrastructure' },
-    { symbol: 'SBUX', name: 'Starbucks Corp', desc: 'Coffeehouse chain' },
-    { symbol: 'SCHW', name: 'Charles Schwab', desc: 'Brokerage services' },
-    { symbol: 'SEDG', name: 'SolarEdge Tech', desc: 'Solar power optimizer' },
-    { symbol: 'SEE', name: 'Sealed Air', desc: 'Packaging solutions' },
-    { symbol: 'SHW', name: 'Sherwin-Williams', desc: 'Paint manufacturer' },
-    { symbol: 'SJM', name: 'J.M. Smucker', desc: 'Food manufacturer' },
-    { symbol: 'SLB', name: 'Schlumberger', desc: 'Oilfield services' },
-    { symbol: 'SNA', name: 'Snap-on Inc', desc: 'Tool manufacturer' },
-    { symbol: 'SNPS', name: 'Synopsys Inc', desc: 'Electronic design software' },
-    { symbol: 'SO', name: 'Southern Company', desc: 'Electric utility' },
-    { symbol: 'SPG', name: 'Simon Property', desc: 'Shopping mall REIT' },
-    { symbol: 'SPGI', name: 'S&P Global', desc: 'Financial information' },
-    { symbol: 'SRE', name: 'Sempra Energy', desc: 'Energy infrastructure' },
-    { symbol: 'STE', name: 'Steris plc', desc: 'Healthcare products' },
-    { symbol: 'STLD', name: 'Steel Dynamics', desc: 'Steel producer' },
-    { symbol: 'STT', name: 'State Street', desc: 'Financial services' },
-    { symbol: 'STX', name: 'Seagate Tech', desc: 'Data storage' },
-    { symbol: 'STZ', name: 'Constellation Brands', desc: 'Beverage company' },
-    { symbol: 'SWK', name: 'Stanley Black & Decker', desc: 'Tool manufacturer' },
-    { symbol: 'SWKS', name: 'Skyworks Solutions', desc: 'Semiconductor' },
-    { symbol: 'SYF', name: 'Synchrony Financial', desc: 'Consumer finance' },
-    { symbol: 'SYY', name: 'Sysco Corp', desc: 'Food distribution' },
-    { symbol: 'T', name: 'AT&T Inc', desc: 'Telecommunications' },
-    { symbol: 'TAP', name: 'Molson Coors', desc: 'Beverage company' },
-    { symbol: 'TDG', name: 'TransDigm Group', desc: 'Aerospace components' },
-    { symbol: 'TDY', name: 'Teledyne Tech', desc: 'Instrumentation' },
-    { symbol: 'TECH', name: 'Bio-Techne', desc: 'Life sciences' },
-    { symbol: 'TEL', name: 'TE Connectivity', desc: 'Electronic components' },
-    { symbol: 'TER', name: 'Teradyne Inc', desc: 'Test equipment' },
-    { symbol: 'TFC', name: 'Truist Financial', desc: 'Bank holding company' },
-    { symbol: 'TFX', name: 'Teleflex Inc', desc: 'Medical technology' },
-    { symbol: 'TGT', name: 'Target Corp', desc: 'Retail department stores' },
-    { symbol: 'TJX', name: 'TJX Companies', desc: 'Off-price retail' },
-    { symbol: 'TMO', name: 'Thermo Fisher', desc: 'Scientific equipment' },
-    { symbol: 'TMUS', name: 'T-Mobile US', desc: 'Wireless carrier' },
-    { symbol: 'TPR', name: 'Tapestry Inc', desc: 'Fashion company' },
-    { symbol: 'TRGP', name: 'Targa Resources', desc: 'Energy infrastructure' },
-    { symbol: 'TRMB', name: 'Trimble Inc', desc: 'GPS technology' },
-    { symbol: 'TROW', name: 'T. Rowe Price', desc: 'Investment management' },
-    { symbol: 'TRV', name: 'Travelers Companies', desc: 'Insurance company' },
-    { symbol: 'TSCO', name: 'Tractor Supply', desc: 'Rural lifestyle retail' },
-    { symbol: 'TSLA', name: 'Tesla Inc', desc: 'Electric vehicles' },
-    { symbol: 'TSN', name: 'Tyson Foods', desc: 'Food processing' },
-    { symbol: 'TT', name: 'Trane Technologies', desc: 'Climate control' },
-    { symbol: 'TTWO', name: 'Take-Two Interactive', desc: 'Video games' },
-    { symbol: 'TXN', name: 'Texas Instruments', desc: 'Semiconductor' },
-    { symbol: 'TXT', name: 'Textron Inc', desc: 'Conglomerate' },
-    { symbol: 'TYL', name: 'Tyler Technologies', desc: 'Software company' },
-    { symbol: 'UAL', name: 'United Airlines', desc: 'Airline company' },
-    { symbol: 'UBER', name: 'Uber Technologies', desc: 'Ride-sharing platform' },
-    { symbol: 'UDR', name: 'UDR Inc', desc: 'Apartment REIT' },
-    { symbol: 'UHS', name: 'Universal Health', desc: 'Hospital management' },
-    { symbol: 'ULTA', name: 'Ulta Beauty', desc: 'Beauty retailer' },
-    { symbol: 'UNH', name: 'UnitedHealth Group', desc: 'Health insurance' },
-    { symbol: 'UNP', name: 'Union Pacific', desc: 'Railroad company' },
-    { symbol: 'UPS', name: 'UPS Inc', desc: 'Package delivery' },
-    { symbol: 'URI', name: 'United Rentals', desc: 'Equipment rental' },
-    { symbol: 'USB', name: 'U.S. Bancorp', desc: 'Bank holding company' },
-    { symbol: 'V', name: 'Visa Inc', desc: 'Payment technology' },
-    { symbol: 'VFC', name: 'VF Corp', desc: 'Apparel company' },
-    { symbol: 'VICI', name: 'Vici Properties', desc: 'Casino REIT' },
-    { symbol: 'VLO', name: 'Valero Energy', desc: 'Oil refining' },
-    { symbol: 'VMC', name: 'Vulcan Materials', desc: 'Construction materials' },
-    { symbol: 'VRSK', name: 'Verisk Analytics', desc: 'Data analytics' },
-    { symbol: 'VRSN', name: 'Verisign Inc', desc: 'Internet infrastructure' },
-    { symbol: 'VRTX', name: 'Vertex Pharma', desc: 'Biotechnology' },
-    { symbol: 'VTR', name: 'Ventas Inc', desc: 'Healthcare REIT' },
-    { symbol: 'VTRS', name: 'Viatris Inc', desc: 'Pharmaceutical' },
-    { symbol: 'VZ', name: 'Verizon Communications', desc: 'Telecommunications' },
-    { symbol: 'WAB', name: 'Wabtec Corp', desc: 'Railroad equipment' },
-    { symbol: 'WAT', name: 'Waters Corp', desc: 'Scientific instruments' },
-    { symbol: 'WBA', name: 'Walgreens Boots', desc: 'Pharmacy retail' },
-    { symbol: 'WBD', name: 'Warner Bros Discovery', desc: 'Media company' },
-    { symbol: 'WDAY', name: 'Workday Inc', desc: 'Enterprise software' },
-    { symbol: 'WDC', name: 'Western Digital', desc: 'Data storage' },
-    { symbol: 'WEC', name: 'WEC Energy', desc: 'Electric utility' },
-    { symbol: 'WELL', name: 'Welltower Inc', desc: 'Healthcare REIT' },
-    { symbol: 'WFC', name: 'Wells Fargo', desc: 'Banking services' },
-    { symbol: 'WM', name: 'Waste Management', desc: 'Waste services' },
-    { symbol: 'WMB', name: 'Williams Companies', desc: 'Energy infrastructure' },
-    { symbol: 'WMT', name: 'Walmart Inc', desc: 'Retail corporation' },
-    { symbol: 'WRB', name: 'W.R. Berkley', desc: 'Insurance company' },
-    { symbol: 'WRK', name: 'WestRock', desc: 'Packaging company' },
-    { symbol: 'WST', name: 'West Pharma', desc: 'Medical packaging' },
-    { symbol: 'WTW', name: 'Willis Towers', desc: 'Insurance brokerage' },
-    { symbol: 'WY', name: 'Weyerhaeuser', desc: 'Timber REIT' },
-    { symbol: 'WYNN', name: 'Wynn Resorts', desc: 'Casino resorts' },
-    { symbol: 'XEL', name: 'Xcel Energy', desc: 'Electric utility' },
-    { symbol: 'XOM', name: 'Exxon Mobil', desc: 'Oil and gas' },
-    { symbol: 'XRAY', name: 'Dentsply Sirona', desc: 'Dental products' },
-    { symbol: 'XYL', name: 'Xylem Inc', desc: 'Water technology' },
-    { symbol: 'YUM', name: 'Yum Brands', desc: 'Restaurant company' },
-    { symbol: 'ZBH', name: 'Zimmer Biomet', desc: 'Medical devices' },
-    { symbol: 'ZBRA', name: 'Zebra Technologies', desc: 'Enterprise tracking' },
-    { symbol: 'ZION', name: 'Zions Bancorp', desc: 'Regional bank' },
-    { symbol: 'ZTS', name: 'Zoetis Inc', desc: 'Animal health' }
-];
+const registry = require('./lib/symbols');
+const { run } = require('./lib/generator');
+const { html } = require('./lib/html');
+const { layout } = require('./lib/layout');
+const { card } = require('./lib/partials');
+const { url } = require('./lib/config');
 
 // Generate simplified stock pages
 function generateStockPage(stock) {
-    return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <title>${stock.symbol} Stock | ${stock.name} Price Today</title>
-    <meta name="description" content="${stock.symbol} stock price today. ${stock.name} pre-market data and analysis.">
-    <style>
-        body { font-family: system-ui; background: #0a0e1a; color: #fff; max-width: 800px; margin: 0 auto; padding: 20px; }
-        h1 { color: #00d4aa; }
-        .nav a { color: #00d4aa; margin-right: 15px; }
-    </style>
-</head>
-<body>
-    <div class="nav"><a href="/">Home</a></div>
-    <h1>${stock.symbol} - ${stock.name}</h1>
-    <p>${stock.desc}</p>
-    <p>Track ${stock.symbol} pre-market price and trading activity.</p>
-</body>
-</html>`;
+    return layout({
+        page: 'stock',
+        title: `${stock.symbol} Stock | ${stock.name} Price Today`,
+        description: `${stock.symbol} stock price today. ${stock.name} pre-market data and analysis.`,
+        canonical: `stock/${stock.symbol}`,
+        structuredData: {
+            '@context': 'https://schema.org',
+            '@type': 'Corporation',
+            name: stock.name,
+            tickerSymbol: stock.symbol,
+            url: url(`stock/${stock.symbol}`)
+        },
+        footer: `${stock.symbol} data for informational purposes only`,
+        body: html`
+        <div class="stock-header">
+            <div class="symbol">${stock.symbol}</div>
+            <div class="company-name">${stock.name}</div>
+        </div>
+        ${card({ title: `📊 About ${stock.name}`, body: html`
+            <p>${stock.description}</p>
+            <p>Track ${stock.symbol} pre-market price and trading activity.</p>` })}`
+    });
 }
 
-const stocksDir = path.join(__dirname, 'stock');
-if (!fs.existsSync(stocksDir)) fs.mkdirSync(stocksDir, { recursive: true });
+function generate() {
+    // Symbols that also have a full page from generate-stock-pages.js keep that one
+    const MORE_STOCKS = registry.select({ tag: 'stock-page-2' }).filter(stock => !stock.tags.includes('stock-page'));
+    
+    console.log(`✅ Built ${MORE_STOCKS.length} additional stock pages`);
+    return MORE_STOCKS.map(stock => ({ path: `stock/${stock.symbol}.html`, inputs: { stock }, content: generateStockPage(stock) }));
+}
 
-let count = 0;
-for (const stock of MORE_STOCKS) {
-    const html = generateStockPage(stock);
-    fs.writeFileSync(path.join(stocksDir, `${stock.symbol}.html`), html);
-    count++;
+if (require.main === module) {
+    run(__filename, generate);
 }
 
-console.log(`✅ Generated ${count} additional stock pages`);
-console.log(`📊 Total stock pages: ${fs.readdirSync(stocksDir).filter(f => f.endsWith('.html')).length}`);
+module.exports = { generate };
@@ -2,120 +2,160 @@
 /**
  * Pre-Market Stock Brief Generator
  * Fetches market data and generates static HTML
+ *
+ * Movers are discovered across the market (lib/movers.js); the stocks tagged
+ * "brief" in symbols.json are only ranked when discovery comes up short.
+ * Outside the regular session (lib/market-session.js) they are ranked
+ * by their extended-hours gap and volume; during it, or with no extended
+ * trading to report, by the regular session. Each gainer and decliner
+ * carries its most relevant recent headline (lib/news.js).
  */
 
-const fs = require('fs');
-const path = require('path');
+const registry = require('./lib/symbols');
+const { discoverMovers, rankMovers, MIN_CANDIDATES } = require('./lib/movers');
+const { generateCommentary } = require('./lib/commentary');
+const { scoreSentiment } = require('./lib/sentiment');
+const { levelsFor } = require('./lib/levels');
+const { collectNews, headlineFor } = require('./lib/news');
+const { selectFutures } = require('./generate-futures');
+const { selectSectors } = require('./generate-sectors');
+const { now } = require('./lib/clock');
+const { run } = require('./lib/generator');
+const { html } = require('./lib/html');
+const { layout } = require('./lib/layout');
+const { pageHeader, marketStatus, adSlot, card } = require('./lib/partials');
+const { sessionAt, asOf, formatDay, formatTime } = require('./lib/market-session');
+const { TIME_ZONE } = require('./lib/market-calendar');
+const { site } = require('./lib/config');
 
-// Yahoo Finance API endpoints
-const YF_API = {
-    quote: (symbol) => `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?interval=1d&range=1d`,
-    trending: 'https://query1.finance.yahoo.com/v1/finance/trending/US'
-};
+const SESSION_LABELS = { pre: 'Pre-Market', post: 'After-Hours' };
 
-// Major indices
-const INDICES = ['^GSPC', '^DJI', '^IXIC', '^VIX'];
+// Key levels shown on each side of the price
+const BRIEF_LEVELS = 2;
 
-// Common pre-market movers to track
-const TRACKED_STOCKS = [
-    'AAPL', 'MSFT', 'GOOGL', 'AMZN', 'META', 'TSLA', 'NVDA', 'AMD',
-    'NFLX', 'BABA', 'PDD', 'JD', 'COIN', 'PLTR', 'SOFI'
-];
+// Stocks in each of the gainers, decliners and most active lists
+const BRIEF_MOVERS = 10;
 
-async function fetchQuote(symbol) {
-    try {
-        const response = await fetch(YF_API.quote(symbol));
-        const data = await response.json();
-        
-        if (!data.chart?.result?.[0]) return null;
-        
-        const result = data.chart.result[0];
-        const meta = result.meta;
-        const quote = result.indicators?.quote?.[0];
-        
-        if (!quote?.close?.[0]) return null;
-        
-        const current = quote.close[quote.close.length - 1];
-        const previous = meta.previousClose || meta.chartPreviousClose || current;
-        const change = current - previous;
-        const changePercent = (change / previous) * 100;
-        
-        return {
-            symbol: symbol.replace('^', ''),
-            price: current,
-            change: change,
-            changePercent: changePercent,
-            volume: meta.regularMarketVolume || 0
-        };
-    } catch (e) {
-        console.error(`Error fetching ${symbol}:`, e.message);
-        return null;
-    }
+function toQuote(symbol, quote) {
+    return {
+        symbol: symbol.replace('^', ''),
+        price: quote.price,
+        change: quote.change,
+        changePercent: quote.changePercent,
+        volume: quote.volume
+    };
+}
+
+// The candidates a pass on the last regular-session move and volume puts in
+// any of the three lists, so extended-hours quotes are only requested for those
+function firstPass(candidates, count) {
+    const top = compare => [...candidates].sort(compare).slice(0, count);
+    return [...new Set([
+        ...top((a, b) => b.changePercent - a.changePercent),
+        ...top((a, b) => a.changePercent - b.changePercent),
+        ...top((a, b) => b.volume - a.volume)
+    ])];
 }
 
-async function fetchAllData() {
+async function fetchAllData(provider) {
     console.log('Fetching market data...');
     
-    // Fetch indices
-    const indices = [];
-    for (const symbol of INDICES) {
-        const data = await fetchQuote(symbol);
-        if (data) {
-            indices.push({
-                name: symbol === '^GSPC' ? 'S&P 500' : 
-                      symbol === '^DJI' ? 'Dow Jones' :
-                      symbol === '^IXIC' ? 'Nasdaq' : 'VIX',
-                ...data
-            });
-        }
+    // Major indices, and the fallback movers, tagged "brief" in symbols.json
+    const INDICES = registry.select({ tag: 'brief', assetClass: 'index' });
+    const TRACKED_STOCKS = registry.select({ tag: 'brief', assetClass: 'equity' });
+    // Stock index futures and sector ETFs, for the sentiment gauge
+    const FUTURES = selectFutures().filter(future => future.unit === 'Index');
+    const SECTORS = selectSectors();
+    
+    // Everything quoted in one batched request, alongside discovery
+    const clock = sessionAt();
+    const [quotes, discovered] = await Promise.all([
+        provider.getQuotes([...INDICES, ...TRACKED_STOCKS, ...FUTURES, ...SECTORS].map(entry => entry.symbol)),
+        discoverMovers(provider)
+    ]);
+    
+    const indices = INDICES.filter(entry => quotes[entry.symbol]).map(entry => ({
+        name: entry.name,
+        ...toQuote(entry.symbol, quotes[entry.symbol])
+    }));
+    
+    const tracked = TRACKED_STOCKS.filter(entry => quotes[entry.symbol])
+        .map(entry => ({ ...toQuote(entry.symbol, quotes[entry.symbol]), company: entry.name }));
+    let universe = discovered.length >= MIN_CANDIDATES ? 'discovered' : 'tracked';
+    const candidates = universe === 'discovered'
+        ? discovered.map(quote => ({ ...toQuote(quote.symbol, quote), company: registry.get(quote.symbol)?.name || quote.name }))
+        : tracked;
+    if (universe === 'tracked') {
+        console.log(`ℹ️ Mover discovery found ${discovered.length} liquid stocks, ranking the ${TRACKED_STOCKS.length} tracked ones instead`);
     }
     
-    // Fetch stocks
-    const stocks = [];
-    for (const symbol of TRACKED_STOCKS) {
-        const data = await fetchQuote(symbol);
-        if (data) {
-            // Fetch company name
-            try {
-                const summaryRes = await fetch(`https://query1.finance.yahoo.com/v10/finance/quoteSummary/${symbol}?modules=quoteType`);
-                const summary = await summaryRes.json();
-                data.company = summary.quoteSummary?.result?.[0]?.quoteType?.longName || symbol;
-            } catch {
-                data.company = symbol;
-            }
-            stocks.push(data);
-        }
-        await new Promise(r => setTimeout(r, 100)); // Rate limiting
+    // An empty brief would be published and archived as a blank day; fail the
+    // node instead, so rss and the archive are skipped this cycle
+    if (!indices.length && !candidates.length) {
+        throw new Error('No index or stock quote survived validation, not building an empty brief');
     }
     
-    // Sort by change percent
-    const gainers = stocks.filter(s => s.changePercent > 0).sort((a, b) => b.changePercent - a.changePercent).slice(0, 10);
-    const decliners = stocks.filter(s => s.changePercent < 0).sort((a, b) => a.changePercent - b.changePercent).slice(0, 10);
-    const active = [...stocks].sort((a, b) => b.volume - a.volume).slice(0, 10);
+    // The extended session the brief ranks by is the market clock's; each
+    // quote's own session only labels it on the page
+    let session = SESSION_LABELS[clock.session] ? clock.session : null;
     
-    return { indices, gainers, decliners, active };
-}
-
-async function generateAIAnalysis(data) {
-    // Simple rule-based analysis (can be enhanced with actual AI)
-    const { indices, gainers, decliners } = data;
+    // Pre-market and after-hours trades, unless the regular session is on, for
+    // the first-pass candidates and the tracked stocks (their key levels need them)
+    const shortlist = session ? firstPass(candidates, BRIEF_MOVERS) : [];
+    const extended = clock.session === 'regular' ? {} : await provider.getExtendedQuotes([...shortlist, ...TRACKED_STOCKS].map(s => s.symbol));
     
-    const nasdaq = indices.find(i => i.name === 'Nasdaq');
-    const sp500 = indices.find(i => i.name === 'S&P 500');
+    // Within an extended session only its own moves and volumes rank (pre-market
+    // the screens still show the previous session); with too few discovered
+    // movers trading in it, the tracked stocks are ranked instead, and with
+    // nothing trading in it yet, the last regular session
+    const candidateUniverse = universe;
+    let movers = rankMovers(session ? shortlist : candidates, { extended, session, count: BRIEF_MOVERS });
+    if (session && universe === 'discovered' && movers.ranked.length < MIN_CANDIDATES) {
+        console.log(`ℹ️ Only ${movers.ranked.length} discovered movers traded ${SESSION_LABELS[session].toLowerCase()}, ranking the tracked stocks instead`);
+        universe = 'tracked';
+        movers = rankMovers(tracked, { extended, session, count: BRIEF_MOVERS });
+    }
+    if (session && !movers.ranked.length) {
+        console.log(`ℹ️ Nothing traded ${SESSION_LABELS[session].toLowerCase()} yet, ranking the last regular session`);
+        session = null;
+        universe = candidateUniverse;
+        movers = rankMovers(candidates, { count: BRIEF_MOVERS });
+    }
+    const { gainers, decliners, active } = movers;
     
-    let sentiment = 'neutral';
-    if (nasdaq?.changePercent > 0.5 && sp500?.changePercent > 0.3) sentiment = 'bullish';
-    else if (nasdaq?.changePercent < -0.5 || sp500?.changePercent < -0.3) sentiment = 'bearish';
+    // The most relevant recent headline for each gainer and decliner, as the likely reason it moves
+    const news = await collectNews(provider, [...gainers, ...decliners].map(s => ({ symbol: s.symbol, name: s.company })));
+    const withHeadline = (s) => {
+        const item = headlineFor(news, s.symbol, { name: s.company });
+        return { ...s, headline: item && { title: item.title, url: item.url, source: item.source, time: item.time } };
+    };
     
-    const topGainer = gainers[0];
-    const topDecliner = decliners[0];
+    const quoted = (entries, name) => entries.filter(entry => quotes[entry.symbol])
+        .map(entry => ({ name: name(entry), changePercent: quotes[entry.symbol].changePercent }));
+    const sentiment = scoreSentiment({
+        indices: indices.filter(index => index.symbol !== 'VIX'),
+        vix: indices.find(index => index.symbol === 'VIX') || null,
+        breadth: TRACKED_STOCKS.map(entry => quotes[entry.symbol]).filter(Boolean),
+        futures: quoted(FUTURES, future => future.symbol.replace('=F', '')),
+        sectors: quoted(SECTORS, sector => sector.name)
+    });
     
-    return {
-        sentiment,
-        summary: `Pre-market shows ${sentiment} sentiment. ${topGainer ? `${topGainer.symbol} leading gains at +${topGainer.changePercent.toFixed(2)}%.` : ''} ${topDecliner ? `${topDecliner.symbol} down ${topDecliner.changePercent.toFixed(2)}%.` : ''}`,
-        keyLevels: `S&P 500 ${sp500?.changePercent >= 0 ? 'holding' : 'testing'} support at ${sp500?.price.toFixed(2)}.`,
-        watchlist: gainers.slice(0, 3).map(s => s.symbol).join(', ')
-    };
+    // Nearest support and resistance around the indices and tracked stocks,
+    // from the extended-hours price when there is one
+    const levels = [
+        ...INDICES.filter(entry => entry.symbol !== '^VIX').map(entry => ({ entry, name: entry.name, quote: quotes[entry.symbol] })),
+        ...TRACKED_STOCKS.map(entry => ({ entry, name: entry.symbol, quote: quotes[entry.symbol] }))
+    ].map(({ entry, name, quote }) => {
+        const price = extended[entry.symbol]?.price ?? quote?.price;
+        const found = levelsFor(entry.symbol, price, { count: BRIEF_LEVELS });
+        return found && { symbol: entry.symbol.replace('^', ''), name, session: extended[entry.symbol]?.session || null, ...found };
+    }).filter(Boolean);
+    
+    return { indices, gainers: gainers.map(withHeadline), decliners: decliners.map(withHeadline), active, session, clock, universe, sentiment, levels };
+}
+
+function formatPrice(price) {
+    return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
 }
 
 function formatNumber(num) {
@@ -125,281 +165,167 @@ function formatNumber(num) {
     return num.toString();
 }
 
-async function generateHTML(data) {
-    const analysis = await generateAIAnalysis(data);
-    const date = new Date().toLocaleDateString('en-US', {
+async function generateHTML(data, analysis) {
+    const date = now().toLocaleDateString('en-US', {
+        timeZone: TIME_ZONE,
         weekday: 'long',
         year: 'numeric',
         month: 'long',
         day: 'numeric'
     });
     
-    const indicesHtml = data.indices.map(idx => `
+    const indicesHtml = data.indices.map(idx => html`
         <div class="index-item">
             <div class="index-name">${idx.name}</div>
-            <div class="index-value">${idx.price.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</div>
+            <div class="index-value">${formatPrice(idx.price)}</div>
             <div class="index-change ${idx.changePercent >= 0 ? 'positive' : 'negative'}">
                 ${idx.changePercent >= 0 ? '+' : ''}${idx.changePercent.toFixed(2)}%
             </div>
         </div>
-    `).join('');
+    `);
     
-    const renderStocks = (stocks) => stocks.map(stock => `
-        <li class="stock-item">
-            <div class="stock-info">
-                <div class="stock-symbol">${stock.symbol}</div>
-                <div class="stock-name">${stock.company || stock.symbol}</div>
+    // 0-100 gauge with each factor's score; factors without data are listed but not counted
+    const { sentiment } = data;
+    const gaugeHtml = html`
+            <div class="gauge">
+                <div class="gauge-score ${sentiment.sentiment}">${sentiment.score}<span>/100</span></div>
+                <div class="gauge-label">${sentiment.label}</div>
+                <div class="gauge-bar"><div class="gauge-fill ${sentiment.sentiment}" style="width: ${sentiment.score}%"></div></div>
             </div>
-            <div class="stock-change">
+            <table class="gauge-factors">
+                <thead><tr><th>Factor</th><th>Weight</th><th>Score</th><th>Reading</th></tr></thead>
+                <tbody>${sentiment.factors.map(factor => html`
+                    <tr${factor.score === null ? html` class="no-data"` : ''}>
+                        <td>${factor.name}</td>
+                        <td>${factor.weight}%</td>
+                        <td>${factor.score === null ? '-' : factor.score}</td>
+                        <td>${factor.detail}</td>
+                    </tr>`)}
+                </tbody>
+            </table>`;
+    
+    // Nearest resistance and support; session-labelled rows are measured from the
+    // extended price. The card is left out until some symbol has enough OHLC history
+    const levelList = (levels) => levels.length
+        ? levels.map(level => html`<div class="level">${formatPrice(level.price)} <span class="level-names">${level.names.join(', ')}</span></div>`)
+        : '-';
+    const levelsHtml = html`
+            <table class="levels-table">
+                <thead><tr><th>Symbol</th><th>Price</th><th>Resistance</th><th>Support</th></tr></thead>
+                <tbody>${data.levels.map(row => html`
+                    <tr>
+                        <td class="stock-symbol">${row.name}</td>
+                        <td>${formatPrice(row.price)}${row.session && html`<div class="session-label">${SESSION_LABELS[row.session]}</div>`}</td>
+                        <td>${levelList(row.above)}</td>
+                        <td>${levelList(row.below)}</td>
+                    </tr>`)}
+                </tbody>
+            </table>`;
+    
+    // Extended-hours rows show the gap against the prior close, the price and
+    // the volume traded in that session; the regular close stays alongside
+    const stockChange = (stock) => {
+        const { extended } = stock;
+        if (!extended) {
+            return html`
                 <div class="change-percent ${stock.changePercent >= 0 ? 'positive' : 'negative'}">
                     ${stock.changePercent >= 0 ? '+' : ''}${stock.changePercent.toFixed(2)}%
                 </div>
-                <div class="change-value">${stock.change >= 0 ? '+' : ''}$${Math.abs(stock.change).toFixed(2)}</div>
+                <div class="change-value">${stock.change >= 0 ? '+' : ''}$${Math.abs(stock.change).toFixed(2)}</div>`;
+        }
+        return html`
+                <div class="session-label">${SESSION_LABELS[extended.session]}</div>
+                <div class="change-percent ${extended.gapPercent >= 0 ? 'positive' : 'negative'}">
+                    ${extended.gapPercent >= 0 ? '+' : ''}${extended.gapPercent.toFixed(2)}%
+                </div>
+                <div class="change-value">$${extended.price.toFixed(2)} · vol ${formatNumber(extended.volume)}</div>
+                <div class="change-value">vs. $${extended.priorClose.toFixed(2)} close</div>`;
+    };
+    
+    const stockList = (stocks) => html`<ul class="stock-list">${stocks.map(stock => html`
+        <li class="stock-item">
+            <div class="stock-info">
+                <div class="stock-symbol">${stock.symbol}</div>
+                <div class="stock-name">${stock.company || stock.symbol}</div>${stock.headline && html`
+                <div class="stock-headline">
+                    <a href="${stock.headline.url}" rel="nofollow noopener" target="_blank">${stock.headline.title}</a>
+                    <span class="headline-meta">${stock.headline.source} · ${formatDay(stock.headline.time)} ${formatTime(stock.headline.time)}</span>
+                </div>`}
+            </div>
+            <div class="stock-change">${stockChange(stock)}
             </div>
         </li>
-    `).join('');
+    `)}</ul>`;
     
-    return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Pre-Market Stock Brief | ${date}</title>
-    <meta name="description" content="Daily pre-market stock briefing for ${date}. Top gainers, decliners, and market analysis before the bell.">
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { 
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            background: #0a0e1a;
-            color: #e8eaed;
-            line-height: 1.6;
-        }
-        .container { max-width: 900px; margin: 0 auto; padding: 20px; }
-        header { 
-            text-align: center; 
-            padding: 40px 0; 
-            border-bottom: 1px solid #1e3a5f;
-            margin-bottom: 30px;
-        }
-        h1 { 
-            font-size: 2.5em; 
-            background: linear-gradient(135deg, #00d4aa, #00a8e8);
-            -webkit-background-clip: text;
-            -webkit-text-fill-color: transparent;
-            margin-bottom: 10px;
-        }
-        .tagline { color: #8b92a8; font-size: 1.1em; }
-        .date { 
-            color: #00d4aa; 
-            font-size: 0.9em; 
-            margin-top: 15px;
-            font-family: monospace;
-        }
-        .card {
-            background: #111827;
-            border: 1px solid #1e3a5f;
-            border-radius: 12px;
-            padding: 25px;
-            margin-bottom: 25px;
-        }
-        .card h2 {
-            color: #00d4aa;
-            font-size: 1.3em;
-            margin-bottom: 20px;
-            display: flex;
-            align-items: center;
-            gap: 10px;
-        }
-        .index-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-            gap: 15px;
-        }
-        .index-item {
-            background: #0d1117;
-            padding: 20px;
-            border-radius: 8px;
-            border-left: 4px solid #00d4aa;
-        }
-        .index-name { font-size: 0.85em; color: #8b92a8; margin-bottom: 5px; }
-        .index-value { font-size: 1.8em; font-weight: bold; }
-        .index-change { font-size: 0.9em; margin-top: 5px; }
-        .positive { color: #00d4aa; }
-        .negative { color: #ff4757; }
-        .stock-list { list-style: none; }
-        .stock-item {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            padding: 15px 0;
-            border-bottom: 1px solid #1e3a5f;
-        }
-        .stock-item:last-child { border-bottom: none; }
-        .stock-info { flex: 1; }
-        .stock-symbol { font-weight: bold; font-size: 1.1em; color: #fff; }
-        .stock-name { font-size: 0.85em; color: #8b92a8; }
-        .stock-change { text-align: right; }
-        .change-percent { font-size: 1.2em; font-weight: bold; }
-        .change-value { font-size: 0.85em; color: #8b92a8; }
-        .analysis {
-            background: linear-gradient(135deg, rgba(0, 212, 170, 0.1), rgba(0, 168, 232, 0.1));
-            border-left: 4px solid #00a8e8;
-        }
-        .analysis-text { line-height: 1.8; color: #c9d1d9; }
-        .analysis p { margin-bottom: 15px; }
-        .sentiment { 
-            display: inline-block;
-            padding: 5px 15px;
-            border-radius: 20px;
-            font-size: 0.85em;
-            font-weight: bold;
-            text-transform: uppercase;
-        }
-        .sentiment.bullish { background: rgba(0, 212, 170, 0.2); color: #00d4aa; }
-        .sentiment.bearish { background: rgba(255, 71, 87, 0.2); color: #ff4757; }
-        .sentiment.neutral { background: rgba(139, 146, 168, 0.2); color: #8b92a8; }
-        .ad-container {
-            background: #1a1f2e;
-            border: 2px dashed #2d3748;
-            border-radius: 8px;
-            padding: 60px 20px;
-            text-align: center;
-            margin: 30px 0;
-            color: #4a5568;
-        }
-        footer {
-            text-align: center;
-            padding: 40px 0;
-            color: #4a5568;
-            font-size: 0.85em;
-            border-top: 1px solid #1e3a5f;
-            margin-top: 40px;
-        }
-        .update-time {
-            text-align: center;
-            color: #4a5568;
-            font-size: 0.8em;
-            margin-top: 20px;
-        }
-    </style>
-    <!-- Google AdSense Script (Add your ID later) -->
-    <script async src="https://pagead2.googlesyndication.com/pagead/js/adsbygoogle.js?client=ca-pub-XXXXXXXXXXXXXXXX" crossorigin="anonymous"></script>
-</head>
-<body>
-    <div class="container">
-        <header>
-            <h1>📈 Pre-Market Brief</h1>
-            <p class="tagline">Daily stock market intelligence before the bell</p>
-            <p class="date">${date}</p>
-        </header>
-
-        <!-- AdSense Top Banner -->
-        <div class="ad-container">
-            <ins class="adsbygoogle"
-                 style="display:block"
-                 data-ad-client="ca-pub-XXXXXXXXXXXXXXXX"
-                 data-ad-slot="XXXXXXXXXX"
-                 data-ad-format="auto"
-                 data-full-width-responsive="true"></ins>
-            <script>(adsbygoogle = window.adsbygoogle || []).push({});</script>
-        </div>
+    const label = SESSION_LABELS[data.session];
+    const fallback = data.clock.session === 'regular' ? 'Today' : 'Last Session';
+    const moverTitle = (emoji, title) => label ? `${emoji} Top ${label} ${title}` : `${emoji} Top ${title} (${fallback})`;
+    
+    return layout({
+        page: 'brief',
+        title: `${site.title} | ${date}`,
+        description: `Daily pre-market stock briefing for ${date}. Top gainers, decliners, and market analysis before the bell.`,
+        footer: 'Data provided by Yahoo Finance',
+        body: html`
+        ${pageHeader({ title: `📈 ${site.name}`, tagline: 'Daily stock market intelligence before the bell', date, status: marketStatus(data.clock) })}
 
-        <!-- Market Overview -->
-        <div class="card">
-            <h2>🌅 Pre-Market Indices</h2>
-            <div class="index-grid">
-                ${indicesHtml}
-            </div>
-        </div>
+        ${adSlot('top')}
 
-        <!-- AdSense In-Article -->
-        <div class="ad-container">
-            <ins class="adsbygoogle"
-                 style="display:block; text-align:center;"
-                 data-ad-layout="in-article"
-                 data-ad-format="fluid"
-                 data-ad-client="ca-pub-XXXXXXXXXXXXXXXX"
-                 data-ad-slot="XXXXXXXXXX"></ins>
-            <script>(adsbygoogle = window.adsbygoogle || []).push({});</script>
-        </div>
+        ${card({ title: '🌅 Market Indices', body: html`<div class="index-grid">${indicesHtml}</div>` })}
+        ${card({ title: '🧭 Sentiment Gauge', className: 'sentiment-gauge', body: gaugeHtml })}
 
-        <!-- Top Movers -->
-        <div class="card">
-            <h2>🚀 Top Pre-Market Gainers</h2>
-            <ul class="stock-list">
-                ${renderStocks(data.gainers.slice(0, 10))}
-            </ul>
-        </div>
+        ${adSlot('inArticle')}
 
-        <div class="card">
-            <h2>📉 Top Pre-Market Decliners</h2>
-            <ul class="stock-list">
-                ${renderStocks(data.decliners.slice(0, 10))}
-            </ul>
-        </div>
+        ${card({ title: moverTitle('🚀', 'Gainers'), body: stockList(data.gainers.slice(0, 10)) })}
+        ${card({ title: moverTitle('📉', 'Decliners'), body: stockList(data.decliners.slice(0, 10)) })}
+        ${card({ title: label ? `🔥 Most Active ${label}` : `🔥 Most Active (${fallback})`, body: stockList(data.active.slice(0, 10)) })}
 
-        <!-- Most Active -->
-        <div class="card">
-            <h2>🔥 Most Active Pre-Market</h2>
-            <ul class="stock-list">
-                ${renderStocks(data.active.slice(0, 10))}
-            </ul>
-        </div>
+        ${data.levels.length > 0 && card({ title: '📐 Key Levels', className: 'key-levels', body: levelsHtml })}
 
-        <!-- AI Analysis -->
-        <div class="card analysis">
-            <h2>🤖 Market Analysis</h2>
+        ${card({ title: '🤖 Market Analysis', className: 'analysis', body: html`
             <div class="analysis-text">
                 <p><strong>Sentiment:</strong> <span class="sentiment ${analysis.sentiment}">${analysis.sentiment}</span></p>
                 <p><strong>Summary:</strong> ${analysis.summary}</p>
                 <p><strong>Key Levels:</strong> ${analysis.keyLevels}</p>
-                <p><strong>Watchlist:</strong> ${analysis.watchlist}</p>
-            </div>
-        </div>
+                <p><strong>Watchlist:</strong> ${analysis.watchlist.join(', ')}</p>
+                <p><strong>Risks:</strong></p>
+                <ul class="risks">${analysis.risks.map(risk => html`<li>${risk}</li>`)}</ul>
+            </div>` })}
 
-        <!-- AdSense Bottom -->
-        <div class="ad-container">
-            <ins class="adsbygoogle"
-                 style="display:block"
-                 data-ad-client="ca-pub-XXXXXXXXXXXXXXXX"
-                 data-ad-slot="XXXXXXXXXX"
-                 data-ad-format="auto"
-                 data-full-width-responsive="true"></ins>
-            <script>(adsbygoogle = window.adsbygoogle || []).push({});</script>
-        </div>
+        ${adSlot('bottom')}
 
         <div class="update-time">
-            Data updated: ${new Date().toLocaleString('en-US', {timeZone: 'America/New_York'})} EST
-        </div>
-
-        <footer>
-            <p>Pre-Market Brief &copy; ${new Date().getFullYear()}</p>
-            <p style="margin-top: 10px; font-size: 0.8em;">
-                Data provided by Yahoo Finance | For informational purposes only. Not investment advice.
-            </p>
-        </footer>
-    </div>
-</body>
-</html>`;
+            Data updated: ${asOf()}
+        </div>`
+    });
 }
 
-async function main() {
-    console.log('🚀 Generating Pre-Market Brief...\n');
+async function generate({ provider }) {
+    console.log(`🚀 Generating ${site.name} (${site.env})...\n`);
     
-    const data = await fetchAllData();
+    const data = await fetchAllData(provider);
     
     console.log('✓ Fetched', data.indices.length, 'indices');
     console.log('✓ Fetched', data.gainers.length + data.decliners.length, 'stocks');
     
-    const html = await generateHTML(data);
+    const analysis = await generateCommentary(data);
+    console.log(`✓ Commentary by ${analysis.engine}: ${analysis.provenance.length} sentences verified, ${analysis.rejected.length} dropped`);
+    
+    const page = await generateHTML(data, analysis);
+    console.log('✅ Built index.html');
     
-    const outputPath = path.join(__dirname, 'index.html');
-    fs.writeFileSync(outputPath, html);
+    // Which data points back each published sentence of the analysis card
+    const { provenance, rejected, ...commentary } = analysis;
+    const record = { date: data.clock.date, session: data.session || data.clock.session, commentary, provenance, rejected };
     
-    console.log('\n✅ Generated:', outputPath);
-    console.log('\nNext steps:');
-    console.log('1. git add index.html && git commit -m "Update"');
-    console.log('2. git push origin main');
+    return [
+        { path: 'index.html', inputs: { data, commentary }, content: page },
+        { path: 'commentary.json', inputs: record, content: JSON.stringify(record, null, 2) }
+    ];
+}
+
+if (require.main === module) {
+    run(__filename, generate);
 }
 
-main().catch(console.error);
+module.exports = { generate };
@@ -0,0 +1,28 @@
+/**
+ * Hashed site assets
+ *
+ * assets/site.css is published as assets/site.<hash>.css, so browsers and
+ * CDNs can cache it forever and a changed stylesheet gets a new URL. Pages
+ * link it through lib/layout.js; lib/site.js writes it to the output root.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const STYLESHEET_SOURCE = path.join(__dirname, '..', 'assets', 'site.css');
+
+let cached = null;
+
+// { path, href, hash, content } of the stylesheet, read once per process
+function stylesheet() {
+    if (!cached) {
+        const content = fs.readFileSync(STYLESHEET_SOURCE, 'utf8');
+        const hash = crypto.createHash('sha1').update(content).digest('hex').slice(0, 10);
+        const file = `assets/site.${hash}.css`;
+        cached = { path: file, href: `/${file}`, hash, content };
+    }
+    return cached;
+}
+
+module.exports = { STYLESHEET_SOURCE, stylesheet };
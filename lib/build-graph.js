@@ -0,0 +1,228 @@
+/**
+ * Build graph
+ *
+ * Every generator is a node that declares the files it reads (inputs), the
+ * files it writes (outputs) and the nodes it needs to run after (deps).
+ * runGraph() calls each node's generate() in this process (see
+ * lib/generator.js), starting it as soon as its dependencies succeed and
+ * running independent nodes side by side, so they all share one data
+ * provider, request scheduler and cache. When a node fails, everything
+ * downstream of it is skipped, and a per-node timing summary is printed at
+ * the end.
+ *
+ *   node lib/build-graph.js                 run the whole graph
+ *   node lib/build-graph.js --only rss      run rss and what it depends on
+ *   node lib/build-graph.js --list          print the nodes and exit
+ *   node lib/build-graph.js --clean         empty the output root first
+ *
+ * Outputs are paths relative to the output root (OUTPUT_DIR, default dist/).
+ * BUILD_CONCURRENCY (default 4) caps the nodes running at once.
+ */
+
+const path = require('path');
+const { createContext, build } = require('./generator');
+const site = require('./site');
+
+const ROOT = path.join(__dirname, '..');
+
+const NODES = [
+    { name: 'static', script: 'lib/site.js', inputs: [], outputs: [...site.staticFiles(), 'archive/*.html'], deps: [] },
+    { name: 'symbols', script: 'lib/symbols.js', inputs: ['symbols.json'], outputs: [], deps: [] },
+    // Appends this cycle's quotes to the price history that stock pages and key levels read
+    { name: 'prices', script: 'lib/price-store.js', inputs: ['symbols.json'], outputs: [], deps: ['symbols'] },
+    { name: 'brief', script: 'generate.js', inputs: ['symbols.json'], outputs: ['index.html', 'commentary.json'], deps: ['symbols', 'prices'] },
+    { name: 'pages', script: 'generate-pages.js', inputs: ['symbols.json'], outputs: ['pages/*.html'], deps: ['symbols'] },
+    { name: 'crypto', script: 'generate-crypto.js', inputs: ['symbols.json'], outputs: ['crypto.html'], deps: ['symbols'] },
+    { name: 'earnings', script: 'generate-earnings.js', inputs: ['symbols.json'], outputs: ['earnings-calendar.html'], deps: ['symbols'] },
+    { name: 'ipo', script: 'generate-ipo.js', inputs: [], outputs: ['ipo-calendar.html'], deps: [] },
+    { name: 'screener', script: 'generate-screener.js', inputs: ['symbols.json'], outputs: ['screener.html'], deps: ['symbols'] },
+    { name: 'stock-pages', script: 'generate-stock-pages.js', inputs: ['symbols.json'], outputs: ['stock/*.html'], deps: ['symbols', 'prices'] },
+    { name: 'more-stock-pages', script: 'generate-stocks-batch2.js', inputs: ['symbols.json'], outputs: ['stock/*.html'], deps: ['symbols'] },
+    { name: 'etfs', script: 'generate-etfs.js', inputs: ['symbols.json'], outputs: ['etf/*.html', 'etf.html'], deps: ['symbols'] },
+    { name: 'sectors', script: 'generate-sectors.js', inputs: ['symbols.json'], outputs: ['sectors/*.html', 'sectors.html'], deps: ['symbols'] },
+    { name: 'dividends', script: 'generate-dividends.js', inputs: ['symbols.json'], outputs: ['dividend-calendar.html'], deps: ['symbols'] },
+    { name: 'economic', script: 'generate-economic.js', inputs: [], outputs: ['economic-calendar.html'], deps: [] },
+    { name: 'futures', script: 'generate-futures.js', inputs: ['symbols.json'], outputs: ['futures.html'], deps: ['symbols'] },
+    { name: 'market-hours', script: 'generate-market-hours.js', inputs: [], outputs: ['market-hours.html'], deps: [] },
+    { name: 'news', script: 'generate-news.js', inputs: ['symbols.json'], outputs: ['news.html'], deps: ['symbols'] },
+    { name: 'indicators', script: 'generate-indicators.js', inputs: [], outputs: ['indicators/*.html', 'indicators.html'], deps: [] },
+    // Archives today's index.html, so it must only run after a successful
+    // brief, and lists the archive the static node restored
+    {
+        name: 'rss',
+        script: 'generate-rss.js',
+        inputs: ['index.html', 'archive/*.html'],
+        outputs: ['feed.xml', 'sitemap.xml', 'archive.html', 'archive/*.html'],
+        deps: ['brief', 'static']
+    }
+];
+
+// Throws on duplicate names, unknown or cyclic deps, and on inputs that
+// another node produces without being declared as a dependency
+function validateGraph(nodes) {
+    const byName = new Map();
+    for (const node of nodes) {
+        if (byName.has(node.name)) throw new Error(`Build graph: duplicate node "${node.name}"`);
+        byName.set(node.name, node);
+    }
+
+    for (const node of nodes) {
+        for (const dep of node.deps) {
+            if (!byName.has(dep)) throw new Error(`Build graph: "${node.name}" depends on unknown node "${dep}"`);
+        }
+    }
+
+    const upstream = (name, seen = new Set()) => {
+        for (const dep of byName.get(name).deps) {
+            if (seen.has(dep)) continue;
+            seen.add(dep);
+            upstream(dep, seen);
+        }
+        return seen;
+    };
+
+    for (const node of nodes) {
+        const ancestors = upstream(node.name);
+        if (ancestors.has(node.name)) {
+            throw new Error(`Build graph: dependency cycle through "${node.name}"`);
+        }
+        for (const input of node.inputs) {
+            const producers = nodes.filter(other => other !== node && other.outputs.includes(input));
+            const missing = producers.filter(producer => !ancestors.has(producer.name));
+            if (missing.length) {
+                throw new Error(`Build graph: "${node.name}" reads ${input} from "${missing[0].name}" without depending on it`);
+            }
+        }
+    }
+
+    return byName;
+}
+
+// The named nodes plus everything they depend on, in declaration order
+function selectNodes(nodes, names) {
+    const byName = validateGraph(nodes);
+    const wanted = new Set();
+    const visit = (name) => {
+        if (!byName.has(name)) throw new Error(`Build graph: unknown node "${name}"`);
+        if (wanted.has(name)) return;
+        wanted.add(name);
+        byName.get(name).deps.forEach(visit);
+    };
+    names.forEach(visit);
+    return nodes.filter(node => wanted.has(node.name));
+}
+
+// Build one node's pages and write them
+async function runNode(node, context) {
+    const file = path.join(ROOT, node.script);
+    const { generate } = require(file);
+    return build(file, generate, context);
+}
+
+function formatSummary(results) {
+    const width = Math.max(...results.map(r => r.name.length));
+    const icons = { ok: '✅', failed: '❌', skipped: '⏭️ ' };
+    const lines = results.map(r => {
+        const time = r.ms === null ? '-' : `${(r.ms / 1000).toFixed(1)}s`;
+        return `   ${icons[r.status]} ${r.name.padEnd(width)}  ${time.padStart(6)}${r.reason ? `  ${r.reason}` : ''}`;
+    });
+    return ['⏱️ Build summary', ...lines].join('\n');
+}
+
+/**
+ * Run the graph. Resolves to { ok, results, validation } where results holds
+ * { name, status: 'ok' | 'failed' | 'skipped', ms, reason } per node in
+ * declaration order and validation is the quote validation summary
+ * (lib/quote-validation.js).
+ */
+async function runGraph({ nodes = NODES, only = null, concurrency, log = console.log } = {}) {
+    const selected = only?.length ? selectNodes(nodes, only) : (validateGraph(nodes), nodes);
+    const limit = Math.max(1, concurrency || Number(process.env.BUILD_CONCURRENCY) || 4);
+    const context = createContext();
+
+    const state = new Map(selected.map(node => [node.name, { name: node.name, status: 'pending', ms: null, reason: null }]));
+    const started = Date.now();
+    let running = 0;
+
+    await new Promise((resolve) => {
+        // Start or skip every node whose dependencies have settled, until nothing changes
+        const pump = () => {
+            let changed = true;
+            while (changed) {
+                changed = false;
+                for (const node of selected) {
+                    const result = state.get(node.name);
+                    if (result.status !== 'pending') continue;
+
+                    const deps = node.deps.filter(dep => state.has(dep)).map(dep => state.get(dep));
+                    const broken = deps.find(dep => dep.status === 'failed' || dep.status === 'skipped');
+                    if (broken) {
+                        result.status = 'skipped';
+                        result.reason = `${broken.name} ${broken.status}`;
+                        changed = true;
+                        continue;
+                    }
+                    if (running >= limit || deps.some(dep => dep.status !== 'ok')) continue;
+
+                    result.status = 'running';
+                    running++;
+                    changed = true;
+                    const t0 = Date.now();
+                    log(`▶️ ${node.name} (${node.script})`);
+                    runNode(node, context).then(() => {
+                        result.status = 'ok';
+                    }, error => {
+                        console.error(`❌ ${node.name}:`, error);
+                        result.status = 'failed';
+                        result.reason = error.message;
+                    }).then(() => {
+                        running--;
+                        result.ms = Date.now() - t0;
+                        pump();
+                    });
+                }
+            }
+            if (running === 0) resolve();
+        };
+        pump();
+    });
+
+    const results = [...state.values()];
+    log(formatSummary(results));
+    log(`   total ${((Date.now() - started) / 1000).toFixed(1)}s`);
+    log(context.validation.formatReport());
+
+    return { ok: results.every(r => r.status === 'ok'), results, validation: context.validation.summary() };
+}
+
+// Output globs of the nodes that built successfully, for publishing
+function builtOutputs(results, nodes = NODES) {
+    const ok = new Set(results.filter(r => r.status === 'ok').map(r => r.name));
+    return [...new Set(nodes.filter(node => ok.has(node.name)).flatMap(node => node.outputs))];
+}
+
+if (require.main === module) {
+    const onlyArg = process.argv.find(arg => arg.startsWith('--only'));
+    const onlyValue = onlyArg === '--only' ? process.argv[process.argv.indexOf('--only') + 1] : onlyArg?.split('=')[1];
+
+    if (process.argv.includes('--list')) {
+        validateGraph(NODES);
+        NODES.forEach(node => console.log(`${node.name.padEnd(18)} ${node.script.padEnd(28)} deps: ${node.deps.join(', ') || '-'}`));
+    } else {
+        if (process.argv.includes('--clean')) site.clean();
+        runGraph({ only: onlyValue ? onlyValue.split(',') : null }).then(({ ok }) => {
+            if (!ok) process.exitCode = 1;
+        }).catch(e => {
+            console.error(`❌ ${e.message}`);
+            process.exitCode = 1;
+        });
+    }
+}
+
+module.exports = {
+    NODES,
+    validateGraph,
+    selectNodes,
+    runGraph,
+    builtOutputs
+};
@@ -0,0 +1,175 @@
+/**
+ * On-disk HTTP response cache
+ *
+ * Responses are stored under .cache/http (HTTP_CACHE_DIR) keyed by URL and
+ * reused until their endpoint's TTL runs out, so the scripts of one update
+ * cycle share a single request per symbol. TTLs are in seconds and can be
+ * overridden per endpoint type:
+ *
+ *   HTTP_CACHE_TTL_CHART         default 900     (15 minutes)
+ *   HTTP_CACHE_TTL_QUOTE         default 900     (batched quotes)
+ *   HTTP_CACHE_TTL_SPARK         default 900     (batched daily closes)
+ *   HTTP_CACHE_TTL_QUOTESUMMARY  default 86400   (names and profiles rarely change)
+ *   HTTP_CACHE_TTL_TRENDING      default 300
+ *   HTTP_CACHE_TTL_SCREENER      default 300     (predefined movers screens)
+ *   HTTP_CACHE_TTL_SEARCH        default 900     (per-symbol news)
+ *   HTTP_CACHE_TTL_FEED          default 600     (RSS and Atom news feeds)
+ *
+ * HTTP_CACHE=off disables the cache. Hit/miss counters are kept per process
+ * and accumulated in stats.json next to the cached responses.
+ *
+ *   node lib/cache.js --stats    print accumulated hit/miss statistics
+ *   node lib/cache.js --clear    delete every cached response and the stats
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_DIR = path.resolve(process.env.HTTP_CACHE_DIR || path.join(__dirname, '..', '.cache', 'http'));
+const STATS_PATH = path.join(CACHE_DIR, 'stats.json');
+
+const ENDPOINT_TYPES = [
+    { type: 'chart', pattern: /\/v8\/finance\/chart\//, ttl: 900 },
+    { type: 'quote', pattern: /\/v7\/finance\/quote\?/, ttl: 900 },
+    { type: 'spark', pattern: /\/v7\/finance\/spark\?/, ttl: 900 },
+    { type: 'quoteSummary', pattern: /\/v10\/finance\/quoteSummary\//, ttl: 86400 },
+    { type: 'trending', pattern: /\/v1\/finance\/trending\//, ttl: 300 },
+    { type: 'screener', pattern: /\/v1\/finance\/screener\//, ttl: 300 },
+    { type: 'search', pattern: /\/v1\/finance\/search\?/, ttl: 900 },
+    { type: 'feed', pattern: /\/(?:rss|feeds?|atom)\b|\.(?:rss|atom|xml)(?:\?|$)/i, ttl: 600 }
+];
+
+const enabled = process.env.HTTP_CACHE !== 'off';
+
+const counters = {};
+
+function endpointType(url) {
+    return ENDPOINT_TYPES.find(e => e.pattern.test(url)) || null;
+}
+
+function ttlFor(endpoint) {
+    const override = process.env[`HTTP_CACHE_TTL_${endpoint.type.toUpperCase()}`];
+    return override !== undefined ? Number(override) : endpoint.ttl;
+}
+
+function entryPath(url) {
+    const hash = crypto.createHash('sha1').update(url).digest('hex');
+    return path.join(CACHE_DIR, hash.slice(0, 2), `${hash}.json`);
+}
+
+function count(type, outcome) {
+    counters[type] = counters[type] || { hits: 0, misses: 0 };
+    counters[type][outcome]++;
+}
+
+// Cached body for url, or undefined when missing, expired or uncacheable
+function get(url) {
+    const endpoint = endpointType(url);
+    if (!enabled || !endpoint) return undefined;
+
+    const file = entryPath(url);
+    try {
+        const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (Date.now() - entry.fetchedAt < ttlFor(endpoint) * 1000) {
+            count(endpoint.type, 'hits');
+            return entry.body;
+        }
+    } catch {
+        // missing or unreadable entry: treat as a miss
+    }
+
+    count(endpoint.type, 'misses');
+    return undefined;
+}
+
+function set(url, body) {
+    const endpoint = endpointType(url);
+    if (!enabled || !endpoint || ttlFor(endpoint) <= 0) return;
+
+    const file = entryPath(url);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ url, fetchedAt: Date.now(), body }));
+}
+
+function readStats() {
+    try {
+        return JSON.parse(fs.readFileSync(STATS_PATH, 'utf8'));
+    } catch {
+        return {};
+    }
+}
+
+function mergeStats(into, from) {
+    for (const [type, { hits, misses }] of Object.entries(from)) {
+        into[type] = into[type] || { hits: 0, misses: 0 };
+        into[type].hits += hits;
+        into[type].misses += misses;
+    }
+    return into;
+}
+
+function formatStats(stats) {
+    const types = Object.entries(stats);
+    if (!types.length) return 'no cacheable requests';
+
+    const totals = Object.values(stats).reduce((sum, s) => ({
+        hits: sum.hits + s.hits,
+        misses: sum.misses + s.misses
+    }), { hits: 0, misses: 0 });
+
+    const detail = types.map(([type, s]) => `${type} ${s.hits}/${s.hits + s.misses}`).join(', ');
+    return `${totals.hits} hits, ${totals.misses} misses (${detail})`;
+}
+
+// Counters for this process only
+function stats() {
+    return mergeStats({}, counters);
+}
+
+// This process's counters gained since an earlier stats() snapshot; stats.json
+// is only written on exit, so it can't measure a cycle of a long-running daemon
+function statsSince(snapshot) {
+    const since = {};
+    for (const [type, { hits, misses }] of Object.entries(stats())) {
+        const before = snapshot[type] || { hits: 0, misses: 0 };
+        if (hits === before.hits && misses === before.misses) continue;
+        since[type] = { hits: hits - before.hits, misses: misses - before.misses };
+    }
+    return since;
+}
+
+function clear() {
+    fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+}
+
+// Fold this process's counters into stats.json and report them once on exit
+process.on('exit', () => {
+    if (!Object.keys(counters).length) return;
+    try {
+        fs.mkdirSync(CACHE_DIR, { recursive: true });
+        fs.writeFileSync(STATS_PATH, JSON.stringify(mergeStats(readStats(), counters), null, 2));
+    } catch {
+        // statistics are best effort
+    }
+    console.log(`📦 HTTP cache: ${formatStats(counters)}`);
+});
+
+if (require.main === module) {
+    if (process.argv.includes('--clear')) {
+        clear();
+        console.log(`🧹 Cleared ${CACHE_DIR}`);
+    } else {
+        console.log(`📦 HTTP cache (${CACHE_DIR}): ${formatStats(readStats())}`);
+    }
+}
+
+module.exports = {
+    get,
+    set,
+    stats,
+    readStats,
+    statsSince,
+    formatStats,
+    clear
+};
@@ -0,0 +1,28 @@
+/**
+ * Time and randomness for generators
+ * Real clock normally; frozen clock and seeded random when replaying fixtures.
+ */
+
+const fixtures = require('./fixtures');
+
+function now() {
+    const frozen = fixtures.frozenTime();
+    return frozen === null ? new Date() : new Date(frozen);
+}
+
+// mulberry32, seeded from the frozen time so replays draw the same sequence
+let seed = null;
+
+function random() {
+    const frozen = fixtures.frozenTime();
+    if (frozen === null) return Math.random();
+
+    if (seed === null) seed = frozen % 4294967296;
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+module.exports = { now, random };
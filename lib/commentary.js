@@ -0,0 +1,400 @@
+#!/usr/bin/env node
+/**
+ * Market commentary engine
+ *
+ * The brief's analysis card is written by one of interchangeable engines:
+ *
+ *   rules   the sentiment gauge (lib/sentiment.js) and the top movers (default)
+ *   llm     any OpenAI-compatible chat completions endpoint: a hosted model,
+ *           a local server, or the stand-in below
+ *   <path>  a user-supplied module exporting generate(facts) (or a factory)
+ *
+ * Pick one with COMMENTARY_ENGINE. Engines get the same compact facts built
+ * from the brief's data (facts()) and return the same shape, SCHEMA:
+ *
+ *   { sentiment: 'bullish' | 'bearish' | 'neutral', summary, keyLevels, watchlist: ['AAPL'], risks: ['...'] }
+ *
+ * The llm engine renders the prompt templates in prompts/ and asks for one
+ * JSON object. Valid answers are cached by a hash of the request in
+ * COMMENTARY_CACHE_DIR (default .cache/commentary; the fixture directory when
+ * recording or replaying, and replays never call the model). When the
+ * endpoint is down, times out or answers with anything that doesn't match the
+ * schema, the rules engine writes the commentary instead; the result names
+ * the engine that wrote it and, after a fallback, why. Every engine's text
+ * then goes through the fact-check (lib/fact-check.js).
+ *
+ *   COMMENTARY_LLM_URL       base URL, e.g. http://localhost:8080/v1
+ *   COMMENTARY_LLM_MODEL     model name sent with each request
+ *   COMMENTARY_LLM_API_KEY   bearer token, for endpoints that need one
+ *   COMMENTARY_LLM_TIMEOUT   seconds to wait for an answer (default 30)
+ *
+ *   node lib/commentary.js --serve [8080]   stand-in endpoint that answers with the rules engine
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const fixtures = require('./fixtures');
+const { checkCommentary } = require('./fact-check');
+const { site } = require('./config');
+const { now } = require('./clock');
+
+const ROOT = path.join(__dirname, '..');
+const PROMPTS_DIR = path.join(ROOT, 'prompts');
+const CACHE_DIR = path.resolve(process.env.COMMENTARY_CACHE_DIR
+    || (fixtures.dir ? path.join(fixtures.dir, 'commentary') : path.join(ROOT, '.cache', 'commentary')));
+
+const SENTIMENTS = ['bullish', 'bearish', 'neutral'];
+
+const SCHEMA = {
+    type: 'object',
+    required: ['sentiment', 'summary', 'keyLevels', 'watchlist', 'risks'],
+    properties: {
+        sentiment: { enum: SENTIMENTS },
+        summary: { type: 'string', maxLength: 600 },
+        keyLevels: { type: 'string', maxLength: 300 },
+        watchlist: { type: 'array', maxItems: 5, items: { type: 'string', description: 'tickers from the data' } },
+        risks: { type: 'array', minItems: 1, maxItems: 4, items: { type: 'string', maxLength: 200 } }
+    }
+};
+
+const SESSION_NAMES = { pre: 'Pre-Market', post: 'After-Hours' };
+const REGULAR_SESSION = "Today's session";
+const LAST_SESSION = 'The last session';
+
+// The rules engine's standing risk, by the session facts().session names
+const SESSION_RISKS = {
+    'Pre-Market': 'Extended-hours moves come on thin volume and can reverse at the open.',
+    'After-Hours': 'Extended-hours moves come on thin volume and can reverse at the open.',
+    [REGULAR_SESSION]: 'Intraday moves can fade or reverse before the close.',
+    [LAST_SESSION]: 'News before the next open can reverse these moves.'
+};
+
+function round(value) {
+    return Number.isFinite(value) ? Math.round(value * 100) / 100 : null;
+}
+
+// A stock's move and price in the session the brief ranked it by, and the
+// headline attached to it, if any
+function moverFacts(stock) {
+    const { extended } = stock;
+    return {
+        symbol: stock.symbol,
+        price: round(extended ? extended.price : stock.price),
+        move: round(extended ? extended.gapPercent : stock.changePercent),
+        volume: extended ? extended.volume : stock.volume,
+        ...(stock.headline && { headline: stock.headline.title })
+    };
+}
+
+// What an engine may talk about, from generate.js's fetchAllData() result
+function facts(data) {
+    const lastSession = data.clock?.session === 'regular' ? REGULAR_SESSION : LAST_SESSION;
+    return {
+        session: SESSION_NAMES[data.session] || lastSession,
+        gauge: data.sentiment && { score: data.sentiment.score, label: data.sentiment.label, sentiment: data.sentiment.sentiment },
+        indices: data.indices.map(index => ({ name: index.name, price: round(index.price), changePercent: round(index.changePercent) })),
+        gainers: data.gainers.slice(0, 5).map(moverFacts),
+        decliners: data.decliners.slice(0, 5).map(moverFacts),
+        active: data.active.slice(0, 5).map(moverFacts),
+        levels: (data.levels || []).map(row => ({
+            name: row.name,
+            price: round(row.price),
+            resistance: row.above.map(level => ({ price: level.price, names: level.names })),
+            support: row.below.map(level => ({ price: level.price, names: level.names }))
+        }))
+    };
+}
+
+function tickersIn(input) {
+    return new Set([...input.gainers, ...input.decliners, ...input.active].map(stock => stock.symbol));
+}
+
+// Problems with an engine's answer, as strings; empty when it can be published
+function validateCommentary(output, input) {
+    if (!output || typeof output !== 'object' || Array.isArray(output)) return ['answer is not a JSON object'];
+
+    const errors = [];
+    const props = SCHEMA.properties;
+    const text = (field) => {
+        const value = output[field];
+        if (typeof value !== 'string' || !value.trim()) errors.push(`${field} must be a non-empty string`);
+        else if (value.length > props[field].maxLength) errors.push(`${field} is longer than ${props[field].maxLength} characters`);
+    };
+
+    if (!SENTIMENTS.includes(output.sentiment)) errors.push(`sentiment must be one of ${SENTIMENTS.join(', ')}`);
+    text('summary');
+    text('keyLevels');
+
+    if (!Array.isArray(output.watchlist) || output.watchlist.length > props.watchlist.maxItems) {
+        errors.push(`watchlist must be an array of up to ${props.watchlist.maxItems} tickers`);
+    } else {
+        const known = tickersIn(input);
+        const unknown = output.watchlist.filter(symbol => typeof symbol !== 'string' || !known.has(symbol.trim().toUpperCase()));
+        if (unknown.length) errors.push(`watchlist names tickers not in the data: ${unknown.join(', ')}`);
+    }
+
+    const { minItems, maxItems, items } = props.risks;
+    if (!Array.isArray(output.risks) || output.risks.length < minItems || output.risks.length > maxItems) {
+        errors.push(`risks must be an array of ${minItems} to ${maxItems} strings`);
+    } else if (output.risks.some(risk => typeof risk !== 'string' || !risk.trim() || risk.length > items.maxLength)) {
+        errors.push(`each risk must be a non-empty string of up to ${items.maxLength} characters`);
+    }
+
+    return errors;
+}
+
+function normalize(output) {
+    return {
+        sentiment: output.sentiment,
+        summary: output.summary.trim(),
+        keyLevels: output.keyLevels.trim(),
+        watchlist: output.watchlist.map(symbol => symbol.trim().toUpperCase()),
+        risks: output.risks.map(risk => risk.trim())
+    };
+}
+
+// The S&P 500's nearest support and resistance from lib/levels.js
+function keyLevelsText(levels, sp500) {
+    const support = levels?.support[0];
+    const resistance = levels?.resistance[0];
+    if (!support && !resistance) {
+        return sp500 ? `S&P 500 at ${sp500.price.toFixed(2)}; support and resistance need more price history.` : 'S&P 500 level unavailable.';
+    }
+    const sides = [
+        support && `support at ${support.price.toFixed(2)} (${support.names[0]})`,
+        resistance && `resistance at ${resistance.price.toFixed(2)} (${resistance.names[0]})`
+    ].filter(Boolean);
+    return `S&P 500 at ${levels.price.toFixed(2)}, with ${sides.join(' and ')}.`;
+}
+
+function createRulesEngine() {
+    return {
+        name: 'rules',
+
+        async generate(input) {
+            const { indices, gainers, decliners } = input;
+            const nasdaq = indices.find(index => index.name === 'Nasdaq');
+            const sp500 = indices.find(index => index.name === 'S&P 500');
+            const vix = indices.find(index => index.name === 'VIX');
+
+            // The sentiment gauge when there is one, else the two index thresholds
+            let sentiment = input.gauge?.sentiment || 'neutral';
+            if (!input.gauge) {
+                if (nasdaq?.changePercent > 0.5 && sp500?.changePercent > 0.3) sentiment = 'bullish';
+                else if (nasdaq?.changePercent < -0.5 || sp500?.changePercent < -0.3) sentiment = 'bearish';
+            }
+
+            const topGainer = gainers[0];
+            const topDecliner = decliners[0];
+
+            const risks = [];
+            if (vix?.price > 20) risks.push(`VIX at ${vix.price.toFixed(2)} points to elevated volatility.`);
+            const outlier = [...gainers, ...decliners].find(stock => Math.abs(stock.move) >= 10);
+            if (outlier) risks.push(`${outlier.symbol} is moving ${outlier.move.toFixed(2)}%; single-stock moves this size often retrace.`);
+            if (sentiment === 'bearish') risks.push('Broad index weakness can drag on the strongest names.');
+            risks.push(SESSION_RISKS[input.session] || SESSION_RISKS[LAST_SESSION]);
+
+            return {
+                sentiment,
+                summary: `${input.session} shows ${sentiment} sentiment. ${topGainer ? `${topGainer.symbol} leading gains at +${topGainer.move.toFixed(2)}%.` : ''} ${topDecliner ? `${topDecliner.symbol} down ${Math.abs(topDecliner.move).toFixed(2)}%.` : ''}`.trim(),
+                keyLevels: keyLevelsText(input.levels.find(row => row.name === 'S&P 500'), sp500),
+                watchlist: gainers.slice(0, 3).map(stock => stock.symbol),
+                risks: risks.slice(0, SCHEMA.properties.risks.maxItems)
+            };
+        }
+    };
+}
+
+// A prompts/<name>.md template with {{placeholders}} filled in
+function renderPrompt(name, values) {
+    const template = fs.readFileSync(path.join(PROMPTS_DIR, `${name}.md`), 'utf8');
+    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+function cachePath(key) {
+    return path.join(CACHE_DIR, `${key}.json`);
+}
+
+function readCache(key) {
+    try {
+        return JSON.parse(fs.readFileSync(cachePath(key), 'utf8'));
+    } catch {
+        return undefined;
+    }
+}
+
+function writeCache(key, output) {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    fs.writeFileSync(cachePath(key), JSON.stringify(output, null, 2));
+}
+
+// Models wrap JSON in ``` fences often enough to strip them
+function parseReply(content) {
+    const json = content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    try {
+        return JSON.parse(json);
+    } catch {
+        throw new Error('model answered with invalid JSON');
+    }
+}
+
+function createLlmEngine({
+    url = process.env.COMMENTARY_LLM_URL,
+    model = process.env.COMMENTARY_LLM_MODEL || 'default',
+    apiKey = process.env.COMMENTARY_LLM_API_KEY,
+    timeout = Number(process.env.COMMENTARY_LLM_TIMEOUT) || 30
+} = {}) {
+    if (!url) {
+        throw new Error('The llm commentary engine needs an endpoint (set COMMENTARY_LLM_URL)');
+    }
+    const endpoint = `${url.replace(/\/+$/, '')}/chat/completions`;
+
+    async function complete(request) {
+        const headers = { 'content-type': 'application/json' };
+        if (apiKey) headers.authorization = `Bearer ${apiKey}`;
+
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(request),
+            signal: AbortSignal.timeout(timeout * 1000)
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status} from ${endpoint}`);
+
+        const content = (await response.json())?.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') throw new Error('response has no message content');
+        return parseReply(content);
+    }
+
+    return {
+        name: 'llm',
+
+        async generate(input) {
+            const request = {
+                model,
+                temperature: 0.2,
+                response_format: { type: 'json_object' },
+                messages: [
+                    { role: 'system', content: renderPrompt('commentary-system', { siteName: site.name, schema: JSON.stringify(SCHEMA, null, 2) }) },
+                    { role: 'user', content: renderPrompt('commentary-user', { session: input.session, date: now().toISOString().split('T')[0], data: JSON.stringify(input, null, 2) }) }
+                ]
+            };
+
+            const key = crypto.createHash('sha1').update(`${endpoint}\0${JSON.stringify(request)}`).digest('hex');
+            const cached = readCache(key);
+            if (cached !== undefined) return cached;
+            if (fixtures.mode === 'replay') throw new Error('no recorded answer for this prompt (fixture replay)');
+
+            const output = await complete(request);
+            const errors = validateCommentary(output, input);
+            if (errors.length) throw new Error(`model answer rejected: ${errors.join('; ')}`);
+            writeCache(key, output);
+            return output;
+        }
+    };
+}
+
+function createEngine(name = 'rules', options = {}) {
+    if (name === 'rules') return createRulesEngine();
+    if (name === 'llm') return createLlmEngine(options);
+
+    // Anything else is a path to an engine module: the engine itself or a factory
+    const adapter = require(path.resolve(name));
+    const factory = typeof adapter === 'function' ? adapter : adapter.create;
+    const engine = factory ? factory(options) : adapter;
+    return { name, ...engine };
+}
+
+let defaultEngine = null;
+
+function getEngine() {
+    if (!defaultEngine) {
+        defaultEngine = createEngine(process.env.COMMENTARY_ENGINE || 'rules');
+    }
+    return defaultEngine;
+}
+
+/**
+ * Commentary for the brief's data, from the selected engine or, when it
+ * fails, from the rules, after the fact-check (lib/fact-check.js):
+ * { sentiment, summary, keyLevels, watchlist, risks, engine, fallback?,
+ * provenance, rejected }
+ */
+async function generateCommentary(data, { engine = getEngine() } = {}) {
+    const input = facts(data);
+    const rules = normalize(await createRulesEngine().generate(input));
+
+    let output = rules;
+    let fallback;
+    if (engine.name !== 'rules') {
+        try {
+            const answer = await engine.generate(input);
+            const errors = validateCommentary(answer, input);
+            if (errors.length) throw new Error(errors.join('; '));
+            output = normalize(answer);
+        } catch (e) {
+            console.warn(`⚠️ ${engine.name} commentary unavailable, falling back to rules: ${e.message}`);
+            fallback = e.message;
+        }
+    }
+
+    const checked = checkCommentary(output, input, { fallback: output === rules ? null : rules });
+    checked.rejected.forEach(({ field, text, reasons }) => {
+        console.warn(`⚠️ Fact-check dropped from ${field}: "${text}" (${reasons.join('; ')})`);
+    });
+
+    return {
+        ...checked.commentary,
+        engine: output === rules ? 'rules' : engine.name,
+        ...(fallback && { fallback }),
+        provenance: checked.provenance,
+        rejected: checked.rejected
+    };
+}
+
+// An OpenAI-compatible endpoint that answers every prompt with the rules engine,
+// for trying the llm engine end to end without a model
+function serve(port) {
+    const rules = createRulesEngine();
+    const server = http.createServer((req, res) => {
+        const reply = (status, body) => {
+            res.writeHead(status, { 'content-type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+        if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) return reply(404, { error: { message: 'not found' } });
+
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', async () => {
+            try {
+                const request = JSON.parse(body);
+                const prompt = request.messages.map(message => message.content).join('\n');
+                const block = prompt.match(/```json\n([\s\S]*?)\n```/);
+                if (!block) throw new Error('prompt has no ```json data block');
+                const content = JSON.stringify(await rules.generate(JSON.parse(block[1])));
+                reply(200, {
+                    object: 'chat.completion',
+                    model: request.model,
+                    choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content } }]
+                });
+            } catch (e) {
+                reply(400, { error: { message: e.message } });
+            }
+        });
+    });
+    server.listen(port, () => console.log(`🤖 Stand-in commentary model at http://localhost:${port}/v1 (answers with the rules engine)`));
+    return server;
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    if (args.includes('--serve')) {
+        serve(Number(args.find(arg => /^\d+$/.test(arg))) || 8080);
+    } else {
+        console.log('Usage: node lib/commentary.js --serve [port]');
+    }
+}
+
+module.exports = { SCHEMA, facts, validateCommentary, createEngine, getEngine, generateCommentary, serve };
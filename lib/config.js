@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Site configuration
+ *
+ * site.config.json holds the site-wide settings generators must not hard-code
+ * (base URL, names, AdSense client and slot IDs, analytics IDs, the footer
+ * disclaimer) under "defaults", plus per-environment overrides that are
+ * merged on top:
+ *
+ *   { "defaults": { "baseUrl": "https://premarketbrief.com", ... },
+ *     "environments": { "staging": { "baseUrl": "https://staging.premarketbrief.com" } } }
+ *
+ * SITE_ENV picks the environment (production by default) and SITE_CONFIG
+ * points at another config file. An ads client or analytics ID set to null
+ * turns that integration off; indexable: false asks crawlers to stay away.
+ * news.feeds lists the RSS/Atom sources lib/news.js reads; "{symbol}" in a
+ * perSymbol feed's URL is replaced by each ticker.
+ *
+ *   node lib/config.js   print the resolved config for SITE_ENV
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_PATH = path.resolve(process.env.SITE_CONFIG || path.join(__dirname, '..', 'site.config.json'));
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Objects merge key by key; anything else in override replaces the base value
+function merge(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = isObject(value) && isObject(base[key]) ? merge(base[key], value) : value;
+    }
+    return merged;
+}
+
+function validate(config, env) {
+    const errors = [];
+    if (!/^https?:\/\/[^/]+/.test(config.baseUrl || '')) errors.push(`baseUrl "${config.baseUrl}" is not an http(s) URL`);
+    for (const field of ['name', 'title', 'disclaimer']) {
+        if (typeof config[field] !== 'string' || !config[field]) errors.push(`${field} is missing`);
+    }
+    if (config.ads?.client != null && !/^ca-pub-\w+$/.test(config.ads.client)) {
+        errors.push(`ads.client "${config.ads.client}" is not an AdSense publisher ID (ca-pub-...)`);
+    }
+    const gaId = config.analytics?.googleAnalyticsId;
+    if (gaId != null && !/^(G-[A-Z0-9]+|UA-\d+-\d+)$/.test(gaId)) {
+        errors.push(`analytics.googleAnalyticsId "${gaId}" is not a Google Analytics ID (G-... or UA-...)`);
+    }
+    (config.news?.feeds || []).forEach((feed, i) => {
+        if (!feed.name || !/^https?:\/\//.test(feed.url || '')) errors.push(`news.feeds[${i}] needs a name and an http(s) url`);
+        else if (feed.perSymbol && !feed.url.includes('{symbol}')) errors.push(`news feed "${feed.name}" is perSymbol but its url has no {symbol}`);
+    });
+    if (errors.length) throw new Error(`Site config (${env}): ${errors.join('; ')}`);
+}
+
+function load(env = process.env.SITE_ENV || 'production', file = CONFIG_PATH) {
+    const { defaults = {}, environments = {} } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!environments[env]) {
+        throw new Error(`Site config: unknown environment "${env}" (expected ${Object.keys(environments).join(', ')})`);
+    }
+    const config = merge(defaults, environments[env]);
+    validate(config, env);
+    return Object.freeze({ ...config, env, baseUrl: config.baseUrl.replace(/\/+$/, '') });
+}
+
+const site = load();
+
+// Absolute URL of a page path on the configured site; '' is the home page
+function url(pagePath = '') {
+    const clean = pagePath.replace(/^\/+/, '');
+    return clean ? `${site.baseUrl}/${clean}` : site.baseUrl;
+}
+
+if (require.main === module) {
+    console.log(JSON.stringify(site, null, 2));
+}
+
+module.exports = { CONFIG_PATH, load, site, url };
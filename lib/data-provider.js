@@ -0,0 +1,604 @@
+/**
+ * Market Data Provider
+ * One quote/history/profile interface over interchangeable backends:
+ *
+ *   yahoo    Yahoo Finance chart + quoteSummary APIs (default)
+ *   fixture  Local JSON/CSV files, one per symbol (MARKET_DATA_FIXTURES=<dir>)
+ *   <path>   A user-supplied adapter module
+ *
+ * Pick one with MARKET_DATA_PROVIDER. Every backend returns the same shapes:
+ *
+ *   getQuote(symbol)            -> { symbol, price, previousClose, change, changePercent, volume, high52, low52, ... }
+ *   getHistory(symbol, opts)    -> quote fields + bars: [{ time, open, high, low, close, volume, closeOnly? }]
+ *   getProfile(symbol)          -> { symbol, name, shortName, exchange, sector, industry, summary }
+ *   getExtendedHours(symbol)    -> { symbol, session: 'pre' | 'post', price, priorClose, gap, gapPercent, volume, time }
+ *   getTrending({ count })      -> ['AAPL', ...], the most-watched tickers right now
+ *   getScreener(id, { count })  -> { AAPL: getQuotes() fields } for a predefined screen (day_gainers, ...)
+ *
+ * Backends without trending tickers or screens resolve to [] and {}.
+ *
+ * Methods resolve to null when the backend has no usable data and throw on
+ * transport errors, so callers keep their own error handling.
+ *
+ * Lists of symbols should go through the batch methods, which resolve to an
+ * object keyed by symbol (symbols without data are left out and reported):
+ *
+ *   getQuotes(symbols, opts)    -> { AAPL: quote fields + open, dayHigh, dayLow, name, shortName, marketCap, sector, industry }
+ *   getHistories(symbols, opts) -> { AAPL: getHistory() result }
+ *   getExtendedQuotes(symbols)  -> { AAPL: getExtendedHours() result }
+ *
+ * Bars the backend only has a close for (Yahoo's batched spark endpoint) carry
+ * closeOnly: true, with open, high and low set to the close and volume 0;
+ * anything that needs a real range (key levels, 52-week extremes) skips them.
+ *
+ * Extended hours are the pre-market before the open or after hours once the
+ * regular session has closed; the gap is measured against the close before
+ * that session. While the regular session trades, or for symbols that didn't
+ * trade outside it, getExtendedHours() resolves to null.
+ *
+ * Symbols are requested in chunks of QUOTE_BATCH_SIZE (default 50) and
+ * HISTORY_BATCH_SIZE (default 20). Backends without batch support, or a chunk
+ * whose batch request fails, fall back to one call per symbol.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fetchJson } = require('./http');
+const { reportFailures } = require('./fetch-scheduler');
+const registry = require('./symbols');
+
+const YAHOO_BASE = 'https://query1.finance.yahoo.com';
+
+const YF_API = {
+    chart: (symbol, range, interval, prePost = false) => `${YAHOO_BASE}/v8/finance/chart/${encodeURIComponent(symbol)}?interval=${interval}&range=${range}${prePost ? '&includePrePost=true' : ''}`,
+    quoteSummary: (symbol, modules) => `${YAHOO_BASE}/v10/finance/quoteSummary/${encodeURIComponent(symbol)}?modules=${modules.join(',')}`,
+    quote: (symbols) => `${YAHOO_BASE}/v7/finance/quote?symbols=${symbols.map(encodeURIComponent).join(',')}`,
+    spark: (symbols, range, interval) => `${YAHOO_BASE}/v7/finance/spark?symbols=${symbols.map(encodeURIComponent).join(',')}&range=${range}&interval=${interval}`,
+    trending: (region, count) => `${YAHOO_BASE}/v1/finance/trending/${region}?count=${count}`,
+    screener: (id, count) => `${YAHOO_BASE}/v1/finance/screener/predefined/saved?scrIds=${encodeURIComponent(id)}&count=${count}`,
+    search: (query, newsCount) => `${YAHOO_BASE}/v1/finance/search?q=${encodeURIComponent(query)}&quotesCount=0&newsCount=${newsCount}`
+};
+
+const QUOTE_BATCH_SIZE = Number(process.env.QUOTE_BATCH_SIZE) || 50;
+const HISTORY_BATCH_SIZE = Number(process.env.HISTORY_BATCH_SIZE) || 20;
+
+// Intraday bars summed into the extended-hours price and volume
+const EXTENDED_INTERVAL = '5m';
+const EXTENDED_SESSIONS = ['pre', 'post'];
+
+// Calendar days covered by each chart range, used to slice local history
+const RANGE_DAYS = {
+    '1d': 1, '5d': 7, '1mo': 31, '3mo': 92, '6mo': 183,
+    '1y': 366, '2y': 731, '5y': 1827, '10y': 3653, 'ytd': 366, 'max': Infinity
+};
+
+// Derive quote fields from a list of bars (oldest first)
+function buildQuote(symbol, bars, meta = {}) {
+    if (!bars.length) return null;
+
+    const last = bars[bars.length - 1];
+    const current = last.close;
+    const previous = bars.length > 1
+        ? bars[bars.length - 2].close
+        : meta.previousClose || meta.chartPreviousClose || current;
+    const change = current - previous;
+
+    return {
+        symbol,
+        price: current,
+        previousClose: previous,
+        change,
+        changePercent: (change / previous) * 100,
+        volume: meta.regularMarketVolume || last.volume || 0,
+        high52: meta.fiftyTwoWeekHigh || null,
+        low52: meta.fiftyTwoWeekLow || null,
+        currency: meta.currency || 'USD',
+        exchange: meta.exchangeName || null,
+        time: meta.regularMarketTime ? meta.regularMarketTime * 1000 : last.time
+    };
+}
+
+function parseChart(symbol, data) {
+    const result = data?.chart?.result?.[0];
+    if (!result) return null;
+
+    const meta = result.meta || {};
+    const quote = result.indicators?.quote?.[0];
+    if (!quote?.close) return null;
+
+    const timestamps = result.timestamp || [];
+    const bars = [];
+    quote.close.forEach((close, i) => {
+        if (close === null || close === undefined) return;
+        const ohlc = [quote.open, quote.high, quote.low].every(series => Number.isFinite(series?.[i]));
+        bars.push({
+            time: timestamps[i] ? timestamps[i] * 1000 : null,
+            open: quote.open?.[i] ?? close,
+            high: quote.high?.[i] ?? close,
+            low: quote.low?.[i] ?? close,
+            close,
+            volume: quote.volume?.[i] || 0,
+            ...(!ohlc && { closeOnly: true })
+        });
+    });
+
+    const parsed = buildQuote(symbol, bars, meta);
+    return parsed && { ...parsed, bars };
+}
+
+// The extended session an includePrePost intraday chart ends in, from the
+// trading periods in its meta; null while the regular session trades
+function parseExtendedHours(symbol, data) {
+    const history = parseChart(symbol, data);
+    if (!history) return null;
+    const meta = data.chart.result[0].meta || {};
+    const periods = meta.currentTradingPeriod;
+    if (!periods) return null;
+
+    const within = (bar, period) => Boolean(period) && bar.time >= period.start * 1000 && bar.time < period.end * 1000;
+    const last = history.bars[history.bars.length - 1];
+    const session = EXTENDED_SESSIONS.find(name => within(last, periods[name]));
+    if (!session) return null;
+
+    // Pre-market gaps against the previous session's close, after hours against today's
+    const regular = history.bars.filter(bar => within(bar, periods.regular));
+    const priorClose = session === 'pre'
+        ? meta.chartPreviousClose ?? meta.previousClose
+        : regular[regular.length - 1]?.close ?? meta.regularMarketPrice;
+    if (!priorClose) return null;
+
+    const gap = last.close - priorClose;
+    return {
+        symbol,
+        session,
+        price: last.close,
+        priorClose,
+        gap,
+        gapPercent: (gap / priorClose) * 100,
+        volume: history.bars.filter(bar => within(bar, periods[session])).reduce((sum, bar) => sum + bar.volume, 0),
+        time: last.time
+    };
+}
+
+// One row of a v7 quote response; names and market cap come along with the price
+function parseQuoteRow(row) {
+    const price = row?.regularMarketPrice;
+    if (price === undefined || price === null) return null;
+
+    const previousClose = row.regularMarketPreviousClose ?? price;
+    const change = row.regularMarketChange ?? price - previousClose;
+
+    return {
+        symbol: row.symbol,
+        price,
+        previousClose,
+        change,
+        changePercent: row.regularMarketChangePercent ?? (previousClose ? (change / previousClose) * 100 : 0),
+        open: row.regularMarketOpen ?? null,
+        dayHigh: row.regularMarketDayHigh ?? null,
+        dayLow: row.regularMarketDayLow ?? null,
+        volume: row.regularMarketVolume || 0,
+        high52: row.fiftyTwoWeekHigh || null,
+        low52: row.fiftyTwoWeekLow || null,
+        currency: row.currency || 'USD',
+        exchange: row.fullExchangeName || row.exchange || null,
+        time: row.regularMarketTime ? row.regularMarketTime * 1000 : null,
+        name: row.longName || row.shortName || row.symbol,
+        shortName: row.shortName || null,
+        quoteType: row.quoteType || null,
+        marketCap: row.marketCap || null,
+        sector: row.sector || null,
+        industry: row.industry || null
+    };
+}
+
+function parseQuoteRows(rows) {
+    const quotes = {};
+    (rows || []).forEach(row => {
+        const quote = parseQuoteRow(row);
+        if (quote) quotes[quote.symbol] = quote;
+    });
+    return quotes;
+}
+
+function parseQuotes(data) {
+    return parseQuoteRows(data?.quoteResponse?.result);
+}
+
+// Predefined screens return v7 quote rows
+function parseScreener(data) {
+    return parseQuoteRows(data?.finance?.result?.[0]?.quotes);
+}
+
+function parseTrending(data) {
+    return (data?.finance?.result?.[0]?.quotes || []).map(row => row.symbol).filter(Boolean);
+}
+
+// Search results' news: [{ id, title, url, source, time, symbols }], time in epoch ms
+function parseNews(data) {
+    return (data?.news || []).filter(item => item.title && item.link).map(item => ({
+        id: item.uuid || item.link,
+        title: item.title,
+        url: item.link,
+        source: item.publisher || 'Yahoo Finance',
+        time: item.providerPublishTime ? item.providerPublishTime * 1000 : null,
+        symbols: item.relatedTickers || []
+    }));
+}
+
+// A spark response carries one chart result per symbol (closes only)
+function parseSpark(data) {
+    const histories = {};
+    (data?.spark?.result || []).forEach(({ symbol, response }) => {
+        const history = parseChart(symbol, { chart: { result: response } });
+        if (history) histories[symbol] = history;
+    });
+    return histories;
+}
+
+// Keep the bars that fall inside a chart range, counted back from the newest bar
+function sliceRange(bars, range) {
+    if (!bars.length) return bars;
+    const end = bars[bars.length - 1].time;
+    const start = end - (RANGE_DAYS[range] ?? RANGE_DAYS['1mo']) * 86400000;
+    return bars.filter(bar => bar.time > start);
+}
+
+// Daily charts are always fetched at one of these ranges and sliced locally,
+// so a 5-day and a 1-month request for the same symbol share one cached response
+const FETCH_RANGES = ['1mo', '1y', '5y', 'max'];
+
+function fetchRange(range) {
+    const days = RANGE_DAYS[range] ?? RANGE_DAYS['1mo'];
+    return FETCH_RANGES.find(r => RANGE_DAYS[r] >= days);
+}
+
+function parseProfile(symbol, data) {
+    const result = data?.quoteSummary?.result?.[0];
+    if (!result) return null;
+
+    const quoteType = result.quoteType || {};
+    const profile = result.assetProfile || {};
+
+    return {
+        symbol,
+        name: quoteType.longName || quoteType.shortName || symbol,
+        shortName: quoteType.shortName || null,
+        exchange: quoteType.exchange || null,
+        sector: profile.sector || null,
+        industry: profile.industry || null,
+        summary: profile.longBusinessSummary || ''
+    };
+}
+
+function createYahooProvider() {
+    async function getHistory(symbol, { range = '1mo', interval = '1d' } = {}) {
+        if (interval !== '1d') {
+            return parseChart(symbol, await fetchJson(YF_API.chart(symbol, range, interval)));
+        }
+
+        const history = parseChart(symbol, await fetchJson(YF_API.chart(symbol, fetchRange(range), interval)));
+        return history && { ...history, bars: sliceRange(history.bars, range) };
+    }
+
+    return {
+        async getQuote(symbol) {
+            const history = await getHistory(symbol, { range: '1mo' });
+            if (!history) return null;
+            const { bars, ...quote } = history;
+            return quote;
+        },
+
+        getHistory,
+
+        async getProfile(symbol) {
+            const data = await fetchJson(YF_API.quoteSummary(symbol, ['quoteType', 'assetProfile']));
+            return parseProfile(symbol, data);
+        },
+
+        async getExtendedHours(symbol) {
+            return parseExtendedHours(symbol, await fetchJson(YF_API.chart(symbol, '1d', EXTENDED_INTERVAL, true)));
+        },
+
+        async getTrending({ count = 20 } = {}) {
+            return parseTrending(await fetchJson(YF_API.trending('US', count)));
+        },
+
+        async getScreener(id, { count = 25 } = {}) {
+            return parseScreener(await fetchJson(YF_API.screener(id, count)));
+        },
+
+        async getNews(symbol, { count = 10 } = {}) {
+            return parseNews(await fetchJson(YF_API.search(symbol, count)));
+        },
+
+        async getQuotes(symbols) {
+            return parseQuotes(await fetchJson(YF_API.quote(symbols)));
+        },
+
+        async getHistories(symbols, { range = '1mo', interval = '1d' } = {}) {
+            if (interval !== '1d') {
+                return parseSpark(await fetchJson(YF_API.spark(symbols, range, interval)));
+            }
+
+            const histories = parseSpark(await fetchJson(YF_API.spark(symbols, fetchRange(range), interval)));
+            for (const [symbol, history] of Object.entries(histories)) {
+                histories[symbol] = { ...history, bars: sliceRange(history.bars, range) };
+            }
+            return histories;
+        }
+    };
+}
+
+// Yahoo-style CSV export: Date,Open,High,Low,Close[,Adj Close],Volume
+function parseCsvBars(text) {
+    const [header, ...lines] = text.trim().split(/\r?\n/);
+    const columns = header.split(',').map(c => c.trim().toLowerCase());
+    const col = (name) => columns.indexOf(name);
+
+    return lines.map(line => {
+        const cells = line.split(',');
+        const num = (name) => parseFloat(cells[col(name)]);
+        return {
+            time: Date.parse(cells[col('date')]),
+            open: num('open'),
+            high: num('high'),
+            low: num('low'),
+            close: num('close'),
+            volume: num('volume') || 0
+        };
+    }).filter(bar => !Number.isNaN(bar.close));
+}
+
+function createFixtureProvider({ dir = process.env.MARKET_DATA_FIXTURES } = {}) {
+    if (!dir) {
+        throw new Error('Fixture provider needs a directory (set MARKET_DATA_FIXTURES)');
+    }
+
+    function load(symbol) {
+        const jsonPath = path.join(dir, `${symbol}.json`);
+        const csvPath = path.join(dir, `${symbol}.csv`);
+        const fixture = fs.existsSync(jsonPath) ? JSON.parse(fs.readFileSync(jsonPath, 'utf8')) : {};
+
+        let bars = (fixture.bars || []).map(bar => ({
+            ...bar,
+            time: bar.time ?? Date.parse(bar.date)
+        }));
+        if (!bars.length && fs.existsSync(csvPath)) {
+            bars = parseCsvBars(fs.readFileSync(csvPath, 'utf8'));
+        }
+        bars.sort((a, b) => a.time - b.time);
+
+        return { ...fixture, bars };
+    }
+
+    return {
+        async getQuote(symbol) {
+            const fixture = load(symbol);
+            const derived = buildQuote(symbol, fixture.bars);
+            if (!derived && !fixture.quote) return null;
+            return { ...derived, ...fixture.quote, symbol };
+        },
+
+        async getHistory(symbol, { range = '1mo' } = {}) {
+            const fixture = load(symbol);
+            if (!fixture.bars.length) return null;
+
+            return {
+                ...buildQuote(symbol, fixture.bars),
+                ...fixture.quote,
+                symbol,
+                bars: sliceRange(fixture.bars, range)
+            };
+        },
+
+        async getProfile(symbol) {
+            const fixture = load(symbol);
+            return fixture.profile ? { symbol, name: symbol, ...fixture.profile } : null;
+        },
+
+        async getExtendedHours(symbol) {
+            const fixture = load(symbol);
+            return fixture.extended ? { ...fixture.extended, symbol } : null;
+        },
+
+        async getNews(symbol) {
+            return (load(symbol).news || []).map(item => ({ symbols: [symbol], ...item, time: item.time ?? Date.parse(item.date) }));
+        }
+    };
+}
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * Fetch symbols chunk by chunk with batch(list) -> { symbol: result }. Chunks
+ * without a batch method, or whose batch request throws, fall back to
+ * single(symbol). Symbols missing from the results are reported once.
+ */
+async function batched(symbols, { size, label, batch, single }) {
+    const unique = [...new Set(symbols)];
+    const results = {};
+    const failures = [];
+
+    await Promise.all(chunk(unique, size).map(async (list) => {
+        let found = null;
+        if (batch) {
+            try {
+                found = await batch(list);
+            } catch (e) {
+                console.warn(`⚠️ Batch request for ${list.length} ${label} failed, fetching one by one: ${e.message}`);
+            }
+        }
+
+        if (!found) {
+            found = {};
+            await Promise.all(list.map(async (symbol) => {
+                try {
+                    found[symbol] = await single(symbol);
+                } catch (e) {
+                    failures.push({ key: symbol, reason: e.message });
+                }
+            }));
+        }
+
+        list.forEach(symbol => {
+            if (found[symbol]) results[symbol] = found[symbol];
+            else if (!failures.some(f => f.key === symbol)) failures.push({ key: symbol, reason: 'no data' });
+        });
+    }));
+
+    reportFailures(failures, unique.length, label);
+    return results;
+}
+
+// Fill in whatever an adapter leaves out, so generators can rely on every method
+function normalizeProvider(name, backend) {
+    if (!backend.getQuote && !backend.getHistory) {
+        throw new Error(`Data provider "${name}" must implement getQuote or getHistory`);
+    }
+
+    const getQuote = backend.getQuote
+        ? (symbol) => backend.getQuote(symbol)
+        : async (symbol) => {
+            const history = await backend.getHistory(symbol, { range: '5d', interval: '1d' });
+            if (!history) return null;
+            const { bars, ...quote } = history;
+            return quote;
+        };
+    const getHistory = backend.getHistory
+        ? (symbol, options = {}) => backend.getHistory(symbol, options)
+        : async () => null;
+    const getProfile = backend.getProfile
+        ? (symbol) => backend.getProfile(symbol)
+        : async () => null;
+    const getExtendedHours = backend.getExtendedHours
+        ? (symbol) => backend.getExtendedHours(symbol)
+        : async () => null;
+    const getTrending = backend.getTrending
+        ? (options = {}) => backend.getTrending(options)
+        : async () => [];
+    const getScreener = backend.getScreener
+        ? (id, options = {}) => backend.getScreener(id, options)
+        : async () => ({});
+    const getNews = backend.getNews
+        ? (symbol, options = {}) => backend.getNews(symbol, options)
+        : async () => [];
+
+    // Name, sector and industry from the (long-cached) profile, for quotes that lack them
+    async function withProfile(quote) {
+        let profile = null;
+        try {
+            profile = await getProfile(quote.symbol);
+        } catch {
+            // a missing profile never costs the quote
+        }
+        return {
+            ...quote,
+            name: quote.name || profile?.name || quote.symbol,
+            sector: quote.sector || profile?.sector || null,
+            industry: quote.industry || profile?.industry || null
+        };
+    }
+
+    return {
+        name,
+        getQuote,
+        getHistory,
+        getProfile,
+        getExtendedHours,
+        getTrending,
+        getScreener,
+        getNews,
+
+        // profiles: also fill in sector/industry when the batch doesn't carry
+        // them, from symbols.json first; only symbols it doesn't classify cost
+        // a quoteSummary request each (cached for a day, see lib/cache.js)
+        async getQuotes(symbols, { chunkSize = QUOTE_BATCH_SIZE, profiles = false, label = 'symbols' } = {}) {
+            const quotes = await batched(symbols, {
+                size: chunkSize,
+                label,
+                batch: backend.getQuotes && ((list) => backend.getQuotes(list)),
+                single: async (symbol) => {
+                    const quote = await getQuote(symbol);
+                    return quote && (quote.name ? quote : withProfile(quote));
+                }
+            });
+
+            if (profiles) {
+                await Promise.all(Object.values(quotes).map(async (quote) => {
+                    const entry = registry.get(quote.symbol);
+                    const known = { ...quote, sector: quote.sector || entry?.sector || null, industry: quote.industry || entry?.industry || null };
+                    quotes[quote.symbol] = known.sector || known.industry ? known : await withProfile(known);
+                }));
+            }
+            return quotes;
+        },
+
+        async getHistories(symbols, { chunkSize = HISTORY_BATCH_SIZE, label = 'symbols', ...options } = {}) {
+            return batched(symbols, {
+                size: chunkSize,
+                label,
+                batch: backend.getHistories && ((list) => backend.getHistories(list, options)),
+                single: (symbol) => getHistory(symbol, options)
+            });
+        },
+
+        // One intraday chart per symbol; symbols with no extended session are
+        // left out without being reported
+        async getExtendedQuotes(symbols, { label = 'extended-hours quotes' } = {}) {
+            const unique = [...new Set(symbols)];
+            const results = {};
+            const failures = [];
+
+            await Promise.all(unique.map(async (symbol) => {
+                try {
+                    const extended = await getExtendedHours(symbol);
+                    if (extended) results[symbol] = extended;
+                } catch (e) {
+                    failures.push({ key: symbol, reason: e.message });
+                }
+            }));
+
+            reportFailures(failures, unique.length, label);
+            return results;
+        }
+    };
+}
+
+function createProvider(name = 'yahoo', options = {}) {
+    if (name === 'yahoo') return normalizeProvider(name, createYahooProvider(options));
+    if (name === 'fixture') return normalizeProvider(name, createFixtureProvider(options));
+
+    // Anything else is a path to an adapter module: either the provider object
+    // itself or a factory `(options) => provider`
+    const adapter = require(path.resolve(name));
+    const factory = typeof adapter === 'function' ? adapter : adapter.create;
+    return normalizeProvider(name, factory ? factory(options) : adapter);
+}
+
+let defaultProvider = null;
+
+function getProvider() {
+    if (!defaultProvider) {
+        defaultProvider = createProvider(process.env.MARKET_DATA_PROVIDER || 'yahoo');
+    }
+    return defaultProvider;
+}
+
+module.exports = {
+    YF_API,
+    getProvider,
+    createProvider,
+    parseChart,
+    parseExtendedHours,
+    parseProfile,
+    parseQuotes,
+    parseScreener,
+    parseNews
+};
@@ -0,0 +1,246 @@
+/**
+ * Commentary fact-check
+ *
+ * Runs over every engine's commentary (lib/commentary.js) before it is
+ * published. Each sentence is taken apart into claims:
+ *
+ *   tickers   ZETA, BRK-B; must be one of the movers or tracked stocks in the data
+ *   indices   S&P 500, Dow, Nasdaq, VIX
+ *   percents  +18.00%, down 0.4%; must match a move within the precision
+ *             stated, and its direction when the sentence gives one: a + or -
+ *             sign, or a word such as up, rose, surged, down, fell or slid
+ *   prices    $52.10, 5,800; must match a price or key level within 0.1% or the
+ *             precision stated
+ *
+ * Numbers are matched against the data points of the tickers and indices the
+ * sentence names, or against all of them when it names none. A sentence with
+ * a claim that matches nothing, or with advice phrasing (BANNED_PHRASES), is
+ * dropped; a field with no sentences left is rewritten from the rules
+ * engine's text. What survives carries its provenance: the data points that
+ * backed each claim.
+ *
+ *   checkCommentary(commentary, facts, { fallback })
+ *     -> { commentary, provenance: [{ field, text, sources }], rejected: [{ field, text, reasons }] }
+ */
+
+const BANNED_PHRASES = [
+    /\bbuy now\b/i,
+    /\bsell now\b/i,
+    /\bguarantee(?:d|s)?\b/i,
+    /\brisk[- ]free\b/i,
+    /\bcan(?:'|no)t (?:lose|miss|go wrong)\b/i,
+    /\bsure thing\b/i,
+    /\bstrong (?:buy|sell)\b/i,
+    /\byou (?:should|must) (?:buy|sell|short)\b/i,
+    /\bfinancial advice\b/i
+];
+
+// Upper-case words that are not tickers
+const NOT_TICKERS = new Set([
+    'A', 'I', 'AI', 'AM', 'PM', 'ET', 'EDT', 'EST', 'US', 'USA', 'USD', 'CEO', 'CFO', 'IPO', 'ETF', 'ETFS',
+    'EPS', 'GDP', 'CPI', 'PPI', 'PCE', 'FOMC', 'FED', 'SEC', 'NYSE', 'YOY', 'QOQ', 'EV', 'OK'
+]);
+
+// How commentary may name each index, beyond its name in the data
+const INDEX_ALIASES = {
+    'S&P 500': /\bS&(?:amp;)?P(?:\s?500)?/gi,
+    'Dow Jones': /\bDow(?: Jones)?(?: Industrial Average)?\b/gi,
+    'Nasdaq': /\bNasdaq(?: Composite)?\b/gi,
+    'VIX': /\bVIX\b/gi
+};
+
+// Words that give the direction of the move they precede ("fell 2%") or follow ("2% lower")
+const UP_WORDS = /^(?:up|higher|rose|rises?|rising|gain(?:s|ed|ing)?|surg(?:e|es|ed|ing)|jump(?:s|ed|ing)?|climb(?:s|ed|ing)?|rall(?:y|ies|ied|ying)|advanc(?:e|es|ed|ing)|soar(?:s|ed|ing)?|add(?:s|ed|ing)?|rebound(?:s|ed|ing)?)$/i;
+const DOWN_WORDS = /^(?:down|lower|fell|falls?|falling|drop(?:s|ped|ping)?|sl(?:id|ides|iding)|slip(?:s|ped|ping)?|declin(?:e|es|ed|ing)|los(?:e|es|t|ing)|sank|sinks?|sinking|tumbl(?:e|es|ed|ing)|plung(?:e|es|ed|ing)|shed(?:s|ding)?|retreat(?:s|ed|ing)?|slump(?:s|ed|ing)?)$/i;
+const DIRECTION_WINDOW = 4;
+
+const TICKER = /\b[A-Z]{1,5}(?:[.-][A-Z]{1,2})?\b/g;
+const PERCENT = /([+\-\u2212]?)(\d+(?:\.\d+)?)\s?%/g;
+const NUMBER = /(\$)?(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?/g;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Every value a sentence may cite, by the ticker or index it belongs to:
+// name -> { id: 'gainers.ZETA', points: [{ id, kind, value }] }
+function dataPoints(facts) {
+    const entities = new Map();
+    const add = (name, entity, point, kind, value) => {
+        if (!entities.has(name)) entities.set(name, { id: entity, points: [] });
+        if (Number.isFinite(value)) entities.get(name).points.push({ id: `${entity}.${point}`, kind, value });
+    };
+
+    facts.indices.forEach(index => {
+        add(index.name, `indices.${index.name}`, 'price', 'price', index.price);
+        add(index.name, `indices.${index.name}`, 'move', 'percent', index.changePercent);
+    });
+    for (const list of ['gainers', 'decliners', 'active']) {
+        facts[list].forEach(stock => {
+            add(stock.symbol, `${list}.${stock.symbol}`, 'price', 'price', stock.price);
+            add(stock.symbol, `${list}.${stock.symbol}`, 'move', 'percent', stock.move);
+        });
+    }
+    (facts.levels || []).forEach(row => {
+        add(row.name, `levels.${row.name}`, 'price', 'price', row.price);
+        [...row.support, ...row.resistance].forEach(level => add(row.name, `levels.${row.name}`, level.names[0], 'price', level.price));
+    });
+    return entities;
+}
+
+function splitSentences(text) {
+    return text.split(/(?<=[.!?])\s+/).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+// Half a unit of the last digit stated: "18%" covers 17.5 to 18.5
+function statedPrecision(digits) {
+    const decimals = digits.includes('.') ? digits.split('.')[1].length : 0;
+    return 0.5 * 10 ** -decimals + 1e-9;
+}
+
+function wordDirection(word) {
+    if (UP_WORDS.test(word)) return 1;
+    if (DOWN_WORDS.test(word)) return -1;
+    return 0;
+}
+
+// 1 or -1 for a percent stated with a sign or a direction word next to it, else 0
+function percentDirection(sign, before, after) {
+    if (sign) return sign === '+' ? 1 : -1;
+    // Only words in the same clause: "AAPL fell 2% while MSFT rose 1%"
+    const clause = before.split(/[,;:(]|\b(?:while|but|and|whereas|after|from)\b/i).pop();
+    const preceding = clause.split(/[^A-Za-z]+/).filter(Boolean).slice(-DIRECTION_WINDOW).reverse();
+    const following = after.split(/[^A-Za-z]+/).filter(Boolean).slice(0, 1);
+    for (const word of [...following, ...preceding]) {
+        const direction = wordDirection(word);
+        if (direction) return direction;
+    }
+    return 0;
+}
+
+// The claims one sentence makes, as [{ kind, claim, value?, direction?, name? }]
+function extractClaims(sentence, facts) {
+    const claims = [];
+    let rest = sentence;
+
+    for (const index of facts.indices) {
+        const alias = INDEX_ALIASES[index.name] || new RegExp(`\\b${escapeRegExp(index.name)}\\b`, 'gi');
+        rest = rest.replace(alias, (match) => {
+            claims.push({ kind: 'index', claim: match, name: index.name });
+            return ' ';
+        });
+    }
+
+    let clauseStart = 0;
+    rest = rest.replace(PERCENT, (match, sign, digits, offset, text) => {
+        const direction = percentDirection(sign, text.slice(clauseStart, offset), text.slice(offset + match.length));
+        clauseStart = offset + match.length;
+        claims.push({ kind: 'percent', claim: match, value: Number(digits), direction, precision: statedPrecision(digits) });
+        return ' ';
+    });
+
+    rest = rest.replace(TICKER, (match) => {
+        if (NOT_TICKERS.has(match)) return match;
+        claims.push({ kind: 'ticker', claim: match, name: match });
+        return ' ';
+    });
+
+    rest.replace(NUMBER, (match, dollar, whole, fraction = '') => {
+        const value = Number(whole.replace(/,/g, '') + fraction);
+        const yearLike = !dollar && !fraction && value >= 1900 && value <= 2100;
+        // Small bare counts ("3 stocks") are not prices
+        if ((dollar || fraction || whole.includes(',') || value >= 100) && !yearLike) {
+            claims.push({ kind: 'price', claim: match, value, precision: statedPrecision(whole + fraction) });
+        }
+        return match;
+    });
+
+    return claims;
+}
+
+// Sources for a sentence's claims, and the reasons it can't be published
+function verify(sentence, facts, entities) {
+    const reasons = [];
+    const sources = [];
+
+    const banned = BANNED_PHRASES.find(pattern => pattern.test(sentence));
+    if (banned) reasons.push(`advice phrasing "${sentence.match(banned)[0]}"`);
+
+    const claims = extractClaims(sentence, facts);
+    const named = claims.filter(claim => claim.kind === 'ticker' || claim.kind === 'index');
+    for (const claim of named) {
+        const entity = entities.get(claim.name);
+        if (entity) sources.push({ claim: claim.claim, point: entity.id });
+        else reasons.push(`${claim.claim} is not in the data`);
+    }
+
+    // Numbers must come from what the sentence names, if it names anything
+    const scope = named.length
+        ? named.flatMap(claim => entities.get(claim.name)?.points || [])
+        : [...entities.values()].flatMap(entity => entity.points);
+
+    // A move stated without a direction is matched on its size alone
+    const near = (claim, value) => (point) => point.kind === claim.kind
+        && Math.abs(point.value - value(point)) <= Math.max(claim.precision, claim.kind === 'price' ? point.value * 0.001 : 0);
+    for (const claim of claims.filter(c => c.kind === 'percent' || c.kind === 'price')) {
+        const magnitude = (point) => (claim.kind === 'percent' ? Math.sign(point.value) || 1 : 1) * claim.value;
+        const match = scope.find(near(claim, claim.direction ? () => claim.direction * claim.value : magnitude));
+        if (match) {
+            sources.push({ claim: claim.claim, point: match.id, value: match.value });
+        } else if (claim.direction && scope.some(near(claim, magnitude))) {
+            reasons.push(`${claim.claim} is a move ${claim.direction > 0 ? 'up' : 'down'}, the data has it ${claim.direction > 0 ? 'down' : 'up'}`);
+        } else {
+            reasons.push(`${claim.claim} matches no ${claim.kind === 'percent' ? 'move' : 'price'} in the data`);
+        }
+    }
+
+    return { sources, reasons };
+}
+
+function checkText(field, text, facts, entities, provenance, rejected) {
+    const kept = [];
+    for (const sentence of splitSentences(text)) {
+        const { sources, reasons } = verify(sentence, facts, entities);
+        if (reasons.length) {
+            rejected.push({ field, text: sentence, reasons });
+        } else {
+            kept.push(sentence);
+            provenance.push({ field, text: sentence, sources });
+        }
+    }
+    return kept;
+}
+
+/**
+ * The publishable part of an engine's commentary; fallback is the rules
+ * engine's commentary for the same facts, or null when that is what's checked
+ */
+function checkCommentary(commentary, facts, { fallback = null } = {}) {
+    const entities = dataPoints(facts);
+    const provenance = [];
+    const rejected = [];
+
+    // Failing sentences are dropped; a field left empty is rewritten from the fallback
+    const check = (field, items, fallbackItems) => {
+        const kept = items.map(item => checkText(field, item, facts, entities, provenance, rejected).join(' ')).filter(Boolean);
+        return kept.length || !fallbackItems ? kept : check(field, fallbackItems, null);
+    };
+    const text = (field) => check(field, [commentary[field]], fallback && [fallback[field]]).join(' ');
+
+    const watchlist = commentary.watchlist.filter(symbol => entities.has(symbol));
+    watchlist.forEach(symbol => provenance.push({ field: 'watchlist', text: symbol, sources: [{ claim: symbol, point: entities.get(symbol).id }] }));
+
+    return {
+        commentary: {
+            ...commentary,
+            summary: text('summary'),
+            keyLevels: text('keyLevels'),
+            watchlist,
+            risks: check('risks', commentary.risks, fallback?.risks)
+        },
+        provenance,
+        rejected
+    };
+}
+
+module.exports = { BANNED_PHRASES, extractClaims, checkCommentary };
@@ -0,0 +1,173 @@
+/**
+ * Request scheduler
+ *
+ * Every network request goes through one scheduler per process that caps
+ * concurrency, spends tokens from a token bucket and retries 429/5xx and
+ * transport errors (TRANSPORT_ERRORS) with exponential backoff plus jitter.
+ * A Retry-After wait is capped at maxDelayMs. Configure with:
+ *
+ *   FETCH_CONCURRENCY  parallel requests            default 6
+ *   FETCH_RATE         requests per second          default 5
+ *   FETCH_BURST        token bucket size            default 10
+ *   FETCH_RETRIES      retries after the first try  default 3
+ *
+ * fetchAll() runs a per-symbol task over a list concurrently and returns the
+ * results together with a failure report.
+ */
+
+const DEFAULTS = {
+    concurrency: 6,
+    rate: 5,
+    burst: 10,
+    retries: 3,
+    baseDelayMs: 500,
+    maxDelayMs: 15000
+};
+
+// Requests that never got an answer and may well get one on the next try
+const TRANSPORT_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'AbortError'];
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Anything else without a status (a parse error, a bug in the task) would only fail again
+function isRetryable(error) {
+    if (error.status) return error.status === 429 || error.status >= 500;
+    // fetch() rejects with a TypeError whose cause carries the system error code
+    return [error.code, error.cause?.code, error.name].some(code => TRANSPORT_ERRORS.includes(code));
+}
+
+function createScheduler(options = {}) {
+    const config = { ...DEFAULTS, ...options };
+
+    let active = 0;
+    const waiting = [];
+
+    let tokens = config.burst;
+    let refilledAt = Date.now();
+
+    const stats = { requests: 0, retries: 0, failures: 0 };
+
+    async function acquireSlot() {
+        if (active < config.concurrency) {
+            active++;
+            return;
+        }
+        // releaseSlot() hands its slot straight to the next waiter
+        await new Promise(resolve => waiting.push(resolve));
+    }
+
+    function releaseSlot() {
+        const next = waiting.shift();
+        if (next) next();
+        else active--;
+    }
+
+    async function acquireToken() {
+        for (;;) {
+            const now = Date.now();
+            tokens = Math.min(config.burst, tokens + ((now - refilledAt) / 1000) * config.rate);
+            refilledAt = now;
+            if (tokens >= 1) {
+                tokens -= 1;
+                return;
+            }
+            await sleep(((1 - tokens) / config.rate) * 1000);
+        }
+    }
+
+    function backoff(attempt, error) {
+        if (error.retryAfter) return Math.min(config.maxDelayMs, error.retryAfter * 1000);
+        const ceiling = Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** attempt);
+        return ceiling / 2 + Math.random() * (ceiling / 2);
+    }
+
+    // Run one request-making task under the concurrency and rate limits
+    async function run(task) {
+        for (let attempt = 0; ; attempt++) {
+            let error;
+            await acquireSlot();
+            try {
+                await acquireToken();
+                stats.requests++;
+                return await task();
+            } catch (e) {
+                error = e;
+            } finally {
+                releaseSlot();
+            }
+
+            if (attempt >= config.retries || !isRetryable(error)) {
+                stats.failures++;
+                throw error;
+            }
+            stats.retries++;
+            await sleep(backoff(attempt, error));
+        }
+    }
+
+    return { run, stats, config };
+}
+
+const ENV_OPTIONS = {
+    FETCH_CONCURRENCY: 'concurrency',
+    FETCH_RATE: 'rate',
+    FETCH_BURST: 'burst',
+    FETCH_RETRIES: 'retries'
+};
+
+let defaultScheduler = null;
+
+function getScheduler() {
+    if (!defaultScheduler) {
+        const options = {};
+        for (const [name, option] of Object.entries(ENV_OPTIONS)) {
+            const value = Number(process.env[name]);
+            // Zero only makes sense for retries
+            if (process.env[name] && Number.isFinite(value) && (value > 0 || option === 'retries')) {
+                options[option] = value;
+            }
+        }
+        defaultScheduler = createScheduler(options);
+    }
+    return defaultScheduler;
+}
+
+/**
+ * Run task(item) for every item concurrently. The network limits are enforced
+ * per request by the scheduler, so this only collects the outcomes.
+ * Returns { results, failures }: results line up with items (null when the task
+ * threw or found no data), failures lists { key, reason } per failed item.
+ */
+async function fetchAll(items, task, { key = (item) => item, label = 'symbols' } = {}) {
+    const failures = [];
+
+    const results = await Promise.all(items.map(async (item) => {
+        try {
+            const result = await task(item);
+            if (result === null || result === undefined) {
+                failures.push({ key: key(item), reason: 'no data' });
+                return null;
+            }
+            return result;
+        } catch (e) {
+            failures.push({ key: key(item), reason: e.message });
+            return null;
+        }
+    }));
+
+    reportFailures(failures, items.length, label);
+    return { results, failures };
+}
+
+function reportFailures(failures, total, label = 'symbols') {
+    if (!failures.length) return;
+    console.warn(`⚠️ ${failures.length}/${total} ${label} failed:`);
+    failures.forEach(f => console.warn(`   ${f.key}: ${f.reason}`));
+}
+
+module.exports = {
+    createScheduler,
+    getScheduler,
+    fetchAll,
+    reportFailures
+};
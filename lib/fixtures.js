@@ -0,0 +1,90 @@
+/**
+ * Offline fixture mode
+ *
+ *   node generate.js --fixtures <dir> --record   fetch live data and save every response
+ *   node generate.js --fixtures <dir>            replay the saved responses, no network
+ *
+ * FIXTURES_DIR and FIXTURES_MODE=record|replay do the same through the
+ * environment, and the flags are copied there so scripts started by
+ * auto-update.js inherit them. Recording also saves the clock and time zone;
+ * replaying restores both, so one fixture set always renders the same bytes.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--fixtures') options.dir = argv[++i];
+        else if (arg.startsWith('--fixtures=')) options.dir = arg.slice('--fixtures='.length);
+        else if (arg === '--record') options.mode = 'record';
+    }
+    return options;
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (args.dir) process.env.FIXTURES_DIR = args.dir;
+if (args.mode) process.env.FIXTURES_MODE = args.mode;
+
+const dir = process.env.FIXTURES_DIR ? path.resolve(process.env.FIXTURES_DIR) : null;
+const mode = dir ? (process.env.FIXTURES_MODE === 'record' ? 'record' : 'replay') : null;
+
+const httpDir = dir && path.join(dir, 'http');
+const clockPath = dir && path.join(dir, 'clock.json');
+
+// Readable file names: "v8-finance-chart-AAPL-1a2b3c4d.json"
+function responsePath(url) {
+    const { pathname } = new URL(url);
+    const slug = decodeURIComponent(pathname).replace(/[^A-Za-z0-9.=^-]+/g, '-').replace(/^-+|-+$/g, '');
+    const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 8);
+    return path.join(httpDir, `${slug}-${hash}.json`);
+}
+
+function record(url, status, body) {
+    fs.mkdirSync(httpDir, { recursive: true });
+    fs.writeFileSync(responsePath(url), JSON.stringify({ url, status, body }, null, 2));
+}
+
+function replay(url) {
+    const file = responsePath(url);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No recorded response for ${url}`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+let clock = null;
+
+if (mode === 'record' && !fs.existsSync(clockPath)) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(clockPath, JSON.stringify({
+        now: new Date().toISOString(),
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+    }, null, 2));
+}
+
+if (mode === 'replay') {
+    if (fs.existsSync(clockPath)) {
+        clock = JSON.parse(fs.readFileSync(clockPath, 'utf8'));
+        // Date formatting without an explicit timeZone follows TZ
+        process.env.TZ = clock.timeZone;
+    } else {
+        console.warn(`⚠️ ${clockPath} not found, replaying with the real clock`);
+    }
+}
+
+// Epoch milliseconds the replayed run should treat as "now", or null
+function frozenTime() {
+    return clock ? Date.parse(clock.now) : null;
+}
+
+module.exports = {
+    dir,
+    mode,
+    record,
+    replay,
+    frozenTime
+};
@@ -0,0 +1,48 @@
+/**
+ * Generator API
+ *
+ * Every generate-*.js script exports generate(context), which resolves to the
+ * pages it builds without touching the disk:
+ *
+ *   [{ path: 'stock/AAPL.html', content, inputs }]
+ *
+ * path is relative to the site root and inputs is what lib/output.js hashes
+ * to tell whether the page changed. The context carries what generators
+ * share when they run in one process:
+ *
+ *   provider     the data provider (lib/data-provider.js) to fetch through;
+ *                its quotes have passed lib/quote-validation.js
+ *   validation   the cycle's quote validator, for the end-of-cycle report
+ *
+ * Scripts stay runnable on their own through run():
+ *
+ *   if (require.main === module) run(__filename, generate);
+ */
+
+const { getProvider } = require('./data-provider');
+const { writePages } = require('./output');
+const { createValidator, withValidation } = require('./quote-validation');
+
+function createContext(overrides = {}) {
+    const validation = createValidator();
+    return { provider: withValidation(getProvider(), validation), validation, ...overrides };
+}
+
+// Build one generator's pages and write them; returns { written, unchanged }
+async function build(generatorFile, generate, context = createContext()) {
+    const pages = await generate(context);
+    return writePages(generatorFile, pages);
+}
+
+// CLI wrapper: build, report errors and quarantined quotes, and set the exit code
+function run(generatorFile, generate) {
+    const context = createContext();
+    return build(generatorFile, generate, context)
+        .catch(e => {
+            console.error(e);
+            process.exitCode = 1;
+        })
+        .finally(() => console.log(context.validation.formatReport()));
+}
+
+module.exports = { createContext, build, run };
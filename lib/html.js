@@ -0,0 +1,64 @@
+/**
+ * html`` tagged template for generated pages
+ *
+ * Every interpolated value is HTML-escaped unless it is markup built by html``
+ * itself or marked trusted with raw(), so names like "AT&T" or "Lowe's" and
+ * anything hostile in upstream data render as text:
+ *
+ *   html`<ul>${items.map(item => html`<li>${item.name}</li>`)}</ul>`
+ *   html`<div class="content">${raw(indicator.content)}</div>`
+ *
+ * Interpolated arrays are joined, so lists render without .join(''), and
+ * null, undefined and false render as nothing, so conditional fragments can
+ * be written as ${cond && html`...`}.
+ *
+ * The same escaping is right for XML text and attributes, so the RSS feed and
+ * sitemap use it as xml``. jsonLd() embeds structured data in a
+ * <script type="application/ld+json"> block that the data can't break out of.
+ */
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Markup that is already safe to emit; html`` returns one, raw() makes one
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+function escape(value) {
+    return String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+}
+
+function render(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (Array.isArray(value)) return value.map(render).join('');
+    if (value instanceof SafeHtml) return value.markup;
+    return escape(value);
+}
+
+function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((out, string, i) => out + string + (i < values.length ? render(values[i]) : ''), ''));
+}
+
+// Trusted markup, emitted as is: hand-written page bodies, third-party tags
+function raw(markup) {
+    return new SafeHtml(markup ?? '');
+}
+
+// JSON is safe in a script block once nothing in it can close the tag
+function jsonLd(data) {
+    const json = JSON.stringify(data)
+        .replace(/</g, '\\u003c')
+        .replace(/>/g, '\\u003e')
+        .replace(/&/g, '\\u0026')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+    return raw(`<script type="application/ld+json">${json}</script>`);
+}
+
+module.exports = { html, xml: html, raw, escape, render, jsonLd };
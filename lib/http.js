@@ -0,0 +1,63 @@
+/**
+ * HTTP helpers shared by the data layer
+ */
+
+const cache = require('./cache');
+const fixtures = require('./fixtures');
+const { getScheduler } = require('./fetch-scheduler');
+
+function httpError(url, status, retryAfter = null) {
+    const error = new Error(`HTTP ${status} for ${url}`);
+    error.status = status;
+    error.retryAfter = retryAfter;
+    return error;
+}
+
+// One network round trip; the scheduler retries it when it throws
+async function fetchOnce(url, read) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        if (fixtures.mode === 'record') fixtures.record(url, response.status, null);
+        throw httpError(url, response.status, Number(response.headers.get('retry-after')) || null);
+    }
+    return read(response);
+}
+
+const inflight = new Map();
+
+// A response body from the fixtures, the cache or the network, in that order
+async function fetchBody(url, read) {
+    if (fixtures.mode === 'replay') {
+        const { status, body } = fixtures.replay(url);
+        if (status >= 400) throw httpError(url, status);
+        return body;
+    }
+
+    // Recording and replaying always see the exact upstream response
+    const useCache = !fixtures.mode;
+    if (useCache) {
+        const cached = cache.get(url);
+        if (cached !== undefined) return cached;
+    }
+
+    // Concurrent callers asking for the same URL share one request
+    if (!inflight.has(url)) {
+        inflight.set(url, getScheduler().run(() => fetchOnce(url, read)).then(body => {
+            if (fixtures.mode === 'record') fixtures.record(url, 200, body);
+            if (useCache) cache.set(url, body);
+            return body;
+        }).finally(() => inflight.delete(url)));
+    }
+    return inflight.get(url);
+}
+
+function fetchJson(url) {
+    return fetchBody(url, response => response.json());
+}
+
+// RSS and Atom feeds; cached and recorded as strings
+function fetchText(url) {
+    return fetchBody(url, response => response.text());
+}
+
+module.exports = { fetchJson, fetchText };
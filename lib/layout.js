@@ -0,0 +1,57 @@
+/**
+ * Base page layout
+ *
+ * Every generated page is a layout() call around its own body markup:
+ *
+ *   layout({
+ *       page: 'crypto',                     body class .page-crypto in assets/site.css
+ *       title, description, keywords?,      <head> metadata
+ *       canonical?,                         page path, made absolute with the site URL
+ *       accent?,                            overrides --accent for this page
+ *       links?,                             page links under the site nav
+ *       footer?,                            note after the copyright line
+ *       structuredData?,                    schema.org object, embedded as JSON-LD
+ *       head?, scripts?,                    extra markup for <head> / end of <body>
+ *       body
+ *   })
+ *
+ * The layout adds the shared stylesheet, the config-driven head tags, the
+ * nav and the footer (lib/partials.js), so pages never repeat them. body,
+ * head and scripts are html`` fragments (lib/html.js); plain strings are
+ * escaped like any other value. Returns the finished page as a string.
+ */
+
+const { url } = require('./config');
+const { stylesheet } = require('./assets');
+const { html, render, jsonLd } = require('./html');
+const partials = require('./partials');
+
+function layout({ page, title, description, keywords, canonical, accent, links = [], footer, structuredData, head, scripts, body }) {
+    return render(html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <meta name="description" content="${description}">
+    ${keywords && html`<meta name="keywords" content="${keywords}">`}
+    ${canonical !== undefined && html`<link rel="canonical" href="${url(canonical)}">`}
+    <link rel="stylesheet" href="${stylesheet().href}">
+    ${partials.headTags()}
+    ${structuredData && jsonLd(structuredData)}
+    ${head}
+</head>
+<body class="page-${page}"${accent && html` style="--accent: ${accent}"`}>
+    <div class="container">
+        ${partials.nav(links)}
+        <main>
+        ${body}
+        </main>
+        ${partials.footer(footer)}
+    </div>
+    ${scripts}
+</body>
+</html>`);
+}
+
+module.exports = { layout };
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/**
+ * Support and resistance levels
+ *
+ * Computed from the daily bars in the price store (lib/price-store.js), up to
+ * the last session before today, so pre-market levels come from yesterday's
+ * complete bar. Only bars with a real open, high and low count: close-only
+ * bars (closeOnly, from spark data or a quote without a day range) would
+ * collapse every range to a point. Without MIN_BARS real bars, ending with
+ * the prior session's, there are no levels:
+ *
+ *   prior      the prior day's high, low and close
+ *   classic    floor-trader pivot P with R1-R3 and S1-S3
+ *   camarilla  R1-R4 and S1-S4 around the prior close
+ *   swing      swing highs and lows of the last SWING_BARS sessions: a high
+ *              (low) above (below) the SWING_WINDOW bars on either side
+ *   round      the round numbers either side of the price (10s for a $105
+ *              stock, 100s for an index at 5,800)
+ *
+ * Levels within CLUSTER_PERCENT of each other are merged into one, named by
+ * all of them.
+ *
+ *   levelsFor('AAPL', 231.40)   -> { price, prior, above: [{ price, names }], below }, null without enough history
+ *   computeLevels(bars, price)  -> [{ price, kind, name }]
+ *
+ *   node lib/levels.js AAPL [price]   print a symbol's levels around its last close
+ */
+
+const store = require('./price-store');
+const { toET } = require('./market-calendar');
+const { now } = require('./clock');
+
+// Calendar days of history read, enough for SWING_BARS sessions
+const HISTORY_DAYS = 100;
+const SWING_BARS = 60;
+const SWING_WINDOW = 2;
+
+// Real bars needed before any level is published
+const MIN_BARS = 10;
+
+const CLUSTER_PERCENT = 0.1;
+
+// Levels shown on each side of the price
+const NEAREST_COUNT = 3;
+
+function shortDate(dateString) {
+    return new Date(`${dateString}T12:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric' });
+}
+
+function priorLevels({ high, low, close }) {
+    return [
+        { price: high, kind: 'prior', name: 'Prior high' },
+        { price: low, kind: 'prior', name: 'Prior low' },
+        { price: close, kind: 'prior', name: 'Prior close' }
+    ];
+}
+
+function classicPivots({ high, low, close }) {
+    const pivot = (high + low + close) / 3;
+    return [
+        ['', pivot],
+        ['R1', 2 * pivot - low],
+        ['R2', pivot + (high - low)],
+        ['R3', high + 2 * (pivot - low)],
+        ['S1', 2 * pivot - high],
+        ['S2', pivot - (high - low)],
+        ['S3', low - 2 * (high - pivot)]
+    ].map(([name, price]) => ({ price, kind: 'classic', name: name ? `Pivot ${name}` : 'Pivot' }));
+}
+
+function camarillaPivots({ high, low, close }) {
+    const range = high - low;
+    return [12, 6, 4, 2].flatMap((divisor, i) => [
+        { price: close + (range * 1.1) / divisor, kind: 'camarilla', name: `Camarilla R${i + 1}` },
+        { price: close - (range * 1.1) / divisor, kind: 'camarilla', name: `Camarilla S${i + 1}` }
+    ]);
+}
+
+// Newest first, so a level the market has tested several times is named by its latest swing
+function swingLevels(bars) {
+    const recent = bars.slice(-SWING_BARS);
+    const levels = [];
+    const seen = (kind, price) => levels.some(level => level.name.startsWith(kind)
+        && Math.abs(level.price - price) <= (price * CLUSTER_PERCENT) / 100);
+
+    for (let i = recent.length - 1 - SWING_WINDOW; i >= SWING_WINDOW; i--) {
+        const neighbours = [...recent.slice(i - SWING_WINDOW, i), ...recent.slice(i + 1, i + 1 + SWING_WINDOW)];
+        const bar = recent[i];
+        if (neighbours.every(other => bar.high > other.high) && !seen('Swing high', bar.high)) {
+            levels.push({ price: bar.high, kind: 'swing', name: `Swing high (${shortDate(bar.date)})` });
+        }
+        if (neighbours.every(other => bar.low < other.low) && !seen('Swing low', bar.low)) {
+            levels.push({ price: bar.low, kind: 'swing', name: `Swing low (${shortDate(bar.date)})` });
+        }
+    }
+    return levels;
+}
+
+// The round numbers either side of price, one step of 10^(digits - 1) apart
+function roundLevels(price) {
+    const step = 10 ** (Math.floor(Math.log10(price)) - 1);
+    const below = Math.floor(price / step) * step;
+    return [below - step, below, below + step, below + 2 * step]
+        .map(level => Number(level.toPrecision(12)))
+        .filter(level => level > 0 && level !== price)
+        .map(level => ({ price: level, kind: 'round', name: `Round ${level.toLocaleString('en-US')}` }));
+}
+
+// Every level from bars (oldest first, last one the prior session) around price
+function computeLevels(bars, price) {
+    const prior = bars[bars.length - 1];
+    return [
+        ...priorLevels(prior),
+        ...classicPivots(prior),
+        ...camarillaPivots(prior),
+        ...swingLevels(bars),
+        ...roundLevels(price)
+    ].filter(level => Number.isFinite(level.price) && level.price > 0);
+}
+
+// Levels on one side of price, nearest first, with near-identical ones merged
+function nearest(levels, price, side, count) {
+    const sorted = levels
+        .filter(level => (side === 'above' ? level.price > price : level.price < price))
+        .sort((a, b) => Math.abs(a.price - price) - Math.abs(b.price - price));
+
+    const clusters = [];
+    for (const level of sorted) {
+        const last = clusters[clusters.length - 1];
+        if (last && Math.abs(level.price - last.price) <= (last.price * CLUSTER_PERCENT) / 100) {
+            last.names.push(level.name);
+        } else {
+            clusters.push({ price: Math.round(level.price * 100) / 100, names: [level.name] });
+        }
+    }
+    return clusters.slice(0, count);
+}
+
+function isRealBar(bar) {
+    return !bar.closeOnly && bar.low > 0 && bar.high >= bar.close && bar.close >= bar.low;
+}
+
+/**
+ * A symbol's nearest levels above and below price, from the store's bars
+ * before date (default today in New York); null when the prior session's
+ * bar is close-only or fewer than MIN_BARS real bars are stored
+ */
+function levelsFor(symbol, price, { date = toET(now()).date, count = NEAREST_COUNT } = {}) {
+    const stored = store.bars(symbol, { days: HISTORY_DAYS }).filter(bar => bar.date < date);
+    const history = stored.filter(isRealBar);
+    if (!stored.length || !isRealBar(stored[stored.length - 1]) || history.length < MIN_BARS) return null;
+    if (!Number.isFinite(price) || price <= 0) return null;
+
+    const levels = computeLevels(history, price);
+    const { date: priorDate, high, low, close } = history[history.length - 1];
+    return {
+        price,
+        prior: { date: priorDate, high, low, close },
+        above: nearest(levels, price, 'above', count),
+        below: nearest(levels, price, 'below', count)
+    };
+}
+
+if (require.main === module) {
+    const [symbol, price] = process.argv.slice(2);
+    if (!symbol) {
+        console.log('Usage: node lib/levels.js SYMBOL [price]');
+    } else {
+        const reference = Number(price) || store.latest(symbol)?.close;
+        const result = levelsFor(symbol, reference);
+        if (!result) {
+            console.log(`Not enough stored OHLC history for ${symbol}`);
+        } else {
+            console.log(`📐 ${symbol} at ${result.price.toFixed(2)} (prior session ${result.prior.date}: H ${result.prior.high.toFixed(2)} L ${result.prior.low.toFixed(2)} C ${result.prior.close.toFixed(2)})`);
+            [...result.above].reverse().forEach(level => console.log(`   ▲ ${level.price.toFixed(2).padStart(10)}  ${level.names.join(', ')}`));
+            result.below.forEach(level => console.log(`   ▼ ${level.price.toFixed(2).padStart(10)}  ${level.names.join(', ')}`));
+        }
+    }
+}
+
+module.exports = { HISTORY_DAYS, NEAREST_COUNT, MIN_BARS, isRealBar, computeLevels, levelsFor };
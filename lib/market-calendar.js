@@ -0,0 +1,244 @@
+/**
+ * NYSE trading calendar
+ *
+ * Holidays and early closes are derived from the exchange's rules, so any
+ * year works without a yearly table:
+ *
+ *   holidays(2025)          -> [{ date: '2025-01-01', name: "New Year's Day" }, ...]
+ *   earlyCloses(2025)       -> [{ date: '2025-07-03', name: 'Independence Day (eve)' }, ...]
+ *   isTradingDay(date)      -> false on weekends, holidays and special closures
+ *   sessionHours(date)      -> { open: '09:30', close: '16:00' | '13:00', earlyClose } or null
+ *
+ * Dates are 'YYYY-MM-DD' strings or Date objects; Date objects are read in
+ * New York time. Fixed-date holidays that fall on a Saturday are observed the
+ * Friday before and on a Sunday the Monday after, except that New Year's Day
+ * on a Saturday is not observed (the exchange keeps Dec 31 as a full day).
+ */
+
+const TIME_ZONE = 'America/New_York';
+
+// One-off closures the rules can't predict (national days of mourning etc.)
+const SPECIAL_CLOSURES = {
+    '2025-01-09': 'National Day of Mourning for President Carter'
+};
+
+const REGULAR_HOURS = { open: '09:30', close: '16:00' };
+const EARLY_CLOSE = '13:00';
+
+const etFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: TIME_ZONE,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', weekday: 'short',
+    hourCycle: 'h23'
+});
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Wall-clock parts of an instant in New York:
+ * { date: 'YYYY-MM-DD', year, month, day, hour, minute, weekday (0 = Sunday) }
+ */
+function toET(instant) {
+    const parts = Object.fromEntries(etFormat.formatToParts(instant).map(p => [p.type, p.value]));
+    const year = Number(parts.year);
+    const month = Number(parts.month);
+    const day = Number(parts.day);
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        year,
+        month,
+        day,
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        weekday: WEEKDAYS[parts.weekday]
+    };
+}
+
+function toDateString(date) {
+    return typeof date === 'string' ? date : toET(date).date;
+}
+
+// Calendar arithmetic on plain dates, done in UTC so DST never shifts a day
+function utcDate(year, month, day) {
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+function format(d) {
+    return d.toISOString().split('T')[0];
+}
+
+function addDays(dateString, days) {
+    const d = new Date(`${dateString}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return format(d);
+}
+
+function weekdayOf(dateString) {
+    return new Date(`${dateString}T00:00:00Z`).getUTCDay();
+}
+
+// nth (1-based) weekday of a month; n = -1 for the last one
+function nthWeekday(year, month, weekday, n) {
+    if (n > 0) {
+        const first = utcDate(year, month, 1).getUTCDay();
+        return utcDate(year, month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+    }
+    const lastDay = utcDate(year, month + 1, 0);
+    const back = (lastDay.getUTCDay() - weekday + 7) % 7;
+    return utcDate(year, month, lastDay.getUTCDate() - back);
+}
+
+// Anonymous Gregorian algorithm
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return utcDate(year, month, day);
+}
+
+function observed(year, month, day) {
+    const d = utcDate(year, month, day);
+    if (d.getUTCDay() === 6) d.setUTCDate(d.getUTCDate() - 1);
+    else if (d.getUTCDay() === 0) d.setUTCDate(d.getUTCDate() + 1);
+    return d;
+}
+
+const holidayCache = new Map();
+
+function holidays(year) {
+    if (holidayCache.has(year)) return holidayCache.get(year);
+
+    const goodFriday = easterSunday(year);
+    goodFriday.setUTCDate(goodFriday.getUTCDate() - 2);
+
+    const list = [
+        // A Saturday New Year's Day would fall back into the previous year
+        utcDate(year, 1, 1).getUTCDay() !== 6 && { date: observed(year, 1, 1), name: "New Year's Day" },
+        { date: nthWeekday(year, 1, 1, 3), name: 'Martin Luther King Jr. Day' },
+        { date: nthWeekday(year, 2, 1, 3), name: "Washington's Birthday" },
+        { date: goodFriday, name: 'Good Friday' },
+        { date: nthWeekday(year, 5, 1, -1), name: 'Memorial Day' },
+        year >= 2022 && { date: observed(year, 6, 19), name: 'Juneteenth' },
+        { date: observed(year, 7, 4), name: 'Independence Day' },
+        { date: nthWeekday(year, 9, 1, 1), name: 'Labor Day' },
+        { date: nthWeekday(year, 11, 4, 4), name: 'Thanksgiving Day' },
+        { date: observed(year, 12, 25), name: 'Christmas Day' }
+    ].filter(Boolean).map(h => ({ date: format(h.date), name: h.name }));
+
+    for (const [date, name] of Object.entries(SPECIAL_CLOSURES)) {
+        if (date.startsWith(`${year}-`)) list.push({ date, name });
+    }
+    list.sort((a, b) => a.date.localeCompare(b.date));
+
+    holidayCache.set(year, list);
+    return list;
+}
+
+function holidayName(date) {
+    const dateString = toDateString(date);
+    return holidays(Number(dateString.slice(0, 4))).find(h => h.date === dateString)?.name || null;
+}
+
+/**
+ * Name of the 1:00 PM early close on this date, or null: July 3 when it falls
+ * Monday to Thursday, the day after Thanksgiving, and Christmas Eve Monday to
+ * Thursday.
+ */
+function earlyCloseName(date) {
+    const dateString = toDateString(date);
+    const year = Number(dateString.slice(0, 4));
+    const weekday = weekdayOf(dateString);
+    const monToThu = weekday >= 1 && weekday <= 4;
+
+    if (dateString === `${year}-07-03` && monToThu) return 'Independence Day (eve)';
+    if (dateString === addDays(format(nthWeekday(year, 11, 4, 4)), 1)) return 'Day after Thanksgiving';
+    if (dateString === `${year}-12-24` && monToThu) return 'Christmas Eve';
+    return null;
+}
+
+// The year's 1:00 PM closes that fall on trading days
+function earlyCloses(year) {
+    const list = [];
+    for (let d = `${year}-01-01`; d.startsWith(String(year)); d = addDays(d, 1)) {
+        if (isEarlyClose(d)) list.push({ date: d, name: earlyCloseName(d) });
+    }
+    return list;
+}
+
+function isTradingDay(date) {
+    const dateString = toDateString(date);
+    const weekday = weekdayOf(dateString);
+    return weekday !== 0 && weekday !== 6 && !holidayName(dateString);
+}
+
+function isEarlyClose(date) {
+    return isTradingDay(date) && earlyCloseName(date) !== null;
+}
+
+// Regular-session hours in New York time, or null when the market is closed
+function sessionHours(date) {
+    if (!isTradingDay(date)) return null;
+    const earlyClose = isEarlyClose(date);
+    return { ...REGULAR_HOURS, close: earlyClose ? EARLY_CLOSE : REGULAR_HOURS.close, earlyClose };
+}
+
+function nextTradingDay(date) {
+    let dateString = addDays(toDateString(date), 1);
+    while (!isTradingDay(dateString)) dateString = addDays(dateString, 1);
+    return dateString;
+}
+
+function previousTradingDay(date) {
+    let dateString = addDays(toDateString(date), -1);
+    while (!isTradingDay(dateString)) dateString = addDays(dateString, -1);
+    return dateString;
+}
+
+// Summary of a day for logs and status files
+function describeDay(date) {
+    const dateString = toDateString(date);
+    const hours = sessionHours(dateString);
+    return {
+        date: dateString,
+        tradingDay: hours !== null,
+        holiday: holidayName(dateString),
+        earlyClose: hours?.earlyClose ? earlyCloseName(dateString) : null,
+        hours
+    };
+}
+
+if (require.main === module) {
+    const year = Number(process.argv[2]) || toET(new Date()).year;
+    console.log(`📅 NYSE holidays ${year}`);
+    holidays(year).forEach(h => console.log(`   ${h.date}  ${h.name}`));
+    console.log(`⏰ Early closes (${EARLY_CLOSE} ET)`);
+    earlyCloses(year).forEach(e => console.log(`   ${e.date}  ${e.name}`));
+}
+
+module.exports = {
+    TIME_ZONE,
+    REGULAR_HOURS,
+    EARLY_CLOSE,
+    toET,
+    addDays,
+    holidays,
+    holidayName,
+    earlyCloses,
+    isTradingDay,
+    isEarlyClose,
+    sessionHours,
+    nextTradingDay,
+    previousTradingDay,
+    describeDay
+};
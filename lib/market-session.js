@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/**
+ * Market session clock
+ *
+ * Which NYSE/Nasdaq session an instant falls in. Trading days, holidays and
+ * 1:00 PM early closes come from lib/market-calendar.js; every boundary is a
+ * New York wall-clock time turned into an instant through America/New_York,
+ * so daylight time is always right:
+ *
+ *   pre       4:00 AM to the 9:30 AM open
+ *   regular   9:30 AM to the close (4:00 PM, or 1:00 PM on an early close)
+ *   post      the close to 8:00 PM (5:00 PM after an early close)
+ *   closed    overnight, weekends and holidays
+ *
+ *   sessionAt(instant)   -> { session, label, date, endsAt, nextOpen }
+ *   sessionsOn(date)     -> [{ session, label, start: '04:00', end: '09:30', startsAt, endsAt }], [] when closed
+ *   formatET(instant)    -> 'Oct 19, 2026, 2:44 PM EDT'
+ *   zoneName(instant)    -> 'EDT' or 'EST'
+ *   asOf(instant)        -> 'Oct 19, 2026, 2:44 PM EDT (after hours)', for "data updated" lines
+ *
+ * instant defaults to now() (lib/clock.js), so replays see the session they
+ * were recorded in.
+ *
+ *   node lib/market-session.js   print the current session and today's hours
+ */
+
+const calendar = require('./market-calendar');
+const { now } = require('./clock');
+
+const PRE_OPEN = '04:00';
+const POST_CLOSE = '20:00';
+const EARLY_POST_CLOSE = '17:00';
+
+const LABELS = { pre: 'Pre-market', regular: 'Regular session', post: 'After hours', closed: 'Market closed' };
+
+const dateTimeFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: calendar.TIME_ZONE,
+    month: 'short', day: 'numeric', year: 'numeric',
+    hour: 'numeric', minute: '2-digit', timeZoneName: 'short'
+});
+
+const timeFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: calendar.TIME_ZONE,
+    hour: 'numeric', minute: '2-digit', timeZoneName: 'short'
+});
+
+const dayFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: calendar.TIME_ZONE,
+    weekday: 'short', month: 'short', day: 'numeric'
+});
+
+function toDateString(date) {
+    return typeof date === 'string' ? date : calendar.toET(date).date;
+}
+
+// The instant a New York wall-clock time ('HH:MM') occurs on a date
+function atET(dateString, hhmm) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const [hour, minute] = hhmm.split(':').map(Number);
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Start five hours ahead (EST) and correct by whatever New York reads there
+    let instant = wall + 5 * 3600000;
+    for (let i = 0; i < 2; i++) {
+        const et = calendar.toET(new Date(instant));
+        instant += wall - Date.UTC(et.year, et.month - 1, et.day, et.hour, et.minute);
+    }
+    return new Date(instant);
+}
+
+function sessionsOn(date) {
+    const dateString = toDateString(date);
+    const hours = calendar.sessionHours(dateString);
+    if (!hours) return [];
+
+    return [
+        { session: 'pre', start: PRE_OPEN, end: hours.open },
+        { session: 'regular', start: hours.open, end: hours.close },
+        { session: 'post', start: hours.close, end: hours.earlyClose ? EARLY_POST_CLOSE : POST_CLOSE }
+    ].map(slot => ({
+        ...slot,
+        label: LABELS[slot.session],
+        startsAt: atET(dateString, slot.start),
+        endsAt: atET(dateString, slot.end)
+    }));
+}
+
+// Start of the first regular session after an instant
+function nextOpen(at) {
+    const date = calendar.toET(at).date;
+    const today = sessionsOn(date).find(slot => slot.session === 'regular' && slot.startsAt > at);
+    return today ? today.startsAt : sessionsOn(calendar.nextTradingDay(date))[1].startsAt;
+}
+
+/**
+ * The session an instant falls in: endsAt is when it's over (null while
+ * closed) and nextOpen the next opening bell
+ */
+function sessionAt(instant = now()) {
+    const at = new Date(instant);
+    const date = calendar.toET(at).date;
+    const current = sessionsOn(date).find(slot => at >= slot.startsAt && at < slot.endsAt);
+    const session = current ? current.session : 'closed';
+
+    return {
+        session,
+        label: LABELS[session],
+        date,
+        endsAt: current ? current.endsAt : null,
+        nextOpen: nextOpen(at)
+    };
+}
+
+function isOpen(instant = now()) {
+    return sessionAt(instant).session === 'regular';
+}
+
+function formatET(instant = now()) {
+    return dateTimeFormat.format(new Date(instant));
+}
+
+function formatTime(instant) {
+    return timeFormat.format(new Date(instant));
+}
+
+function formatDay(instant) {
+    return dayFormat.format(new Date(instant));
+}
+
+function zoneName(instant = now()) {
+    return timeFormat.formatToParts(new Date(instant)).find(part => part.type === 'timeZoneName').value;
+}
+
+function asOf(instant = now()) {
+    return `${formatET(instant)} (${sessionAt(instant).label.toLowerCase()})`;
+}
+
+if (require.main === module) {
+    const state = sessionAt();
+    console.log(`🕐 ${formatET()}: ${state.label}${state.endsAt ? ` until ${formatTime(state.endsAt)}` : ''}`);
+    console.log(`   Next open: ${formatDay(state.nextOpen)} ${formatTime(state.nextOpen)}`);
+    sessionsOn(state.date).forEach(slot => console.log(`   ${slot.label.padEnd(16)} ${formatTime(slot.startsAt)} - ${formatTime(slot.endsAt)}`));
+}
+
+module.exports = {
+    LABELS,
+    PRE_OPEN,
+    POST_CLOSE,
+    EARLY_POST_CLOSE,
+    atET,
+    sessionsOn,
+    sessionAt,
+    isOpen,
+    formatET,
+    formatTime,
+    formatDay,
+    zoneName,
+    asOf
+};
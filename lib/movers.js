@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Mover discovery
+ *
+ * Candidates for the brief's gainers, decliners and most active lists come
+ * from the whole market rather than a fixed watchlist: Yahoo's predefined
+ * screens (day_gainers, day_losers, most_actives) plus the trending tickers,
+ * quoted in one batch. Only liquid US stocks are kept:
+ *
+ *   quoteType EQUITY, price >= $2, volume >= 500K shares, market cap >= $300M
+ *
+ * so thin penny stocks and warrants don't top the lists with +300% moves.
+ * Screen rows and quotes pass the quote validator like any other quote.
+ *
+ *   discoverMovers(provider)   -> [quote], empty when the endpoints are down
+ *   rankMovers(stocks, opts)   -> { gainers, decliners, active, ranked }
+ *
+ * Callers fall back to their own list (the "brief" tag in symbols.json) when
+ * fewer than MIN_CANDIDATES turn up, or trade in the extended session.
+ *
+ *   node lib/movers.js   print today's candidates
+ */
+
+const SCREENS = ['day_gainers', 'day_losers', 'most_actives'];
+const SCREEN_COUNT = 25;
+const TRENDING_COUNT = 20;
+
+const LIQUIDITY = { minPrice: 2, minVolume: 500000, minMarketCap: 300e6 };
+
+// Fewer liquid candidates than this and the discovery is treated as failed
+const MIN_CANDIDATES = 10;
+
+function isLiquid(quote, { minPrice, minVolume, minMarketCap } = LIQUIDITY) {
+    return quote.quoteType === 'EQUITY'
+        && quote.price >= minPrice
+        && quote.volume >= minVolume
+        && quote.marketCap >= minMarketCap;
+}
+
+// A screen or the trending list that fails costs only its own candidates
+async function attempt(label, request, empty) {
+    try {
+        return await request();
+    } catch (e) {
+        console.warn(`⚠️ ${label} unavailable: ${e.message}`);
+        return empty;
+    }
+}
+
+async function discoverMovers(provider, { screens = SCREENS, count = SCREEN_COUNT, trending = TRENDING_COUNT, liquidity = LIQUIDITY } = {}) {
+    const [screened, trendingSymbols] = await Promise.all([
+        Promise.all(screens.map(id => attempt(`Screen ${id}`, () => provider.getScreener(id, { count }), {}))),
+        attempt('Trending tickers', () => provider.getTrending({ count: trending }), [])
+    ]);
+
+    const candidates = Object.assign({}, ...screened);
+    const unquoted = trendingSymbols.filter(symbol => !candidates[symbol]);
+    if (unquoted.length) {
+        Object.assign(candidates, await attempt('Trending quotes', () => provider.getQuotes(unquoted, { label: 'trending tickers' }), {}));
+    }
+
+    const liquid = Object.values(candidates).filter(quote => isLiquid(quote, liquidity));
+    console.log(`🔭 Discovered ${Object.keys(candidates).length} candidates (${screens.length} screens, ${trendingSymbols.length} trending), ${liquid.length} liquid`);
+    return liquid;
+}
+
+// The move a stock is ranked by: its extended-hours gap when it has one
+function movePercent(stock) {
+    return stock.extended ? stock.extended.gapPercent : stock.changePercent;
+}
+
+/**
+ * The top `count` gainers, decliners and most active of stocks. In an extended
+ * session (session 'pre' or 'post', the market clock's) only stocks with an
+ * extended quote from that same session rank, by its gap and volume, and carry
+ * it as stock.extended; otherwise they rank by the regular session. ranked is
+ * every stock that took part.
+ */
+function rankMovers(stocks, { extended = {}, session = null, count = 10 } = {}) {
+    const ranked = session
+        ? stocks.filter(stock => extended[stock.symbol]?.session === session).map(stock => ({ ...stock, extended: extended[stock.symbol] }))
+        : stocks.map(stock => ({ ...stock, extended: null }));
+    const volumeOf = stock => stock.extended ? stock.extended.volume : stock.volume;
+
+    return {
+        gainers: ranked.filter(stock => movePercent(stock) > 0).sort((a, b) => movePercent(b) - movePercent(a)).slice(0, count),
+        decliners: ranked.filter(stock => movePercent(stock) < 0).sort((a, b) => movePercent(a) - movePercent(b)).slice(0, count),
+        active: [...ranked].sort((a, b) => volumeOf(b) - volumeOf(a)).slice(0, count),
+        ranked
+    };
+}
+
+if (require.main === module) {
+    const { createContext } = require('./generator');
+    discoverMovers(createContext().provider).then(quotes => {
+        quotes.sort((a, b) => b.changePercent - a.changePercent).forEach(quote => {
+            console.log(`   ${quote.symbol.padEnd(8)} ${quote.changePercent.toFixed(2).padStart(8)}%  ${(quote.volume / 1e6).toFixed(1).padStart(8)}M  ${quote.name}`);
+        });
+    }).catch(e => {
+        console.error(e);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { SCREENS, LIQUIDITY, MIN_CANDIDATES, isLiquid, discoverMovers, movePercent, rankMovers };
@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+/**
+ * News ingestion
+ *
+ * Headlines come from two kinds of source:
+ *
+ *   feeds   the RSS and Atom feeds in site.config.json (news.feeds); a
+ *           perSymbol feed is fetched once per ticker with {symbol} filled in
+ *   yahoo   the data provider's getNews(), Yahoo's search endpoint by default
+ *
+ * Every item is normalised to
+ *
+ *   { id, title, summary, url, source, category, time, symbols }
+ *
+ * with time in epoch ms: the publication date, or when the item was fetched
+ * if the feed gives none. Items from general feeds are tagged with the
+ * requested tickers they mention, by symbol or company name. The same story
+ * from several sources is kept once (same link without tracking parameters,
+ * or same title) with the symbols of every copy. Items older than
+ * news.maxAgeHours are dropped.
+ *
+ * NEWS_FEEDS_DIR replaces the feeds with local files, for tests and offline
+ * builds: <dir>/<feed>.xml, and <dir>/<feed>-<SYMBOL>.xml for perSymbol
+ * feeds, where <feed> is the feed's name in lower case with dashes
+ * ("yahoo-finance-AAPL.xml"). A missing file is an empty feed.
+ *
+ *   collectNews(provider, stocks)        -> items, newest first; stocks are
+ *                                           symbols or { symbol, name }
+ *   headlineFor(items, symbol, { name }) -> the most relevant recent item, or null
+ *
+ *   node lib/news.js [SYMBOL ...]   print the headlines for symbols (default: the brief's stocks)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const registry = require('./symbols');
+const { fetchText } = require('./http');
+const { now } = require('./clock');
+const { site } = require('./config');
+
+const FEEDS_DIR = process.env.NEWS_FEEDS_DIR ? path.resolve(process.env.NEWS_FEEDS_DIR) : null;
+
+// Yahoo news items requested per symbol
+const YAHOO_COUNT = 10;
+
+const SUMMARY_LENGTH = 280;
+
+// Query parameters that only track the click
+const TRACKING_PARAMS = /^(?:utm_|guccounter|guce_|ncid$|yptr$|\.tsrc$|cmpid$|mod$|taid$)/i;
+
+// Words in a title that say why a stock moves
+const CATALYSTS = /\b(?:earnings|results|revenue|sales|profit|loss|guidance|outlook|forecast|upgrades?|downgrades?|price target|FDA|approv(?:al|es|ed)|trial|merger|acquir(?:e|es|ed)|acquisition|buyout|takeover|deal|lawsuit|probe|investigation|recall|offering|buyback|dividend|layoffs?|CEO|resigns?|contract|partnership|beats?|miss(?:es|ed)?|surges?|plunges?|soars?|tumbles?|jumps?|slumps?|sinks?|rall(?:y|ies))\b/i;
+
+// Legal suffixes dropped from company names before matching them in text
+const NAME_SUFFIX = /[,.]?\s+(?:Inc|Corp|Corporation|Co|Company|Ltd|Limited|plc|PLC|Holdings|Group|N\.?V|S\.?A|AG|SE|Class [A-Z])\b.*$/;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+        if (code[0] !== '#') return ENTITIES[code.toLowerCase()] ?? match;
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+        return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : match;
+    });
+}
+
+// Plain text of markup: CDATA unwrapped, tags (also entity-encoded ones) removed
+function plainText(markup) {
+    const unwrapped = markup.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1').replace(/<[^>]+>/g, ' ');
+    return decodeEntities(decodeEntities(unwrapped).replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+// Text of the first <name> element in xml, '' when there is none
+function textOf(xml, name) {
+    const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+    return match ? plainText(match[1]) : '';
+}
+
+// An Atom entry's link: rel="alternate" (the default) before any other
+function atomLink(entry) {
+    const links = [...entry.matchAll(/<link\b([^>]*)\/?>/gi)].map(match => match[1]);
+    const link = links.find(attrs => !/\brel=/.test(attrs) || /\brel=["']alternate["']/.test(attrs)) || links[0];
+    const href = link?.match(/\bhref=["']([^"']+)["']/);
+    return href ? decodeEntities(href[1]) : '';
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length).replace(/\s+\S*$/, '')}…` : text;
+}
+
+/**
+ * Items of an RSS 2.0 or Atom document; symbol is the ticker a perSymbol
+ * feed was fetched for. Items without a date get time null.
+ */
+function parseFeed(xml, feed, symbol = null) {
+    const atom = /<feed\b/i.test(xml) && !/<rss\b/i.test(xml);
+    const blocks = xml.match(atom ? /<entry\b[\s\S]*?<\/entry>/gi : /<item\b[\s\S]*?<\/item>/gi) || [];
+
+    return blocks.map(block => {
+        const url = atom ? atomLink(block) : textOf(block, 'link') || textOf(block, 'guid');
+        const published = atom
+            ? textOf(block, 'published') || textOf(block, 'updated')
+            : textOf(block, 'pubDate') || textOf(block, 'dc:date');
+        return {
+            id: textOf(block, atom ? 'id' : 'guid') || url,
+            title: textOf(block, 'title'),
+            summary: truncate(textOf(block, atom ? 'summary' : 'description') || (atom ? textOf(block, 'content') : ''), SUMMARY_LENGTH),
+            url,
+            source: feed.name,
+            category: feed.category || (symbol ? 'Stocks' : 'Markets'),
+            time: Date.parse(published) || null,
+            symbols: symbol ? [symbol] : []
+        };
+    }).filter(item => item.title && /^https?:\/\//.test(item.url));
+}
+
+function slug(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+async function readFeed(feed, symbol = null) {
+    if (FEEDS_DIR) {
+        const file = path.join(FEEDS_DIR, `${slug(feed.name)}${symbol ? `-${symbol}` : ''}.xml`);
+        return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+    }
+    return fetchText(symbol ? feed.url.replace('{symbol}', encodeURIComponent(symbol)) : feed.url);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Patterns for a ticker in text: "AAPL", "$AAPL" or "(AAPL)"; short tickers
+// ("F", "GM") only with the $ or parentheses, and the company's name without
+// its legal suffix ("Apple" for "Apple Inc.")
+function aliasesOf(symbol, name = registry.get(symbol)?.name) {
+    const ticker = escapeRegExp(symbol);
+    const patterns = [symbol.length > 2
+        ? new RegExp(`(?<![\\w.-])\\$?${ticker}(?![\\w-])`)
+        : new RegExp(`\\$${ticker}\\b|\\(${ticker}\\)`)];
+    const short = name?.replace(NAME_SUFFIX, '').trim();
+    if (short && short.length > 2 && short.toUpperCase() !== symbol) {
+        patterns.push(new RegExp(`\\b${escapeRegExp(short)}(?:'s)?\\b`, 'i'));
+    }
+    return patterns;
+}
+
+function mentions(text, aliases) {
+    return aliases.some(pattern => pattern.test(text));
+}
+
+function canonicalUrl(url) {
+    try {
+        const parsed = new URL(url);
+        [...parsed.searchParams.keys()].filter(key => TRACKING_PARAMS.test(key)).forEach(key => parsed.searchParams.delete(key));
+        parsed.hash = '';
+        return parsed.toString().replace(/\/$/, '');
+    } catch {
+        return url;
+    }
+}
+
+function titleKey(title) {
+    return title.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// One item per story: the first copy seen, with every copy's symbols and the earliest time
+function dedupe(items) {
+    const byKey = new Map();
+    const unique = [];
+    for (const item of items) {
+        const keys = [canonicalUrl(item.url), titleKey(item.title)];
+        const existing = keys.map(key => byKey.get(key)).find(Boolean);
+        if (existing) {
+            existing.symbols = [...new Set([...existing.symbols, ...item.symbols])];
+            existing.time = Math.min(existing.time, item.time);
+            keys.forEach(key => byKey.set(key, existing));
+        } else {
+            const copy = { ...item, url: keys[0], symbols: [...item.symbols] };
+            keys.forEach(key => byKey.set(key, copy));
+            unique.push(copy);
+        }
+    }
+    return unique;
+}
+
+// A source that fails costs only its own items
+async function attempt(label, request) {
+    try {
+        return await request();
+    } catch (e) {
+        console.warn(`⚠️ ${label} unavailable: ${e.message}`);
+        return [];
+    }
+}
+
+async function collectNews(provider, stocks, { feeds = site.news.feeds, maxAgeHours = site.news.maxAgeHours, count = YAHOO_COUNT } = {}) {
+    const entries = stocks.map(stock => (typeof stock === 'string' ? { symbol: stock } : stock));
+    const general = feeds.filter(feed => !feed.perSymbol);
+    const perSymbol = feeds.filter(feed => feed.perSymbol);
+    const fetchedAt = now().getTime();
+
+    const batches = await Promise.all([
+        ...general.map(feed => attempt(`Feed ${feed.name}`, async () => parseFeed(await readFeed(feed), feed))),
+        ...entries.flatMap(({ symbol }) => [
+            ...perSymbol.map(feed => attempt(`Feed ${feed.name} (${symbol})`, async () => parseFeed(await readFeed(feed, symbol), feed, symbol))),
+            attempt(`News search ${symbol}`, async () => (await provider.getNews(symbol, { count }))
+                .map(item => ({ summary: '', category: 'Stocks', ...item, symbols: [...new Set([symbol, ...(item.symbols || [])])] })))
+        ])
+    ]);
+
+    // Tag every item with the requested tickers it mentions
+    const aliases = entries.map(({ symbol, name }) => [symbol, aliasesOf(symbol, name)]);
+    const items = batches.flat().map(item => {
+        const text = `${item.title} ${item.summary}`;
+        const mentioned = aliases.filter(([symbol, patterns]) => !item.symbols.includes(symbol) && mentions(text, patterns));
+        return {
+            ...item,
+            time: Number.isFinite(item.time) ? item.time : fetchedAt,
+            symbols: [...item.symbols, ...mentioned.map(([symbol]) => symbol)]
+        };
+    });
+
+    const oldest = fetchedAt - maxAgeHours * 3600000;
+    // Only web links: they end up in href attributes
+    const recent = dedupe(items.filter(item => item.time >= oldest && /^https?:\/\//.test(item.url)))
+        .sort((a, b) => b.time - a.time);
+    console.log(`📰 ${recent.length} headlines for ${entries.length} symbols from ${general.length + perSymbol.length} feeds and news search`);
+    return recent;
+}
+
+// Higher for a story about this stock, with a catalyst in the title, and fresh
+function relevance(item, aliases, at, maxAgeHours) {
+    const inTitle = mentions(item.title, aliases) ? 2 : 0;
+    const catalyst = CATALYSTS.test(item.title) ? 1 : 0;
+    const focus = 1 / Math.max(1, item.symbols.length);
+    const recency = Math.max(0, 1 - (at - item.time) / (maxAgeHours * 3600000));
+    return inTitle + catalyst + focus + recency;
+}
+
+function headlineFor(items, symbol, { name, maxAgeHours = site.news.maxAgeHours } = {}) {
+    const aliases = aliasesOf(symbol, name);
+    const at = now().getTime();
+    let best = null;
+    let bestScore = -Infinity;
+    for (const item of items.filter(candidate => candidate.symbols.includes(symbol))) {
+        const score = relevance(item, aliases, at, maxAgeHours);
+        if (score > bestScore) {
+            best = item;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+if (require.main === module) {
+    const { createContext } = require('./generator');
+    const requested = process.argv.slice(2).map(symbol => symbol.toUpperCase());
+    const stocks = requested.length
+        ? requested
+        : registry.select({ tag: 'brief', assetClass: 'equity' }).map(({ symbol, name }) => ({ symbol, name }));
+
+    collectNews(createContext().provider, stocks).then(items => {
+        for (const stock of stocks) {
+            const symbol = stock.symbol || stock;
+            const headline = headlineFor(items, symbol, { name: stock.name });
+            console.log(`   ${symbol.padEnd(8)} ${headline ? `${headline.title} (${headline.source}, ${new Date(headline.time).toISOString()})` : '-'}`);
+        }
+    }).catch(e => {
+        console.error(e);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { parseFeed, collectNews, headlineFor };
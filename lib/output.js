@@ -0,0 +1,135 @@
+/**
+ * Incremental page output
+ *
+ * Generators return their pages as [{ path, content, inputs }] and the caller
+ * hands them to writePages():
+ *
+ *   writePages(generatorFile, [{ path: 'stock/AAPL.html', inputs: { stock, data }, content }]);
+ *
+ * The inputs object is everything the page shows that can change between
+ * runs — quotes, metadata, the trading date when the content depends on it —
+ * and never volatile values such as "Data updated" timestamps; a page that
+ * shows when its data is from takes that time from the data. Its hash,
+ * combined with a hash of the generator and lib/ sources, the resolved site
+ * config (lib/config.js) and the stylesheet, is kept in a per-generator
+ * manifest under .cache/build. A page is only re-rendered and written when
+ * that hash changes or the file is missing, so unchanged pages keep their
+ * bytes and git history shows real changes only.
+ *
+ * Pages are written under the output root, OUTPUT_DIR (default dist/), which
+ * is what gets deployed; nothing generated lands in the source tree. The one
+ * exception is PERSISTENT_DIRS: pages there (the daily archive) accumulate
+ * across builds, so when BUILD_PERSIST=1 each one written is also copied into
+ * the source tree to be committed, and lib/site.js copies them back in after
+ * a clean. Only the publishing cycle (auto-update.js) sets it, so a local or
+ * CI build leaves the working tree alone.
+ *
+ * --force (or BUILD_FORCE=1) rewrites every page. Fixture replays always
+ * write every page and leave the manifest alone.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const fixtures = require('./fixtures');
+const { site } = require('./config');
+const { stylesheet } = require('./assets');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT_DIR = path.resolve(process.env.OUTPUT_DIR || path.join(ROOT, 'dist'));
+const MANIFEST_DIR = path.resolve(process.env.BUILD_MANIFEST_DIR || path.join(ROOT, '.cache', 'build'));
+
+// Output directories that are also kept in the source tree
+const PERSISTENT_DIRS = ['archive'];
+
+const force = process.argv.includes('--force') || process.env.BUILD_FORCE === '1';
+
+function hash(value) {
+    return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+// Template, stylesheet and site config changes must rebuild pages even when their data didn't change
+function sourceHash(generatorFile) {
+    const libDir = __dirname;
+    const sources = [generatorFile, ...fs.readdirSync(libDir).filter(f => f.endsWith('.js')).sort().map(f => path.join(libDir, f))];
+    return hash([...sources.map(file => fs.readFileSync(file, 'utf8')), JSON.stringify(site), stylesheet().hash].join('\0'));
+}
+
+function isPersistent(pagePath) {
+    return PERSISTENT_DIRS.includes(pagePath.split(/[\\/]/)[0]);
+}
+
+function readManifest(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+        return {};
+    }
+}
+
+function createPageWriter(generatorFile) {
+    const name = path.basename(generatorFile, '.js');
+    const manifestPath = path.join(MANIFEST_DIR, `${name}.json`);
+    const incremental = !force && fixtures.mode !== 'replay';
+
+    const previous = incremental ? readManifest(manifestPath) : {};
+    const manifest = { ...previous };
+    const source = sourceHash(generatorFile);
+    const counts = { written: 0, unchanged: 0 };
+
+    // Render and write the page unless its inputs are unchanged; returns true when written
+    function write(file, inputs, render) {
+        const key = path.relative(OUTPUT_DIR, file);
+        const inputHash = hash(`${source}\0${JSON.stringify(inputs)}`);
+
+        if (incremental && previous[key] === inputHash && fs.existsSync(file)) {
+            counts.unchanged++;
+            return false;
+        }
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, render());
+        manifest[key] = inputHash;
+        counts.written++;
+        return true;
+    }
+
+    return { name, write, counts, save: () => incremental && saveManifest(manifestPath, manifest) };
+}
+
+function saveManifest(file, manifest) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * Write a generator's pages (paths relative to the output root), skipping
+ * those whose inputs are unchanged, then persist its manifest. Pages without
+ * inputs are compared by content. Returns { written, unchanged }.
+ */
+function writePages(generatorFile, pages) {
+    const writer = createPageWriter(generatorFile);
+    for (const page of pages) {
+        const file = path.join(OUTPUT_DIR, page.path);
+        const written = writer.write(file, page.inputs ?? page.content, () => page.content);
+
+        const source = path.join(ROOT, page.path);
+        if (process.env.BUILD_PERSIST === '1' && isPersistent(page.path) && (written || !fs.existsSync(source))) {
+            fs.mkdirSync(path.dirname(source), { recursive: true });
+            fs.copyFileSync(file, source);
+        }
+    }
+
+    const { written, unchanged } = writer.counts;
+    if (written || unchanged) {
+        try {
+            writer.save();
+        } catch {
+            // a lost manifest only costs a full rebuild next time
+        }
+        console.log(`🧱 ${writer.name}: ${written} written, ${unchanged} unchanged`);
+    }
+    return writer.counts;
+}
+
+module.exports = { OUTPUT_DIR, MANIFEST_DIR, PERSISTENT_DIRS, isPersistent, createPageWriter, writePages };
@@ -0,0 +1,132 @@
+/**
+ * Page partials
+ *
+ * The pieces every page shares, rendered from the site config
+ * (lib/config.js) so IDs and wording live in one place. lib/layout.js puts
+ * the head tags, nav and footer around each page; generators use the rest in
+ * their page bodies:
+ *
+ *   ${pageHeader({ title: '🪙 Crypto', tagline, date })}
+ *   ${pageHeader({ title, status: marketStatus() })}   with the market session badge
+ *   ${adSlot('top')}                         an ad unit for a slot named in ads.slots
+ *   ${card({ title: 'About', body })}        a padded content card
+ *   ${tableCard({ title: 'Gainers', body })} a card whose table runs edge to edge
+ *
+ * Ads, analytics and robots tags render nothing when turned off in the config.
+ */
+
+const { site } = require('./config');
+const { now } = require('./clock');
+const { html, raw } = require('./html');
+const { sessionAt, formatTime, formatDay } = require('./market-session');
+
+// Slots rendered as in-article (fluid) units rather than responsive banners
+const IN_ARTICLE_SLOTS = ['inArticle'];
+
+const NAV_LINKS = [
+    { href: '/screener.html', label: 'Screener' },
+    { href: '/earnings-calendar.html', label: 'Earnings' },
+    { href: '/ipo-calendar.html', label: 'IPOs' },
+    { href: '/economic-calendar.html', label: 'Economy' },
+    { href: '/futures.html', label: 'Futures' },
+    { href: '/crypto.html', label: 'Crypto' },
+    { href: '/etf.html', label: 'ETFs' },
+    { href: '/sectors.html', label: 'Sectors' },
+    { href: '/news.html', label: 'News' },
+    { href: '/archive.html', label: 'Archive' }
+];
+
+function headTags() {
+    const tags = [];
+    if (!site.indexable) {
+        tags.push('<meta name="robots" content="noindex, nofollow">');
+    }
+    if (site.ads?.client) {
+        tags.push(`<script async src="https://pagead2.googlesyndication.com/pagead/js/adsbygoogle.js?client=${site.ads.client}" crossorigin="anonymous"></script>`);
+    }
+    const gaId = site.analytics?.googleAnalyticsId;
+    if (gaId) {
+        tags.push(`<script async src="https://www.googletagmanager.com/gtag/js?id=${gaId}"></script>
+    <script>window.dataLayer = window.dataLayer || []; function gtag(){dataLayer.push(arguments);} gtag('js', new Date()); gtag('config', '${gaId}');</script>`);
+    }
+    // Fixed third-party snippets around IDs validated in lib/config.js
+    return raw(tags.join('\n    '));
+}
+
+// Site-wide links, then the page's own ({ href, label }) on a second row
+function nav(links = []) {
+    return html`<nav class="site-nav">
+            <a href="/" class="brand">📈 ${site.name}</a>
+            ${NAV_LINKS.map(link => html`<a href="${link.href}">${link.label}</a>`)}
+            ${links.length > 0 && html`<div class="page-links">${links.map(link => html`<a href="${link.href}">${link.label}</a>`)}</div>`}
+        </nav>`;
+}
+
+function pageHeader({ title, tagline, date, status }) {
+    return html`<header>
+            <h1>${title}</h1>
+            ${tagline && html`<p class="tagline">${tagline}</p>`}
+            ${date && html`<p class="date">${date}</p>`}
+            ${status}
+        </header>`;
+}
+
+const STATUS_ICONS = { pre: '🌅', regular: '🟢', post: '🌙', closed: '🔒' };
+
+// "🌅 Pre-market · opens 9:30 AM EDT", as of the build (lib/market-session.js)
+function marketStatus(state = sessionAt()) {
+    const detail = {
+        pre: `opens ${formatTime(state.nextOpen)}`,
+        regular: `closes ${formatTime(state.endsAt)}`,
+        post: `until ${formatTime(state.endsAt)}`,
+        closed: `opens ${formatDay(state.nextOpen)}, ${formatTime(state.nextOpen)}`
+    }[state.session];
+    return html`<p class="market-status session-${state.session}">${STATUS_ICONS[state.session]} ${state.label} · ${detail}</p>`;
+}
+
+function adSlot(slotName) {
+    const slot = site.ads?.slots?.[slotName];
+    if (!site.ads?.client || !slot) return '';
+
+    const attributes = IN_ARTICLE_SLOTS.includes(slotName)
+        ? html`style="display:block; text-align:center;"
+                 data-ad-layout="in-article"
+                 data-ad-format="fluid"`
+        : html`style="display:block"
+                 data-ad-format="auto"
+                 data-full-width-responsive="true"`;
+    return html`<div class="ad-container">
+            <ins class="adsbygoogle"
+                 ${attributes}
+                 data-ad-client="${site.ads.client}"
+                 data-ad-slot="${slot}"></ins>
+            <script>(adsbygoogle = window.adsbygoogle || []).push({});</script>
+        </div>`;
+}
+
+function card({ title, className = '', body }) {
+    return html`<div class="card${className ? ` ${className}` : ''}">
+            ${title && html`<h2>${title}</h2>`}
+            ${body}
+        </div>`;
+}
+
+// extra goes in the header next to the title (a count badge, say)
+function tableCard({ title, extra, body }) {
+    return html`<div class="card flush">
+            <div class="card-header">
+                <h2>${title}</h2>
+                ${extra}
+            </div>
+            ${body}
+        </div>`;
+}
+
+function footer(note = '') {
+    return html`<footer>
+            <p>© ${now().getFullYear()} ${site.name}${note && ` | ${note}`}</p>
+            <p class="disclaimer">${site.disclaimer}</p>
+        </footer>`;
+}
+
+module.exports = { NAV_LINKS, headTags, nav, pageHeader, marketStatus, adSlot, card, tableCard, footer };
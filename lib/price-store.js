@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+/**
+ * Price history store
+ *
+ * Daily OHLCV history for every tracked symbol, kept as one append-only JSON
+ * Lines file per symbol under PRICE_STORE_DIR (default data/prices):
+ *
+ *   {"date":"2026-10-19","time":1792440000000,"open":...,"high":...,"low":...,"close":...,"volume":...,"source":"quote"}
+ *
+ * Every build cycle appends a snapshot of each symbol's latest quote, and bars
+ * from the per-symbol chart API fill the days the store missed. Backfill never
+ * uses the batched spark endpoint, which only carries closes. A line without a
+ * real open, high and low (a quote with no day range, or a bar stored from
+ * spark data by older versions) is loaded with closeOnly: true, so levels
+ * and ranges can skip it. Lines are never rewritten
+ * in place; when a date has several lines the last one wins, so an intraday
+ * snapshot is superseded by later ones and finally by the close.
+ *
+ * Generators query it instead of re-deriving history from each fetch:
+ *
+ *   store.bars('AAPL', { days: 90 })   -> [{ date, open, high, low, close, volume }] oldest first
+ *   store.latest('AAPL')               -> the newest bar
+ *   store.returns('AAPL')              -> { '1w': 1.2, '1m': -3.4, '3m', '6m', 'ytd', '1y' } in percent
+ *
+ * With fixtures (lib/fixtures.js) the store lives in the fixture directory and
+ * replays never write to it, so a replay renders the same bytes every time.
+ * PRICE_STORE=off turns recording off. The deploy workflow keeps the store
+ * between runs in the Actions cache.
+ *
+ *   node lib/price-store.js                         record a snapshot of every symbol
+ *   node lib/price-store.js --backfill [5y] [AAPL]  load daily bars from the chart API
+ *   node lib/price-store.js --compact               rewrite each file with one line per date
+ *   node lib/price-store.js --show AAPL             print a symbol's recent bars and returns
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fixtures = require('./fixtures');
+const registry = require('./symbols');
+const { fetchAll } = require('./fetch-scheduler');
+const { toET } = require('./market-calendar');
+const { now } = require('./clock');
+
+const ROOT = path.join(__dirname, '..');
+const STORE_DIR = path.resolve(process.env.PRICE_STORE_DIR
+    || (fixtures.dir ? path.join(fixtures.dir, 'prices') : path.join(ROOT, 'data', 'prices')));
+
+const recording = process.env.PRICE_STORE !== 'off' && fixtures.mode !== 'replay';
+
+// Chart range loaded for a symbol the store has never seen
+const BACKFILL_RANGE = process.env.PRICE_BACKFILL_RANGE || '1y';
+
+// A symbol whose newest bar is older than this is topped up from the chart API
+const MAX_GAP_DAYS = 4;
+
+// Periods for returns(): calendar months back from the newest bar, or the year's start
+const PERIODS = { '1w': { days: 7 }, '1m': { months: 1 }, '3m': { months: 3 }, '6m': { months: 6 }, 'ytd': { ytd: true }, '1y': { months: 12 } };
+
+// Parsed bars per symbol, dropped whenever the symbol's file is appended to
+const loaded = new Map();
+
+function filePath(symbol) {
+    return path.join(STORE_DIR, `${encodeURIComponent(symbol)}.jsonl`);
+}
+
+// Trading date of an instant, in New York time
+function dateOf(time) {
+    return toET(new Date(time)).date;
+}
+
+function shiftDate(dateString, { days = 0, months = 0 }) {
+    const d = new Date(`${dateString}T00:00:00Z`);
+    d.setUTCMonth(d.getUTCMonth() - months);
+    d.setUTCDate(d.getUTCDate() - days);
+    return d.toISOString().split('T')[0];
+}
+
+function append(symbol, rows) {
+    if (!recording || !rows.length) return 0;
+    fs.mkdirSync(STORE_DIR, { recursive: true });
+    fs.appendFileSync(filePath(symbol), rows.map(row => JSON.stringify(row)).join('\n') + '\n');
+    loaded.delete(symbol);
+    return rows.length;
+}
+
+// Snapshot of a quote (lib/data-provider.js shape) as today's bar so far
+function recordQuote(quote) {
+    if (!Number.isFinite(quote?.price)) return 0;
+    const time = quote.time || now().getTime();
+    const ranged = [quote.open, quote.dayHigh, quote.dayLow].every(Number.isFinite);
+    return append(quote.symbol, [{
+        date: dateOf(time),
+        time,
+        open: quote.open ?? quote.price,
+        high: quote.dayHigh ?? quote.price,
+        low: quote.dayLow ?? quote.price,
+        close: quote.price,
+        volume: quote.volume || 0,
+        ...(!ranged && { closeOnly: true }),
+        source: 'quote'
+    }]);
+}
+
+// Daily bars from a chart response ({ time, open, high, low, close, volume })
+function recordBars(symbol, bars) {
+    return append(symbol, bars.filter(bar => bar.time && Number.isFinite(bar.close)).map(bar => ({
+        date: dateOf(bar.time),
+        time: bar.time,
+        open: bar.open,
+        high: bar.high,
+        low: bar.low,
+        close: bar.close,
+        volume: bar.volume || 0,
+        ...(bar.closeOnly && { closeOnly: true }),
+        source: 'chart'
+    })));
+}
+
+// One bar per date, oldest first; a later line for the same date replaces an earlier one
+function load(symbol) {
+    if (loaded.has(symbol)) return loaded.get(symbol);
+
+    let text = '';
+    try {
+        text = fs.readFileSync(filePath(symbol), 'utf8');
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+    }
+
+    const byDate = new Map();
+    text.split('\n').forEach((line, i) => {
+        if (!line.trim()) return;
+        try {
+            const { source, ...bar } = JSON.parse(line);
+            // Spark bars stored before they were marked: one price for the whole day, no volume
+            if (source === 'chart' && !bar.volume && bar.open === bar.close && bar.high === bar.close && bar.low === bar.close) {
+                bar.closeOnly = true;
+            }
+            byDate.set(bar.date, bar);
+        } catch {
+            // a line cut short by a crash; the next snapshot replaces it
+            console.warn(`⚠️ ${path.basename(filePath(symbol))}:${i + 1} is not valid JSON, skipped`);
+        }
+    });
+
+    const bars = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+    loaded.set(symbol, bars);
+    return bars;
+}
+
+// Bars between from and to (YYYY-MM-DD, inclusive), or the last `days` calendar days
+function bars(symbol, { from, to, days } = {}) {
+    const all = load(symbol);
+    if (days && all.length) from = shiftDate(all[all.length - 1].date, { days });
+    return all.filter(bar => (!from || bar.date >= from) && (!to || bar.date <= to));
+}
+
+function latest(symbol) {
+    const all = load(symbol);
+    return all[all.length - 1] || null;
+}
+
+// Close on the last date on or before dateString
+function closeOn(symbol, dateString) {
+    const all = load(symbol);
+    for (let i = all.length - 1; i >= 0; i--) {
+        if (all[i].date <= dateString) return all[i].close;
+    }
+    return null;
+}
+
+// Percent change from each period's start to the newest close; null where history runs short
+function returns(symbol, periods = Object.keys(PERIODS)) {
+    const last = latest(symbol);
+    const first = load(symbol)[0];
+    return Object.fromEntries(periods.map(period => {
+        if (!last) return [period, null];
+        const spec = PERIODS[period];
+        const start = spec.ytd ? shiftDate(`${last.date.slice(0, 4)}-01-01`, { days: 1 }) : shiftDate(last.date, spec);
+        const base = start >= first.date ? closeOn(symbol, start) : null;
+        return [period, base ? ((last.close - base) / base) * 100 : null];
+    }));
+}
+
+function rangeForGap(days) {
+    if (days <= 25) return '1mo';
+    if (days <= 360) return '1y';
+    return '5y';
+}
+
+// Load chart history for symbols with no history, or a hole since their newest
+// bar; one chart request per symbol, for real OHLCV
+async function topUp(provider, symbols, { range } = {}) {
+    const today = dateOf(now().getTime());
+    const groups = {};
+    for (const symbol of symbols) {
+        const last = latest(symbol);
+        const gap = last ? (Date.parse(today) - Date.parse(last.date)) / 86400000 : Infinity;
+        if (!range && gap <= MAX_GAP_DAYS) continue;
+        const chartRange = range || (last ? rangeForGap(gap) : BACKFILL_RANGE);
+        (groups[chartRange] = groups[chartRange] || []).push(symbol);
+    }
+
+    let written = 0;
+    for (const [chartRange, list] of Object.entries(groups)) {
+        console.log(`📥 Backfilling ${list.length} symbols (${chartRange})`);
+        const { results } = await fetchAll(list, symbol => provider.getHistory(symbol, { range: chartRange }), { label: 'price history' });
+        results.forEach((history, i) => {
+            if (history) written += recordBars(list[i], history.bars);
+        });
+    }
+    return written;
+}
+
+// Build graph entry point: fill gaps, then snapshot every symbol's latest quote
+async function generate({ provider }) {
+    if (!recording) {
+        console.log('📦 Price store is read-only for this run');
+        return [];
+    }
+
+    const symbols = registry.select().map(entry => entry.symbol);
+    const backfilled = await topUp(provider, symbols);
+    const quotes = await provider.getQuotes(symbols, { label: 'price snapshots' });
+    const snapshots = Object.values(quotes).reduce((n, quote) => n + recordQuote(quote), 0);
+
+    console.log(`📦 Price store: ${snapshots} snapshots, ${backfilled} backfilled bars in ${path.relative(ROOT, STORE_DIR)}`);
+    return [];
+}
+
+// Rewrite every file with one line per date, dropping superseded snapshots
+function compact() {
+    let files = [];
+    try {
+        files = fs.readdirSync(STORE_DIR).filter(f => f.endsWith('.jsonl'));
+    } catch {
+        return 0;
+    }
+    for (const file of files) {
+        const symbol = decodeURIComponent(path.basename(file, '.jsonl'));
+        const rows = load(symbol);
+        const tmp = `${filePath(symbol)}.tmp`;
+        fs.writeFileSync(tmp, rows.map(row => JSON.stringify(row)).join('\n') + '\n');
+        fs.renameSync(tmp, filePath(symbol));
+        loaded.delete(symbol);
+    }
+    console.log(`🗜️ Compacted ${files.length} price files`);
+    return files.length;
+}
+
+if (require.main === module) {
+    const { createContext } = require('./generator');
+    const args = process.argv.slice(2);
+    const positional = args.filter(arg => !arg.startsWith('--'));
+
+    let task;
+    if (args.includes('--compact')) {
+        task = async () => compact();
+    } else if (args.includes('--show')) {
+        task = async () => {
+            const symbol = positional[0];
+            bars(symbol, { days: 14 }).forEach(bar => console.log(`${bar.date}  ${bar.close.toFixed(2).padStart(10)}  ${String(bar.volume).padStart(12)}`));
+            console.log(returns(symbol));
+        };
+    } else if (args.includes('--backfill')) {
+        task = async () => {
+            const range = positional.find(arg => /^\d+(mo|y)$|^max$/.test(arg)) || '5y';
+            const requested = positional.filter(arg => arg !== range);
+            const symbols = requested.length ? requested : registry.select().map(entry => entry.symbol);
+            const written = await topUp(createContext().provider, symbols, { range });
+            console.log(`✅ Backfilled ${written} bars for ${symbols.length} symbols`);
+        };
+    } else {
+        task = () => generate(createContext());
+    }
+
+    task().catch(e => {
+        console.error(e);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { STORE_DIR, PERIODS, recordQuote, recordBars, bars, latest, closeOn, returns, topUp, generate, compact };
@@ -0,0 +1,306 @@
+/**
+ * Git publishing
+ *
+ * Publishes the files a build declared as outputs (build graph globs such as
+ * 'stock/*.html') and nothing else, so stray files in the working tree are
+ * never committed. Pick a mode with --publish=<mode> or PUBLISH_MODE:
+ *
+ *   commit   commit the outputs kept in the source tree (the archive, see
+ *            PERSISTENT_DIRS in lib/output.js) on the current branch and push
+ *            it; the deploy workflow builds the site from there (default)
+ *   branch   copy the outputs from the output root into a worktree of
+ *            PUBLISH_BRANCH (gh-pages) under PUBLISH_DIR and commit + push
+ *            there, so the branch holds the built site; the source branch is
+ *            left alone. Unpushed commits from an earlier cycle are rebased
+ *            onto the remote branch, never reset away
+ *   pr       commit the source-tree outputs on a new auto-update/<timestamp>
+ *            branch, push it and open a pull request with the gh CLI
+ *   none     build only
+ *
+ * A push rejected as non-fast-forward is rebased onto the remote (stashing
+ * local edits meanwhile) and retried, up to PUBLISH_RETRIES times with a
+ * growing delay; other push errors are retried the same way. In the publish
+ * worktrees (branch, pr) only generated files live, so conflicts are settled
+ * in favour of the fresh ones. In commit mode the branch is the source branch
+ * everyone works on, so a conflicting rebase is aborted and the conflicted
+ * files are reported instead of overwriting someone's edits. A push that still
+ * fails leaves the commit in place for the next cycle to push.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { OUTPUT_DIR, isPersistent } = require('./output');
+
+const ROOT = path.join(__dirname, '..');
+const MODES = ['commit', 'branch', 'pr', 'none'];
+
+const DEFAULTS = {
+    remote: process.env.PUBLISH_REMOTE || 'origin',
+    branch: process.env.PUBLISH_BRANCH || 'gh-pages',
+    dir: path.resolve(process.env.PUBLISH_DIR || path.join(ROOT, '.cache', 'publish')),
+    siteDir: OUTPUT_DIR,
+    retries: Number(process.env.PUBLISH_RETRIES) || 3,
+    retryDelay: 2000
+};
+
+function selectedMode() {
+    const arg = process.argv.find(a => a.startsWith('--publish='));
+    const mode = arg ? arg.split('=')[1] : process.env.PUBLISH_MODE || 'commit';
+    if (!MODES.includes(mode)) throw new Error(`Unknown publish mode "${mode}" (expected ${MODES.join(', ')})`);
+    return mode;
+}
+
+function git(args, cwd = ROOT) {
+    return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+}
+
+function tryGit(args, cwd) {
+    try {
+        return { ok: true, output: git(args, cwd) };
+    } catch (e) {
+        return { ok: false, output: `${e.stdout || ''}${e.stderr || ''}`.trim() || e.message };
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Glob pathspecs, so git matches 'stock/*.html' itself and sees deletions too
+function pathspecs(paths) {
+    return paths.map(p => `:(glob)${p}`);
+}
+
+// Stage the outputs in cwd and return the files that changed
+function stageOutputs(paths, cwd = ROOT) {
+    if (!paths.length) return [];
+    // One pattern at a time: git refuses a pathspec that matches nothing
+    pathspecs(paths).forEach(spec => tryGit(['add', '-A', '--', spec], cwd));
+    const changed = git(['diff', '--cached', '--name-only', '--', ...pathspecs(paths)], cwd);
+    return changed ? changed.split('\n') : [];
+}
+
+function globToRegExp(glob) {
+    const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]');
+    return new RegExp(`^${escaped}$`);
+}
+
+// Files under root matching 'dir/*.html'-style patterns (no ** support)
+function expand(patterns, root) {
+    const files = new Set();
+    for (const pattern of patterns) {
+        const dir = path.dirname(pattern);
+        const matcher = globToRegExp(path.basename(pattern));
+        let names = [];
+        try {
+            names = fs.readdirSync(path.join(root, dir));
+        } catch {
+            continue;
+        }
+        names.filter(name => matcher.test(name) && fs.statSync(path.join(root, dir, name)).isFile())
+            .forEach(name => files.add(path.join(dir, name)));
+    }
+    return [...files].sort();
+}
+
+// Make target's matching files identical to source's, deleting ones source no longer has
+function syncOutputs(patterns, source, target) {
+    const wanted = new Set(expand(patterns, source));
+    for (const file of expand(patterns, target)) {
+        if (!wanted.has(file)) fs.unlinkSync(path.join(target, file));
+    }
+    for (const file of wanted) {
+        fs.mkdirSync(path.dirname(path.join(target, file)), { recursive: true });
+        fs.copyFileSync(path.join(source, file), path.join(target, file));
+    }
+    return wanted.size;
+}
+
+/**
+ * Push HEAD of cwd to remote/branch. On a non-fast-forward rejection, rebase
+ * onto the remote branch and try again; with keepOurs our side wins conflicts
+ * (only for the publish worktrees, whose files are all generated), otherwise
+ * a conflict aborts the rebase. Returns true once pushed.
+ */
+async function pushWithRetry({ cwd, remote, branch, retries, retryDelay, keepOurs = false, log }) {
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+        const push = tryGit(['push', remote, `HEAD:refs/heads/${branch}`], cwd);
+        if (push.ok) return true;
+
+        const rejected = /non-fast-forward|fetch first|rejected/.test(push.output);
+        log(`⚠️ Push to ${remote}/${branch} failed (attempt ${attempt}/${retries + 1}): ${push.output.split('\n').pop()}`);
+        if (attempt > retries) break;
+
+        if (rejected) {
+            const strategy = keepOurs ? ['-X', 'theirs'] : [];
+            const rebase = tryGit(['pull', '--rebase', '--autostash', ...strategy, remote, branch], cwd);
+            if (!rebase.ok) {
+                const conflicted = tryGit(['diff', '--name-only', '--diff-filter=U'], cwd).output;
+                tryGit(['rebase', '--abort'], cwd);
+                log(conflicted
+                    ? `❌ Rebase onto ${remote}/${branch} aborted, conflicts in ${conflicted.split('\n').join(', ')}; resolve them by hand`
+                    : `❌ Rebase onto ${remote}/${branch} failed: ${rebase.output.split('\n').pop()}`);
+                return false;
+            }
+            log(`🔁 Rebased onto ${remote}/${branch}`);
+        }
+        await sleep(retryDelay * attempt);
+    }
+    log(`❌ Giving up on the push; the commit stays local for the next cycle`);
+    return false;
+}
+
+function currentBranch() {
+    return git(['rev-parse', '--abbrev-ref', 'HEAD']);
+}
+
+async function publishCommit({ paths, message, push, options, log }) {
+    const changed = stageOutputs(paths.filter(isPersistent));
+    if (changed.length) {
+        log(`📝 ${changed.length} changed files, committing...`);
+        // Only the output files, even if something else happens to be staged
+        git(['commit', '-m', message, '--', ...changed]);
+    } else {
+        log('ℹ️ No changes to commit');
+    }
+    const committed = changed.length > 0;
+
+    if (!push) return { mode: 'commit', committed, pushed: false };
+
+    // Also pushes commits an earlier failed cycle left behind
+    const branch = currentBranch();
+    const ahead = tryGit(['rev-list', '--count', `${options.remote}/${branch}..HEAD`]);
+    if (!committed && ahead.ok && ahead.output === '0') return { mode: 'commit', committed, pushed: false };
+
+    log(`📤 Pushing to ${options.remote}/${branch}...`);
+    const pushed = await pushWithRetry({ cwd: ROOT, ...options, branch, log });
+    if (pushed) log('✅ Pushed successfully');
+    return { mode: 'commit', committed, pushed };
+}
+
+// Commits on HEAD of cwd that remote/branch does not have, 0 if there is no remote branch
+function unpushed(remote, branch, cwd) {
+    const ahead = tryGit(['rev-list', '--count', `${remote}/${branch}..HEAD`], cwd);
+    return ahead.ok ? Number(ahead.output) : 0;
+}
+
+/**
+ * Worktree of the publish branch, created (as an orphan if the remote has
+ * none) on first use. An existing one is brought up to the remote branch; a
+ * commit an earlier cycle failed to push is rebased onto it rather than
+ * dropped, and if that does not apply cleanly the publish is refused.
+ */
+function branchWorktree({ remote, branch, dir }, log) {
+    const worktree = path.join(dir, branch);
+    if (fs.existsSync(path.join(worktree, '.git'))) {
+        tryGit(['fetch', remote, branch], worktree);
+        // Leftovers of an interrupted cycle; the outputs are synced again below
+        tryGit(['reset', '--hard'], worktree);
+        tryGit(['clean', '-fd'], worktree);
+
+        const ahead = unpushed(remote, branch, worktree);
+        if (!ahead) {
+            tryGit(['reset', '--hard', `${remote}/${branch}`], worktree);
+            return worktree;
+        }
+        const rebase = tryGit(['rebase', '-X', 'theirs', `${remote}/${branch}`], worktree);
+        if (!rebase.ok) {
+            tryGit(['rebase', '--abort'], worktree);
+            throw new Error(`${branch} has ${ahead} unpushed commits that do not rebase onto ${remote}/${branch}; resolve them in ${path.relative(ROOT, worktree)}`);
+        }
+        log(`🔁 Rebased ${ahead} unpushed commits onto ${remote}/${branch}`);
+        return worktree;
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    tryGit(['worktree', 'prune']);
+    if (tryGit(['fetch', remote, branch]).ok) {
+        git(['worktree', 'add', '-B', branch, worktree, `${remote}/${branch}`]);
+    } else {
+        git(['worktree', 'add', '--detach', worktree]);
+        git(['checkout', '--orphan', branch], worktree);
+        git(['rm', '-rf', '--quiet', '.'], worktree);
+    }
+    return worktree;
+}
+
+async function publishBranch({ paths, message, push, options, log }) {
+    const worktree = branchWorktree(options, log);
+    const count = syncOutputs(paths, options.siteDir, worktree);
+    log(`📂 Synced ${count} files into ${path.relative(ROOT, worktree)} (${options.branch})`);
+
+    git(['add', '-A'], worktree);
+    const committed = !tryGit(['diff', '--cached', '--quiet'], worktree).ok;
+    if (committed) {
+        git(['commit', '-m', message], worktree);
+    } else {
+        log('ℹ️ No changes to publish');
+        // Still push what an earlier failed cycle left behind
+        if (!unpushed(options.remote, options.branch, worktree)) return { mode: 'branch', committed, pushed: false };
+    }
+
+    const pushed = push && await pushWithRetry({ cwd: worktree, ...options, keepOurs: true, log });
+    if (pushed) log(`✅ Published to ${options.remote}/${options.branch}`);
+    return { mode: 'branch', committed, pushed };
+}
+
+async function publishPullRequest({ paths, message, push, options, log }) {
+    const base = currentBranch();
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*/, '').replace('T', '-');
+    const branch = `auto-update/${stamp}`;
+    const worktree = path.join(options.dir, 'pr');
+    const tracked = paths.filter(isPersistent);
+
+    tryGit(['worktree', 'remove', '--force', worktree]);
+    git(['worktree', 'add', '-b', branch, worktree, 'HEAD']);
+    try {
+        syncOutputs(tracked, ROOT, worktree);
+        if (!stageOutputs(tracked, worktree).length) {
+            log('ℹ️ No changes to propose');
+            return { mode: 'pr', committed: false, pushed: false };
+        }
+        git(['commit', '-m', message], worktree);
+        if (!push) return { mode: 'pr', committed: true, pushed: false, branch };
+
+        const pushed = await pushWithRetry({ cwd: worktree, ...options, branch, keepOurs: true, log });
+        if (!pushed) return { mode: 'pr', committed: true, pushed: false, branch };
+
+        try {
+            const url = execFileSync('gh', ['pr', 'create', '--base', base, '--head', branch, '--title', message,
+                '--body', 'Generated pages from the scheduled update.'], { cwd: worktree, encoding: 'utf8' }).trim();
+            log(`✅ Opened ${url}`);
+        } catch (e) {
+            log(`⚠️ Pushed ${branch} but could not open a pull request: ${e.message.split('\n')[0]}`);
+        }
+        return { mode: 'pr', committed: true, pushed: true, branch };
+    } finally {
+        // The branch lives on the remote now; an unpushed one is rebuilt next cycle
+        tryGit(['worktree', 'remove', '--force', worktree]);
+        tryGit(['branch', '-D', branch]);
+    }
+}
+
+/**
+ * Publish the given output globs. Resolves to { mode, committed, pushed }.
+ * Never throws for git failures; they are logged and reported as not pushed.
+ */
+async function publish({ paths, message, mode = selectedMode(), push = true, log = console.log, ...overrides }) {
+    const options = { ...DEFAULTS, ...overrides };
+    if (mode === 'none') {
+        log('ℹ️ Publishing disabled (--publish=none)');
+        return { mode, committed: false, pushed: false };
+    }
+    if (!paths.length) {
+        log('ℹ️ Nothing to publish');
+        return { mode, committed: false, pushed: false };
+    }
+
+    const run = { commit: publishCommit, branch: publishBranch, pr: publishPullRequest }[mode];
+    try {
+        return await run({ paths, message, push, options, log });
+    } catch (e) {
+        log(`❌ Git operations failed: ${(e.stderr || e.message).toString().trim().split('\n').pop()}`);
+        return { mode, committed: false, pushed: false, error: e.message };
+    }
+}
+
+module.exports = { MODES, selectedMode, publish, expand };
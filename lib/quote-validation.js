@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+/**
+ * Quote validation
+ *
+ * Every quote a generator gets from the data provider is checked before any
+ * page is rendered from it:
+ *
+ *   price           price and previous close are positive, finite numbers
+ *   stale           the quote is from the latest NYSE session that has opened
+ *                   (lib/market-calendar.js); 24-hour markets within MAX_AGE_HOURS
+ *   move            the day's move stays inside MAX_MOVE_PERCENT for the asset class
+ *   volume          stocks and ETFs traded at all
+ *   previous-close  change and changePercent agree with price - previousClose
+ *
+ * Extended-hours quotes get the price, stale and move checks, with the gap
+ * against the prior close as the move; thin pre-market volume is no error.
+ * A failing one is quarantined on its own ("AAPL pre"), leaving the symbol's
+ * regular quote in place.
+ *
+ * A quote that fails is quarantined: the provider returned by withValidation()
+ * leaves it out, as if the symbol had no data, so pages fall back to their
+ * "no data" state instead of showing +Infinity% movers. A history keeps its
+ * bars when only its latest quote fails. Quarantined quotes are appended to
+ * QUARANTINE_DIR/<date>.jsonl (default .cache/quarantine), and the build
+ * graph prints the report at the end of the cycle.
+ *
+ * QUOTE_VALIDATION=warn reports without quarantining; off skips the checks.
+ *
+ *   node lib/quote-validation.js [YYYY-MM-DD]   print a day's quarantine
+ */
+
+const fs = require('fs');
+const path = require('path');
+const registry = require('./symbols');
+const calendar = require('./market-calendar');
+const { now } = require('./clock');
+
+const QUARANTINE_DIR = path.resolve(process.env.QUARANTINE_DIR || path.join(__dirname, '..', '.cache', 'quarantine'));
+
+const MODES = ['enforce', 'warn', 'off'];
+
+// Largest believable one-day move, in percent
+const MAX_MOVE_PERCENT = { index: 12, etf: 30, equity: 75, crypto: 50, future: 20 };
+
+// Minutes after the open before quotes must come from the new session, so
+// quotes cached just before the bell aren't flagged
+const SESSION_GRACE_MINUTES = 30;
+
+// Markets that trade around the clock are stale after this many hours
+const MAX_AGE_HOURS = { crypto: 3, future: 72 };
+
+// v7 quoteType for symbols missing from the registry
+const QUOTE_TYPES = { EQUITY: 'equity', ETF: 'etf', INDEX: 'index', CRYPTOCURRENCY: 'crypto', FUTURE: 'future' };
+
+function selectedMode() {
+    const mode = process.env.QUOTE_VALIDATION || 'enforce';
+    if (!MODES.includes(mode)) throw new Error(`QUOTE_VALIDATION must be one of ${MODES.join(', ')}, got "${mode}"`);
+    return mode;
+}
+
+function assetClassOf(quote) {
+    return registry.get(quote.symbol)?.assetClass || QUOTE_TYPES[quote.quoteType] || 'equity';
+}
+
+function isPositive(value) {
+    return Number.isFinite(value) && value > 0;
+}
+
+function minutesOf(hhmm) {
+    const [hour, minute] = hhmm.split(':').map(Number);
+    return hour * 60 + minute;
+}
+
+// Date of the newest NYSE session that has been open for the grace period by `at`
+function expectedSession(at) {
+    const et = calendar.toET(at);
+    const hours = calendar.sessionHours(et.date);
+    const opened = hours && et.hour * 60 + et.minute >= minutesOf(hours.open) + SESSION_GRACE_MINUTES;
+    return opened ? et.date : calendar.previousTradingDay(et.date);
+}
+
+function staleness(time, assetClass, at) {
+    if (!time) return 'quote has no timestamp';
+    if (MAX_AGE_HOURS[assetClass]) {
+        const hours = (at - time) / 3600000;
+        return hours > MAX_AGE_HOURS[assetClass] ? `last update ${hours.toFixed(1)}h ago` : null;
+    }
+    const session = expectedSession(at);
+    const quoted = calendar.toET(new Date(time)).date;
+    return quoted < session ? `quote from ${quoted}, expected the ${session} session` : null;
+}
+
+function outsideBound(percent, assetClass) {
+    const limit = MAX_MOVE_PERCENT[assetClass] ?? MAX_MOVE_PERCENT.equity;
+    return Math.abs(percent) > limit ? `${percent.toFixed(2)}% is beyond the ${limit}% bound for ${assetClass}` : null;
+}
+
+// Problems with one quote, as [{ check, message }]; empty when it passes
+function validateQuote(quote, { at = now() } = {}) {
+    const issues = [];
+    const fail = (check, message) => issues.push({ check, message });
+    const assetClass = assetClassOf(quote);
+
+    if (!isPositive(quote.price)) fail('price', `price is ${quote.price}`);
+    if (!isPositive(quote.previousClose)) fail('price', `previous close is ${quote.previousClose}`);
+    if (!Number.isFinite(quote.changePercent)) fail('move', `change is ${quote.changePercent}%`);
+    if (issues.length) return issues;
+
+    const stale = staleness(quote.time, assetClass, at);
+    if (stale) fail('stale', stale);
+    const move = outsideBound(quote.changePercent, assetClass);
+    if (move) fail('move', move);
+
+    if ((assetClass === 'equity' || assetClass === 'etf') && !quote.volume) {
+        fail('volume', 'no volume traded');
+    }
+
+    const change = quote.price - quote.previousClose;
+    const percent = (change / quote.previousClose) * 100;
+    if (Number.isFinite(quote.change) && Math.abs(quote.change - change) > Math.max(0.01, quote.price * 0.001)) {
+        fail('previous-close', `change ${quote.change.toFixed(2)} does not match ${quote.price} - ${quote.previousClose}`);
+    } else if (Math.abs(quote.changePercent - percent) > 0.05) {
+        fail('previous-close', `change ${quote.changePercent.toFixed(2)}% does not match ${percent.toFixed(2)}% from the previous close`);
+    }
+
+    return issues;
+}
+
+// Problems with one extended-hours quote (lib/data-provider.js getExtendedHours)
+function validateExtended(extended, { at = now() } = {}) {
+    const issues = [];
+    const fail = (check, message) => issues.push({ check, message });
+    const assetClass = assetClassOf(extended);
+
+    if (!isPositive(extended.price)) fail('price', `${extended.session} price is ${extended.price}`);
+    if (!isPositive(extended.priorClose)) fail('price', `prior close is ${extended.priorClose}`);
+    if (!Number.isFinite(extended.gapPercent)) fail('move', `gap is ${extended.gapPercent}%`);
+    if (issues.length) return issues;
+
+    const stale = staleness(extended.time, assetClass, at);
+    if (stale) fail('stale', stale);
+    const move = outsideBound(extended.gapPercent, assetClass);
+    if (move) fail('move', `gap of ${move}`);
+    return issues;
+}
+
+/**
+ * Per-cycle validation state shared by every generator in one build: which
+ * symbols were checked, which were quarantined and why
+ */
+function createValidator({ mode = selectedMode() } = {}) {
+    const checked = new Set();
+    const quarantined = new Map();
+
+    // quote if it may be used, else null; each key is written to the quarantine once per cycle
+    function checkWith(validate, quote, key) {
+        if (!quote || mode === 'off') return quote;
+
+        checked.add(quote.symbol);
+        const issues = validate(quote);
+        if (!issues.length) return quote;
+
+        if (!quarantined.has(key)) {
+            quarantined.set(key, issues);
+            save(key, quote, issues);
+        }
+        return mode === 'enforce' ? null : quote;
+    }
+
+    function save(key, quote, issues) {
+        const at = now();
+        fs.mkdirSync(QUARANTINE_DIR, { recursive: true });
+        const file = path.join(QUARANTINE_DIR, `${calendar.toET(at).date}.jsonl`);
+        fs.appendFileSync(file, JSON.stringify({ at: at.toISOString(), mode, symbol: key, issues, quote }) + '\n');
+    }
+
+    function formatReport() {
+        if (mode === 'off') return '🧪 Quote validation off';
+        const verb = mode === 'enforce' ? 'quarantined' : 'flagged (warn mode, still published)';
+        const lines = [`🧪 Quote validation: ${checked.size} symbols checked, ${quarantined.size} ${verb}`];
+        for (const [symbol, issues] of quarantined) {
+            lines.push(`   ⚠️ ${symbol.padEnd(10)} ${issues.map(issue => `${issue.check}: ${issue.message}`).join('; ')}`);
+        }
+        return lines.join('\n');
+    }
+
+    return {
+        mode,
+        check: (quote) => checkWith(validateQuote, quote, quote?.symbol),
+        checkExtended: (extended) => checkWith(validateExtended, extended, `${extended?.symbol} ${extended?.session}`),
+        formatReport,
+        summary: () => ({ mode, checked: checked.size, quarantined: Object.fromEntries(quarantined) })
+    };
+}
+
+// A provider whose quotes have passed the validator. A history whose latest
+// quote fails keeps its bars, which are real past sessions the price store
+// still needs, and loses only the quote fields: { symbol, bars }
+function withValidation(provider, validator) {
+    const checkHistory = (history) => {
+        if (!history) return history;
+        const { bars, ...quote } = history;
+        return validator.check(quote) ? history : { symbol: history.symbol, bars };
+    };
+    const keepValid = (results, check) => Object.fromEntries(Object.entries(results)
+        .map(([key, value]) => [key, check(value)])
+        .filter(([, value]) => value));
+
+    return {
+        ...provider,
+        async getQuote(symbol) {
+            return validator.check(await provider.getQuote(symbol));
+        },
+        async getHistory(symbol, options) {
+            return checkHistory(await provider.getHistory(symbol, options));
+        },
+        async getQuotes(symbols, options) {
+            return keepValid(await provider.getQuotes(symbols, options), validator.check);
+        },
+        async getHistories(symbols, options) {
+            return keepValid(await provider.getHistories(symbols, options), checkHistory);
+        },
+        async getScreener(id, options) {
+            return keepValid(await provider.getScreener(id, options), validator.check);
+        },
+        async getExtendedHours(symbol) {
+            return validator.checkExtended(await provider.getExtendedHours(symbol));
+        },
+        async getExtendedQuotes(symbols, options) {
+            return keepValid(await provider.getExtendedQuotes(symbols, options), validator.checkExtended);
+        }
+    };
+}
+
+if (require.main === module) {
+    const date = process.argv[2] || calendar.toET(now()).date;
+    const file = path.join(QUARANTINE_DIR, `${date}.jsonl`);
+    if (!fs.existsSync(file)) {
+        console.log(`✅ Nothing quarantined on ${date}`);
+    } else {
+        const entries = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        console.log(`🧪 ${entries.length} quarantined quotes on ${date}`);
+        entries.forEach(entry => console.log(`   ${entry.at}  ${entry.symbol.padEnd(10)} ${entry.issues.map(issue => issue.message).join('; ')}`));
+    }
+}
+
+module.exports = { QUARANTINE_DIR, MAX_MOVE_PERCENT, validateQuote, validateExtended, createValidator, withValidation };
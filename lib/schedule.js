@@ -0,0 +1,108 @@
+/**
+ * Cron-style schedules in New York time
+ *
+ * A job lists build graph nodes and when to run them:
+ *
+ *   { name: 'premarket', nodes: ['brief', 'rss'], cron: ['0 4,6 * * *', '30 8 * * *'], days: 'trading' }
+ *
+ * cron entries are "minute hour day-of-month month day-of-week" with *,
+ * lists (4,6), ranges (1-5) and steps (*\/15, 0-30/10), or a time relative to
+ * the regular session: '@close+15' is 15 minutes after the closing bell
+ * (13:15 on early-close days) and '@open-30' half an hour before the open.
+ * Session-relative entries only fire on trading days.
+ *
+ * days narrows every entry of the job: 'trading' (NYSE sessions, see
+ * lib/market-calendar.js), 'weekdays' or 'all' (default).
+ */
+
+const calendar = require('./market-calendar');
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 6 }
+];
+
+const DAYS = ['trading', 'weekdays', 'all'];
+
+function parseField(text, { name, min, max }) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        let [from, to] = range === '*' ? [min, max] : range.split('-').map(Number);
+        if (to === undefined) to = stepText === undefined ? from : max;
+
+        if (![from, to, step].every(Number.isInteger) || step < 1 || from < min || to > max || from > to) {
+            throw new Error(`Invalid ${name} "${part}"`);
+        }
+        for (let v = from; v <= to; v += step) values.add(v);
+    }
+    return values;
+}
+
+/**
+ * Parse one schedule entry into a matcher: (et) => boolean, where et is the
+ * lib/market-calendar.js toET() view of a minute.
+ */
+function parseCron(expression) {
+    const session = expression.match(/^@(open|close)([+-]\d+)?$/);
+    if (session) {
+        const [, edge, offsetText] = session;
+        const offset = Number(offsetText || 0);
+        return (et) => {
+            const hours = calendar.sessionHours(et.date);
+            if (!hours) return false;
+            const [h, m] = hours[edge].split(':').map(Number);
+            return et.hour * 60 + et.minute === h * 60 + m + offset;
+        };
+    }
+
+    const fields = expression.trim().split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+    }
+    const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseField(field, FIELDS[i]));
+    return (et) => minutes.has(et.minute) && hours.has(et.hour) && days.has(et.day) &&
+        months.has(et.month) && weekdays.has(et.weekday);
+}
+
+// Validate a job list and attach matchers; throws on the first bad entry
+function compile(jobs) {
+    return jobs.map(job => {
+        const days = job.days || 'all';
+        if (!DAYS.includes(days)) throw new Error(`Job "${job.name}": unknown days "${days}"`);
+        const matchers = [].concat(job.cron).map(expression => {
+            try {
+                return parseCron(expression);
+            } catch (e) {
+                throw new Error(`Job "${job.name}": ${e.message}`);
+            }
+        });
+        return { ...job, days, matchers };
+    });
+}
+
+function dayAllowed(days, et) {
+    if (days === 'trading') return calendar.isTradingDay(et.date);
+    if (days === 'weekdays') return et.weekday >= 1 && et.weekday <= 5;
+    return true;
+}
+
+function isDue(job, et) {
+    return dayAllowed(job.days, et) && job.matchers.some(match => match(et));
+}
+
+// First minute at or after `from` when the job is due, scanning up to `days` ahead
+function nextRun(job, from, days = 8) {
+    const start = Math.ceil(from.getTime() / 60000) * 60000;
+    for (let t = start; t < start + days * 86400000; t += 60000) {
+        const instant = new Date(t);
+        if (isDue(job, calendar.toET(instant))) return instant;
+    }
+    return null;
+}
+
+module.exports = { parseCron, compile, isDue, nextRun };
@@ -0,0 +1,146 @@
+/**
+ * Market sentiment gauge
+ *
+ * Scores the market from 0 (extreme fear) to 100 (extreme greed) as the
+ * weighted average of five factors, each scored 0-100 with 50 as neutral:
+ *
+ *   indices   average move of the S&P 500, Nasdaq and Dow; ±2% saturates
+ *   vix       level (12 or below scores 100, 35 or above 0) and the day's change
+ *   breadth   share of advancing stocks among those that moved
+ *   futures   average move of the stock index futures (ES, NQ, YM, RTY)
+ *   sectors   share of sector ETFs up, pulled toward neutral by dispersion:
+ *             a wide spread is rotation rather than a broad move
+ *
+ * A factor without data is left out and the others' weights are rescaled.
+ *
+ *   scoreSentiment({ indices, vix, breadth, futures, sectors })
+ *     -> { score, label, sentiment, factors: [{ key, name, weight, score, detail }] }
+ *
+ * indices, futures and sectors are [{ name, changePercent }], breadth the
+ * tracked stocks' quotes and vix the VIX quote (or null).
+ */
+
+const FACTORS = [
+    { key: 'indices', name: 'Index moves', weight: 30 },
+    { key: 'vix', name: 'Volatility (VIX)', weight: 20 },
+    { key: 'breadth', name: 'Breadth', weight: 20 },
+    { key: 'futures', name: 'Index futures', weight: 20 },
+    { key: 'sectors', name: 'Sector participation', weight: 10 }
+];
+
+// Upper bound of each band of the gauge
+const LABELS = [
+    [20, 'Extreme fear'],
+    [40, 'Fear'],
+    [60, 'Neutral'],
+    [80, 'Greed'],
+    [100, 'Extreme greed']
+];
+
+// VIX levels that score 100 and 0
+const VIX_CALM = 12;
+const VIX_PANIC = 35;
+
+function clamp(score) {
+    return Math.min(100, Math.max(0, score));
+}
+
+function average(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function signed(percent) {
+    return `${percent >= 0 ? '+' : ''}${percent.toFixed(2)}%`;
+}
+
+// 50 for flat, 0 or 100 from a 2% move on
+function moveScore(percent) {
+    return clamp(50 + percent * 25);
+}
+
+function moves(entries) {
+    return entries.filter(entry => Number.isFinite(entry.changePercent));
+}
+
+const SCORERS = {
+    indices({ indices }) {
+        const moving = moves(indices);
+        if (!moving.length) return null;
+        return {
+            score: moveScore(average(moving.map(index => index.changePercent))),
+            detail: moving.map(index => `${index.name} ${signed(index.changePercent)}`).join(', ')
+        };
+    },
+
+    vix({ vix }) {
+        if (!vix || !Number.isFinite(vix.price)) return null;
+        const level = clamp(((VIX_PANIC - vix.price) / (VIX_PANIC - VIX_CALM)) * 100);
+        // A 20% jump in the VIX scores 0, a 20% drop 100
+        const change = Number.isFinite(vix.changePercent) ? clamp(50 - vix.changePercent * 2.5) : level;
+        return {
+            score: level * 0.6 + change * 0.4,
+            detail: `${vix.price.toFixed(2)}${Number.isFinite(vix.changePercent) ? `, ${signed(vix.changePercent)}` : ''}`
+        };
+    },
+
+    breadth({ breadth }) {
+        const advancing = breadth.filter(quote => quote.changePercent > 0).length;
+        const declining = breadth.filter(quote => quote.changePercent < 0).length;
+        if (!advancing && !declining) return null;
+        return {
+            score: (advancing / (advancing + declining)) * 100,
+            detail: `${advancing} advancing, ${declining} declining`
+        };
+    },
+
+    futures({ futures }) {
+        const moving = moves(futures);
+        if (!moving.length) return null;
+        return {
+            score: moveScore(average(moving.map(future => future.changePercent))),
+            detail: moving.map(future => `${future.name} ${signed(future.changePercent)}`).join(', ')
+        };
+    },
+
+    sectors({ sectors }) {
+        const moving = moves(sectors);
+        if (moving.length < 2) return null;
+        const mean = average(moving.map(sector => sector.changePercent));
+        const dispersion = Math.sqrt(average(moving.map(sector => (sector.changePercent - mean) ** 2)));
+        const up = moving.filter(sector => sector.changePercent > 0).length;
+        const share = (up / moving.length) * 100;
+        return {
+            score: 50 + (share - 50) / (1 + dispersion),
+            detail: `${up} of ${moving.length} up, dispersion ${dispersion.toFixed(2)} pts`
+        };
+    }
+};
+
+function labelOf(score) {
+    return LABELS.find(([upper]) => score <= upper)[1];
+}
+
+function scoreSentiment({ indices = [], vix = null, breadth = [], futures = [], sectors = [] }) {
+    const inputs = { indices, vix, breadth, futures, sectors };
+    const factors = FACTORS.map(factor => {
+        const result = SCORERS[factor.key](inputs);
+        return result
+            ? { ...factor, score: Math.round(result.score), detail: result.detail }
+            : { ...factor, score: null, detail: 'no data' };
+    });
+
+    const scored = factors.filter(factor => factor.score !== null);
+    const weight = scored.reduce((sum, factor) => sum + factor.weight, 0);
+    const score = weight
+        ? Math.round(scored.reduce((sum, factor) => sum + factor.score * factor.weight, 0) / weight)
+        : 50;
+
+    return {
+        score,
+        label: labelOf(score),
+        sentiment: score > 60 ? 'bullish' : score <= 40 ? 'bearish' : 'neutral',
+        factors
+    };
+}
+
+module.exports = { FACTORS, LABELS, scoreSentiment };
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * Static site files
+ *
+ * Hand-written pages (glossary.html, about.html, ...) live in static/
+ * and past briefs in archive/. generate() returns both as pages, together with
+ * the hashed stylesheet (lib/assets.js), so the build graph writes them into
+ * the output root (see lib/output.js) like any other generator's output, and
+ * unchanged files are left alone.
+ *
+ * A static .html file holds only the page body, after a comment with the
+ * page's metadata; it is rendered through the shared layout (lib/layout.js)
+ * with its file name as the page type:
+ *
+ *   <!--
+ *   title: Stock Market Terms Glossary | Trading Definitions & Explanations
+ *   description: Comprehensive stock market glossary. ...
+ *   keywords: stock market terms, ...      (optional)
+ *   heading: 📚 Market Terms Glossary
+ *   tagline: Essential trading terminology explained   (optional)
+ *   footer: Educational content only       (optional)
+ *   -->
+ *   <div class="terms">...
+ *
+ *   node lib/site.js           copy static files into the output root
+ *   node lib/site.js --clean   delete the output root and the build manifests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { OUTPUT_DIR, MANIFEST_DIR, PERSISTENT_DIRS } = require('./output');
+const { run } = require('./generator');
+const { stylesheet } = require('./assets');
+const { html, raw } = require('./html');
+const { layout } = require('./layout');
+const { pageHeader } = require('./partials');
+
+const ROOT = path.join(__dirname, '..');
+const STATIC_DIR = path.join(ROOT, 'static');
+
+// Files under dir, as paths relative to it
+function listFiles(dir, prefix = '') {
+    let entries = [];
+    try {
+        entries = fs.readdirSync(path.join(dir, prefix), { withFileTypes: true });
+    } catch {
+        return [];
+    }
+    return entries.flatMap(entry => {
+        const file = path.join(prefix, entry.name);
+        return entry.isDirectory() ? listFiles(dir, file) : [file];
+    }).sort();
+}
+
+// Output paths of the hand-written files and the stylesheet, for the build graph
+function staticFiles() {
+    return [...listFiles(STATIC_DIR), stylesheet().path];
+}
+
+// Split a static page into its metadata comment and body
+function parsePage(file, content) {
+    const match = content.match(/^<!--\n([\s\S]*?)\n-->\n/);
+    if (!match) throw new Error(`static/${file}: missing the metadata comment`);
+    const meta = Object.fromEntries(match[1].split('\n').map(line => {
+        const colon = line.indexOf(':');
+        return [line.slice(0, colon).trim(), line.slice(colon + 1).trim()];
+    }));
+    for (const field of ['title', 'description', 'heading']) {
+        if (!meta[field]) throw new Error(`static/${file}: metadata has no ${field}`);
+    }
+    return { meta, body: content.slice(match[0].length) };
+}
+
+function staticPage(file) {
+    const content = fs.readFileSync(path.join(STATIC_DIR, file), 'utf8');
+    if (!file.endsWith('.html')) return content;
+
+    const { meta, body } = parsePage(file, content);
+    return layout({
+        page: path.basename(file, '.html'),
+        title: meta.title,
+        description: meta.description,
+        keywords: meta.keywords,
+        footer: meta.footer,
+        body: html`
+        ${pageHeader({ title: meta.heading, tagline: meta.tagline })}
+${raw(body)}`
+    });
+}
+
+function generate() {
+    const css = stylesheet();
+    const pages = [
+        ...listFiles(STATIC_DIR).map(file => ({ path: file, content: staticPage(file) })),
+        { path: css.path, content: css.content },
+        // Archived briefs are copied as they were published
+        ...PERSISTENT_DIRS.flatMap(dir => listFiles(path.join(ROOT, dir))
+            .map(file => ({ path: path.join(dir, file), content: fs.readFileSync(path.join(ROOT, dir, file), 'utf8') })))
+    ];
+    console.log(`📄 Static files: ${pages.length}`);
+    return pages;
+}
+
+function clean() {
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+    fs.rmSync(MANIFEST_DIR, { recursive: true, force: true });
+    console.log(`🧹 Removed ${path.relative(ROOT, OUTPUT_DIR) || OUTPUT_DIR} and the build manifests`);
+}
+
+if (require.main === module) {
+    if (process.argv.includes('--clean')) clean();
+    else run(__filename, generate);
+}
+
+module.exports = { STATIC_DIR, listFiles, staticFiles, generate, clean };
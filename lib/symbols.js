@@ -0,0 +1,192 @@
+/**
+ * Symbol registry
+ *
+ * Every ticker the site covers lives once in symbols.json:
+ *
+ *   { symbol, name, description, assetClass, sector, industry, exchange, tags,
+ *     attributes?, delisted? }
+ *
+ * assetClass is one of equity, etf, index, crypto, future. Tags say which
+ * lists a symbol belongs to (brief, screener, stock-page, earnings, ...), and
+ * attributes holds asset-specific facts such as an ETF's expense ratio.
+ * Delisted entries ({ date, reason, successor? }) stay in the file for the
+ * record but are left out of select().
+ *
+ *   node lib/symbols.js          validate the registry and print a report
+ *   node lib/symbols.js --sync   fill missing sector/industry/exchange from the data provider
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REGISTRY_PATH = path.join(__dirname, '..', 'symbols.json');
+
+const ASSET_CLASSES = ['equity', 'etf', 'index', 'crypto', 'future'];
+const REQUIRED_FIELDS = ['symbol', 'name', 'assetClass'];
+
+// Metadata worth having per asset class; gaps are reported but don't fail the load
+const DESCRIPTIVE_FIELDS = {
+    equity: ['description', 'sector', 'industry', 'exchange'],
+    etf: ['description', 'exchange']
+};
+
+/**
+ * Check a list of registry entries. Returns { errors, delisted, incomplete }:
+ * errors are duplicates, missing required fields and malformed values;
+ * delisted lists retired tickers that are still tagged for a page;
+ * incomplete maps each descriptive field to the symbols missing it.
+ */
+function validate(entries) {
+    const errors = [];
+    const delisted = [];
+    const incomplete = {};
+    const seen = new Map();
+
+    entries.forEach((entry, i) => {
+        const label = entry.symbol || `entry #${i + 1}`;
+
+        for (const field of REQUIRED_FIELDS) {
+            if (!entry[field]) errors.push(`${label}: missing ${field}`);
+        }
+        if (entry.assetClass && !ASSET_CLASSES.includes(entry.assetClass)) {
+            errors.push(`${label}: unknown assetClass "${entry.assetClass}"`);
+        }
+        if (entry.tags !== undefined && !Array.isArray(entry.tags)) {
+            errors.push(`${label}: tags must be an array`);
+        }
+
+        if (entry.symbol) {
+            const key = entry.symbol.toUpperCase();
+            if (seen.has(key)) {
+                errors.push(`${label}: duplicate of entry #${seen.get(key) + 1}`);
+            } else {
+                seen.set(key, i);
+            }
+        }
+
+        if (entry.delisted) {
+            if (entry.tags?.length) delisted.push(entry);
+            return;
+        }
+
+        for (const field of DESCRIPTIVE_FIELDS[entry.assetClass] || []) {
+            if (!entry[field]) (incomplete[field] = incomplete[field] || []).push(label);
+        }
+    });
+
+    return { errors, delisted, incomplete };
+}
+
+let registry = null;
+
+// Parse and validate symbols.json once per process; throws on validation errors
+function load() {
+    if (registry) return registry;
+
+    const entries = JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+    const { errors } = validate(entries);
+    if (errors.length) {
+        throw new Error(`Invalid symbol registry (${REGISTRY_PATH}):\n  ${errors.join('\n  ')}`);
+    }
+
+    registry = entries.map(entry => ({ tags: [], attributes: {}, ...entry }));
+    return registry;
+}
+
+// Active entries, optionally narrowed to a tag and/or asset class, in file order
+function select({ tag, assetClass, includeDelisted = false } = {}) {
+    return load().filter(entry =>
+        (includeDelisted || !entry.delisted) &&
+        (!tag || entry.tags.includes(tag)) &&
+        (!assetClass || entry.assetClass === assetClass)
+    );
+}
+
+function get(symbol) {
+    return load().find(entry => entry.symbol === symbol) || null;
+}
+
+// One entry per line keeps diffs of the registry readable
+function save(entries) {
+    const lines = entries.map(entry => `    ${JSON.stringify(entry)}`);
+    fs.writeFileSync(REGISTRY_PATH, `[\n${lines.join(',\n')}\n]\n`);
+    registry = null;
+}
+
+// Build graph entry point: re-read the registry so a long-running process
+// picks up edits, and fail the build when it is invalid
+function generate() {
+    registry = null;
+    console.log(`📇 Symbol registry: ${load().length} entries`);
+    return [];
+}
+
+function report(entries) {
+    const { errors, delisted, incomplete } = validate(entries);
+
+    console.log(`📇 Symbol registry: ${entries.length} entries`);
+    errors.forEach(e => console.error(`❌ ${e}`));
+
+    delisted.forEach(entry => {
+        const { date, reason, successor } = entry.delisted;
+        const next = successor ? `, now ${successor}` : '';
+        console.warn(`⚠️ ${entry.symbol} delisted ${date} (${reason}${next}), skipped for: ${entry.tags.join(', ')}`);
+    });
+
+    for (const [field, symbols] of Object.entries(incomplete)) {
+        const sample = symbols.slice(0, 8).join(', ') + (symbols.length > 8 ? ', ...' : '');
+        console.log(`ℹ️ ${symbols.length} missing ${field}: ${sample}`);
+    }
+
+    if (!errors.length) console.log('✅ Registry is valid');
+    return errors.length === 0;
+}
+
+// Fill blank descriptive fields from live quotes and profiles; never overwrites
+async function sync() {
+    const { getProvider } = require('./data-provider');
+
+    const entries = JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+    const stale = entries.filter(entry => !entry.delisted && DESCRIPTIVE_FIELDS[entry.assetClass]?.some(f => !entry[f]));
+    console.log(`🔄 Syncing ${stale.length} incomplete entries...`);
+
+    const quotes = await getProvider().getQuotes(stale.map(entry => entry.symbol), { profiles: true });
+
+    let filled = 0;
+    for (const entry of stale) {
+        const quote = quotes[entry.symbol];
+        if (!quote) continue;
+        for (const field of ['sector', 'industry', 'exchange']) {
+            if (!entry[field] && quote[field] && DESCRIPTIVE_FIELDS[entry.assetClass].includes(field)) {
+                entry[field] = quote[field];
+                filled++;
+            }
+        }
+    }
+
+    save(entries);
+    console.log(`✅ Filled ${filled} fields in ${REGISTRY_PATH}`);
+}
+
+if (require.main === module) {
+    if (process.argv.includes('--sync')) {
+        sync().catch(e => {
+            console.error(e);
+            process.exitCode = 1;
+        });
+    } else {
+        const entries = JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+        if (!report(entries)) process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    REGISTRY_PATH,
+    ASSET_CLASSES,
+    validate,
+    load,
+    select,
+    get,
+    save,
+    generate
+};
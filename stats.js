@@ -5,10 +5,12 @@
 
 const fs = require('fs');
 const path = require('path');
+const { OUTPUT_DIR } = require('./lib/output');
 
+// Counts the built site in the output root, not the source tree
 function countFiles(dir, ext) {
     try {
-        return fs.readdirSync(dir).filter(f => f.endsWith(ext)).length;
+        return fs.readdirSync(path.join(OUTPUT_DIR, dir)).filter(f => f.endsWith(ext)).length;
     } catch {
         return 0;
     }
@@ -46,4 +48,4 @@ Generated: ${timestamp}
 
 // Append to log
 const logLine = `${timestamp},${stats.total},${stats.stocks},${stats.etfs}\n`;
-fs.appendFileSync('stats.log', logLine);
+fs.appendFileSync(path.join(__dirname, 'stats.log'), logLine);
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { NODES, validateGraph, selectNodes, runGraph } = require('../lib/build-graph');
+
+const ROOT = path.join(__dirname, '..');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-graph-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A node whose generate() builds no pages, or throws when it should fail
+function node(name, deps = [], { fail = false, inputs = [], outputs = [] } = {}) {
+    const script = path.join(dir, `${name}.js`);
+    fs.writeFileSync(script, `module.exports.generate = async () => { ${fail ? `throw new Error('${name} broke');` : 'return [];'} };`);
+    return { name, script: path.relative(ROOT, script), inputs, outputs, deps };
+}
+
+test('the site graph is valid', () => {
+    assert.strictEqual(validateGraph(NODES).size, NODES.length);
+    assert.deepStrictEqual(selectNodes(NODES, ['rss']).map(n => n.name), ['static', 'symbols', 'prices', 'brief', 'rss']);
+});
+
+test('bad graphs are refused', () => {
+    assert.throws(() => validateGraph([node('a'), node('a')]), /duplicate node "a"/);
+    assert.throws(() => validateGraph([node('a', ['b'])]), /unknown node "b"/);
+    assert.throws(() => validateGraph([node('a', ['b']), node('b', ['a'])]), /dependency cycle/);
+    assert.throws(
+        () => validateGraph([node('a', [], { outputs: ['x.html'] }), node('b', [], { inputs: ['x.html'] })]),
+        /"b" reads x\.html from "a" without depending on it/
+    );
+    assert.throws(() => selectNodes([node('a')], ['nope']), /unknown node "nope"/);
+});
+
+test('nodes start after their dependencies and a failure skips everything downstream', async () => {
+    const nodes = [
+        node('fetch'),
+        node('render', ['fetch']),
+        node('broken', [], { fail: true }),
+        node('feed', ['render', 'broken']),
+        node('archive', ['feed'])
+    ];
+    const started = [];
+    const log = line => {
+        const match = line.match(/^▶️ (\S+)/);
+        if (match) started.push(match[1]);
+    };
+
+    const { ok, results } = await runGraph({ nodes, concurrency: 1, log });
+    assert.strictEqual(ok, false);
+    assert.ok(started.indexOf('fetch') < started.indexOf('render'));
+    assert.ok(!started.includes('feed') && !started.includes('archive'));
+    assert.deepStrictEqual(results.map(r => [r.name, r.status, r.reason]), [
+        ['fetch', 'ok', null],
+        ['render', 'ok', null],
+        ['broken', 'failed', 'broken broke'],
+        ['feed', 'skipped', 'broken failed'],
+        ['archive', 'skipped', 'feed skipped']
+    ]);
+});
+
+test('only runs the named nodes and what they depend on', async () => {
+    const nodes = [node('fetch'), node('render', ['fetch']), node('other')];
+    const { ok, results } = await runGraph({ nodes, only: ['render'], log: () => {} });
+    assert.strictEqual(ok, true);
+    assert.deepStrictEqual(results.map(r => r.name), ['fetch', 'render']);
+});
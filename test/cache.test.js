@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-cache-'));
+process.env.HTTP_CACHE_DIR = dir;
+delete process.env.HTTP_CACHE;
+delete process.env.FIXTURES_DIR;
+const cache = require('../lib/cache');
+const { fetchJson } = require('../lib/http');
+const { createProvider } = require('../lib/data-provider');
+
+// After lib/cache.js's own exit handler, which writes stats.json
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+// lib/cache.js reports its counters on exit, which would cut into the test runner's own output
+test.after(() => { console.log = () => {}; });
+
+const requested = [];
+global.fetch = async (url) => {
+    requested.push(url);
+    return Response.json({ url });
+};
+
+const CHART = 'https://query1.finance.yahoo.com/v8/finance/chart/AAPL?interval=1d&range=1mo';
+const OTHER = 'https://example.com/not-an-endpoint';
+
+test('a cacheable response is served from disk until its TTL runs out', async () => {
+    requested.length = 0;
+    assert.deepStrictEqual(await fetchJson(CHART), { url: CHART });
+    assert.deepStrictEqual(await fetchJson(CHART), { url: CHART });
+    assert.strictEqual(requested.length, 1);
+    assert.deepStrictEqual(cache.stats(), { chart: { hits: 1, misses: 1 } });
+
+    // An override of 0 expires the entry and stops new ones being stored
+    process.env.HTTP_CACHE_TTL_CHART = '0';
+    try {
+        await fetchJson(CHART);
+        await fetchJson(CHART);
+    } finally {
+        delete process.env.HTTP_CACHE_TTL_CHART;
+    }
+    assert.strictEqual(requested.length, 3);
+});
+
+test('URLs outside the known endpoints are never cached or counted', async () => {
+    requested.length = 0;
+    const before = cache.stats();
+    await fetchJson(OTHER);
+    await fetchJson(OTHER);
+    assert.strictEqual(requested.length, 2);
+    assert.deepStrictEqual(cache.stats(), before);
+});
+
+test('daily charts of different ranges share one cached response', async () => {
+    requested.length = 0;
+    global.fetch = async (url) => {
+        requested.push(url);
+        const days = 40;
+        return Response.json({
+            chart: {
+                result: [{
+                    meta: {},
+                    timestamp: Array.from({ length: days }, (_, i) => 1767225600 + i * 86400),
+                    indicators: { quote: [{ close: Array.from({ length: days }, (_, i) => 100 + i) }] }
+                }]
+            }
+        });
+    };
+    const provider = createProvider('yahoo');
+    const week = await provider.getHistory('MSFT', { range: '5d' });
+    const month = await provider.getHistory('MSFT', { range: '1mo' });
+    await provider.getQuote('MSFT');
+    assert.strictEqual(requested.length, 1);
+    assert.match(requested[0], /range=1mo/);
+    assert.strictEqual(week.bars.length, 7);
+    assert.strictEqual(month.bars.length, 31);
+});
+
+test('stats read as hits over requests per endpoint', () => {
+    assert.strictEqual(cache.formatStats({}), 'no cacheable requests');
+    assert.strictEqual(
+        cache.formatStats({ chart: { hits: 3, misses: 1 }, quoteSummary: { hits: 0, misses: 2 } }),
+        '3 hits, 3 misses (chart 3/4, quoteSummary 0/2)'
+    );
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine } = require('../lib/commentary');
+const { checkCommentary } = require('../lib/fact-check');
+
+const FACTS = {
+    session: "Today's session",
+    indices: [
+        { name: 'Nasdaq', price: 18250.5, changePercent: -0.8 },
+        { name: 'S&P 500', price: 5800.25, changePercent: -0.45 },
+        { name: 'VIX', price: 18.2, changePercent: 3.1 }
+    ],
+    gainers: [{ symbol: 'ZETA', price: 59, move: 18 }],
+    decliners: [{ symbol: 'INTC', price: 20.5, move: -5 }],
+    active: [],
+    levels: []
+};
+
+test('the rules engine states a decline without a sign and passes the fact-check', async () => {
+    const commentary = await createEngine('rules').generate(FACTS);
+    assert.match(commentary.summary, /INTC down 5\.00%\./);
+    assert.deepStrictEqual(checkCommentary(commentary, FACTS).rejected, []);
+});
+
+test('the rules engine names the risk that fits the session', async () => {
+    const risk = async session => (await createEngine('rules').generate({ ...FACTS, session })).risks.at(-1);
+    assert.strictEqual(await risk('Pre-Market'), 'Extended-hours moves come on thin volume and can reverse at the open.');
+    assert.strictEqual(await risk('After-Hours'), 'Extended-hours moves come on thin volume and can reverse at the open.');
+    assert.strictEqual(await risk("Today's session"), 'Intraday moves can fade or reverse before the close.');
+    assert.strictEqual(await risk('The last session'), 'News before the next open can reverse these moves.');
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SITE_ENV = 'staging';
+delete process.env.SITE_CONFIG;
+const { load, site, url } = require('../lib/config');
+const { headTags, adSlot, footer } = require('../lib/partials');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function configFile(config) {
+    const file = path.join(dir, `${Math.random().toString(36).slice(2)}.json`);
+    fs.writeFileSync(file, JSON.stringify(config));
+    return file;
+}
+
+const DEFAULTS = {
+    name: 'Brief', title: 'Brief', disclaimer: 'Not advice.', baseUrl: 'https://example.com/',
+    ads: { client: 'ca-pub-123', slots: { top: '1', bottom: '2' } }
+};
+
+test('an environment is merged over the defaults key by key', () => {
+    const file = configFile({
+        defaults: DEFAULTS,
+        environments: { production: {}, staging: { baseUrl: 'https://staging.example.com', ads: { slots: { top: '9' } } } }
+    });
+    const production = load('production', file);
+    assert.strictEqual(production.baseUrl, 'https://example.com');
+    assert.strictEqual(production.env, 'production');
+
+    const staging = load('staging', file);
+    assert.strictEqual(staging.baseUrl, 'https://staging.example.com');
+    assert.deepStrictEqual(staging.ads, { client: 'ca-pub-123', slots: { top: '9', bottom: '2' } });
+    assert.ok(Object.isFrozen(staging));
+});
+
+test('unknown environments and invalid settings are refused', () => {
+    const file = configFile({ defaults: DEFAULTS, environments: { production: {} } });
+    assert.throws(() => load('qa', file), /unknown environment "qa" \(expected production\)/);
+
+    const bad = configFile({
+        defaults: { ...DEFAULTS, baseUrl: 'example.com', name: '', ads: { client: 'pub-1' } },
+        environments: { production: {} }
+    });
+    assert.throws(() => load('production', bad), /baseUrl "example\.com" is not an http\(s\) URL; name is missing; ads\.client "pub-1"/);
+});
+
+test('the shipped config is valid in every environment', () => {
+    assert.strictEqual(load('production').indexable, true);
+    assert.strictEqual(site.env, 'staging');
+    assert.strictEqual(url(), site.baseUrl);
+    assert.strictEqual(url('/stock/AAPL.html'), `${site.baseUrl}/stock/AAPL.html`);
+});
+
+test('partials follow the config: staging is noindex and has no ads', () => {
+    assert.strictEqual(String(headTags()), '<meta name="robots" content="noindex, nofollow">');
+    assert.strictEqual(String(adSlot('top')), '');
+    assert.match(String(footer('Data delayed')), new RegExp(`${site.name} \\| Data delayed[\\s\\S]*${site.disclaimer}`));
+});
@@ -0,0 +1,214 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createProvider, parseChart, parseExtendedHours, parseQuotes } = require('../lib/data-provider');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'provider-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const DAY = 86400000;
+
+// An adapter module on disk, as MARKET_DATA_PROVIDER=<path> would load it
+function adapterFile(name, source) {
+    const file = path.join(dir, `${name}.js`);
+    fs.writeFileSync(file, source);
+    return file;
+}
+
+test('a chart response becomes a quote from its last two closes, skipping empty bars', () => {
+    const parsed = parseChart('AAPL', {
+        chart: {
+            result: [{
+                meta: { fiftyTwoWeekHigh: 120, fiftyTwoWeekLow: 80, regularMarketVolume: 5000 },
+                timestamp: [1, 2, 3],
+                indicators: { quote: [{ open: [99, null, 101], high: [101, null, 103], low: [98, null, 100], close: [100, null, 102], volume: [10, null, 20] }] }
+            }]
+        }
+    });
+    assert.strictEqual(parsed.bars.length, 2);
+    assert.deepStrictEqual(parsed.bars[1], { time: 3000, open: 101, high: 103, low: 100, close: 102, volume: 20 });
+    assert.strictEqual(parsed.price, 102);
+    assert.strictEqual(parsed.previousClose, 100);
+    assert.strictEqual(parsed.changePercent, 2);
+    assert.strictEqual(parsed.volume, 5000);
+    assert.strictEqual(parsed.high52, 120);
+    assert.strictEqual(parseChart('AAPL', { chart: { result: [] } }), null);
+});
+
+test('the fixture backend reads JSON or CSV bars and slices them by range', async () => {
+    const start = Date.parse('2026-01-01');
+    const bars = Array.from({ length: 40 }, (_, i) => ({ time: start + i * DAY, open: 10 + i, high: 11 + i, low: 9 + i, close: 10 + i, volume: 100 }));
+    fs.writeFileSync(path.join(dir, 'AAA.json'), JSON.stringify({ bars, quote: { volume: 999 }, profile: { sector: 'Energy' } }));
+    fs.writeFileSync(path.join(dir, 'BBB.csv'), 'Date,Open,High,Low,Close,Adj Close,Volume\n2026-01-02,5,6,4,5.5,5.5,100\n2026-01-05,5.5,7,5,6.6,6.6,200\n');
+
+    const provider = createProvider('fixture', { dir });
+    const quote = await provider.getQuote('AAA');
+    assert.strictEqual(quote.price, 49);
+    assert.strictEqual(quote.volume, 999);
+    assert.strictEqual((await provider.getHistory('AAA', { range: '5d' })).bars.length, 7);
+    assert.deepStrictEqual(await provider.getProfile('AAA'), { symbol: 'AAA', name: 'AAA', sector: 'Energy' });
+
+    const csv = await provider.getHistory('BBB');
+    assert.deepStrictEqual(csv.bars.map(bar => bar.close), [5.5, 6.6]);
+    assert.strictEqual(csv.previousClose, 5.5);
+    assert.strictEqual(await provider.getQuote('NONE'), null);
+});
+
+test('an adapter gets the methods it leaves out filled in', async () => {
+    const history = adapterFile('history-only', `
+        module.exports = {
+            async getHistory(symbol) {
+                return { symbol, price: 2, previousClose: 1, bars: [{ time: 1, open: 1, high: 1, low: 1, close: 1, volume: 0 }] };
+            }
+        };`);
+    const provider = createProvider(history);
+    assert.deepStrictEqual(await provider.getQuote('X'), { symbol: 'X', price: 2, previousClose: 1 });
+    assert.strictEqual(await provider.getProfile('X'), null);
+
+    const factory = adapterFile('factory', 'module.exports = (options) => ({ async getQuote(symbol) { return { symbol, price: options.price }; } });');
+    assert.strictEqual((await createProvider(factory, { price: 7 }).getQuote('Y')).price, 7);
+    assert.strictEqual(await createProvider(factory).getHistory('Y'), null);
+
+    assert.throws(() => createProvider(adapterFile('empty', 'module.exports = {};')), /must implement getQuote or getHistory/);
+});
+
+test('a v7 quote row carries the price, change, name and market cap', () => {
+    const quotes = parseQuotes({
+        quoteResponse: {
+            result: [
+                { symbol: 'AAPL', regularMarketPrice: 110, regularMarketPreviousClose: 100, regularMarketVolume: 900, longName: 'Apple Inc.', marketCap: 3e12 },
+                { symbol: 'GONE' }
+            ]
+        }
+    });
+    assert.deepStrictEqual(Object.keys(quotes), ['AAPL']);
+    assert.strictEqual(quotes.AAPL.change, 10);
+    assert.strictEqual(quotes.AAPL.changePercent, 10);
+    assert.strictEqual(quotes.AAPL.name, 'Apple Inc.');
+    assert.strictEqual(quotes.AAPL.marketCap, 3e12);
+});
+
+test('symbol lists are fetched in chunks, once per symbol, falling back to single calls', async () => {
+    const file = adapterFile('batching', `
+        const calls = { batches: [], singles: [] };
+        module.exports = {
+            calls,
+            async getQuote(symbol) {
+                calls.singles.push(symbol);
+                return symbol === 'NONE' ? null : { symbol, name: symbol, price: 1 };
+            },
+            async getQuotes(symbols) {
+                calls.batches.push(symbols);
+                if (symbols.includes('FAIL')) throw new Error('batch refused');
+                return Object.fromEntries(symbols.filter(s => s !== 'NONE').map(symbol => [symbol, { symbol, name: symbol, price: 2 }]));
+            }
+        };`);
+    const provider = createProvider(file);
+    const { calls } = require(file);
+
+    const quotes = await provider.getQuotes(['A', 'B', 'C', 'A', 'D', 'NONE'], { chunkSize: 2 });
+    assert.deepStrictEqual(calls.batches, [['A', 'B'], ['C', 'D'], ['NONE']]);
+    assert.deepStrictEqual(Object.keys(quotes).sort(), ['A', 'B', 'C', 'D']);
+    assert.deepStrictEqual(calls.singles, []);
+
+    // A refused batch costs one request per symbol of that chunk only
+    const fallback = await provider.getQuotes(['E', 'FAIL', 'G'], { chunkSize: 2 });
+    assert.deepStrictEqual(calls.singles, ['E', 'FAIL']);
+    assert.deepStrictEqual([fallback.E.price, fallback.FAIL.price, fallback.G.price], [1, 1, 2]);
+});
+
+test('without batch support each symbol is fetched on its own, with a profile for its name', async () => {
+    const file = adapterFile('single', `
+        module.exports = {
+            async getQuote(symbol) { return { symbol, price: 3 }; },
+            async getProfile(symbol) { return { symbol, name: symbol + ' Corp', sector: 'Energy' }; },
+            async getHistory(symbol, { range }) { return { symbol, price: 3, range, bars: [] }; }
+        };`);
+    const provider = createProvider(file);
+    const quotes = await provider.getQuotes(['X', 'Y']);
+    assert.strictEqual(quotes.X.name, 'X Corp');
+    assert.strictEqual(quotes.Y.sector, 'Energy');
+
+    const histories = await provider.getHistories(['X', 'Y'], { range: '1y' });
+    assert.deepStrictEqual(Object.values(histories).map(history => history.range), ['1y', '1y']);
+});
+
+// An includePrePost 5m chart for 2026-10-19 with bars at the given ET hours
+function intradayChart(bars, meta = {}) {
+    const at = hour => Date.parse('2026-10-19T04:00:00Z') / 1000 + hour * 3600;
+    return {
+        chart: {
+            result: [{
+                meta: {
+                    chartPreviousClose: 100,
+                    currentTradingPeriod: {
+                        pre: { start: at(4), end: at(9.5) },
+                        regular: { start: at(9.5), end: at(16) },
+                        post: { start: at(16), end: at(20) }
+                    },
+                    ...meta
+                },
+                timestamp: bars.map(([hour]) => at(hour)),
+                indicators: { quote: [{ close: bars.map(([, close]) => close), volume: bars.map(([, , volume]) => volume) }] }
+            }]
+        }
+    };
+}
+
+test('an intraday chart ending outside the regular session becomes an extended-hours quote', () => {
+    const pre = parseExtendedHours('AAPL', intradayChart([[7, 101, 10], [8, 103, 20]]));
+    assert.deepStrictEqual(
+        { session: pre.session, price: pre.price, priorClose: pre.priorClose, gap: pre.gap, gapPercent: pre.gapPercent, volume: pre.volume },
+        { session: 'pre', price: 103, priorClose: 100, gap: 3, gapPercent: 3, volume: 30 }
+    );
+
+    // After hours gap against today's close, not yesterday's
+    const post = parseExtendedHours('AAPL', intradayChart([[8, 103, 20], [15.5, 110, 500], [17, 99, 40]]));
+    assert.strictEqual(post.session, 'post');
+    assert.strictEqual(post.priorClose, 110);
+    assert.strictEqual(post.gapPercent, -10);
+    assert.strictEqual(post.volume, 40);
+
+    assert.strictEqual(parseExtendedHours('AAPL', intradayChart([[7, 101, 10], [10, 104, 500]])), null);
+    assert.strictEqual(parseExtendedHours('AAPL', intradayChart([[7, 101, 10]], { currentTradingPeriod: undefined })), null);
+});
+
+test('extended quotes leave out symbols without an extended session and those that fail', async () => {
+    const file = adapterFile('extended', `
+        module.exports = {
+            async getQuote(symbol) { return { symbol, price: 1 }; },
+            async getExtendedHours(symbol) {
+                if (symbol === 'DOWN') throw new Error('timeout');
+                return symbol === 'QUIET' ? null : { symbol, session: 'pre', price: 2, priorClose: 1 };
+            }
+        };`);
+    const log = console.log;
+    console.log = () => {};
+    let extended;
+    try {
+        extended = await createProvider(file).getExtendedQuotes(['AAPL', 'QUIET', 'DOWN', 'AAPL']);
+    } finally {
+        console.log = log;
+    }
+    assert.deepStrictEqual(Object.keys(extended), ['AAPL']);
+    assert.strictEqual(await createProvider(adapterFile('regular-only', 'module.exports = { async getQuote(symbol) { return { symbol }; } };')).getExtendedHours('X'), null);
+});
+
+test('profiles come from symbols.json first and are only fetched for unclassified symbols', async () => {
+    // Batch quotes carry no sector or industry, like Yahoo's v7 rows
+    const file = adapterFile('unclassified', `
+        const profiled = [];
+        module.exports = {
+            profiled,
+            async getQuote(symbol) { return { symbol, name: symbol, price: 10 }; },
+            async getQuotes(symbols) { return Object.fromEntries(symbols.map(symbol => [symbol, { symbol, name: symbol, price: 10 }])); },
+            async getProfile(symbol) { profiled.push(symbol); return { symbol, sector: 'Industrials', industry: 'Airlines' }; }
+        };`);
+    const { profiled } = require(file);
+    const quotes = await createProvider(file).getQuotes(['AAPL', 'ZZZQ'], { profiles: true });
+    assert.strictEqual(quotes.AAPL.sector, 'Technology');
+    assert.strictEqual(quotes.ZZZQ.sector, 'Industrials');
+    assert.deepStrictEqual(profiled, ['ZZZQ']);
+});
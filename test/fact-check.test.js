@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractClaims, checkCommentary } = require('../lib/fact-check');
+
+const FACTS = {
+    indices: [
+        { name: 'S&P 500', price: 5800.25, changePercent: -0.45 },
+        { name: 'VIX', price: 18.2, changePercent: 3.1 }
+    ],
+    gainers: [{ symbol: 'ZETA', price: 59, move: 18 }],
+    decliners: [{ symbol: 'INTC', price: 20.5, move: -5 }],
+    active: [],
+    levels: []
+};
+
+function check(summary) {
+    const commentary = { sentiment: 'neutral', summary, keyLevels: 'S&P 500 at 5,800.25.', watchlist: [], risks: ['Moves can reverse.'] };
+    return checkCommentary(commentary, FACTS);
+}
+
+test('a percent takes its direction from a sign or a direction word', () => {
+    const directions = (sentence) => extractClaims(sentence, FACTS).filter(claim => claim.kind === 'percent').map(claim => claim.direction);
+    assert.deepStrictEqual(directions('ZETA +18% and INTC -5%.'), [1, -1]);
+    assert.deepStrictEqual(directions('INTC fell 5% while ZETA surged 18%.'), [-1, 1]);
+    assert.deepStrictEqual(directions('INTC is 5% lower.'), [-1]);
+    assert.deepStrictEqual(directions('INTC moved 5%.'), [0]);
+});
+
+test('a move stated in the wrong direction is rejected', () => {
+    for (const sentence of ['S&P 500 is up +0.45%.', 'INTC surged +5.00%.', 'S&P 500 rose 0.45%.', 'ZETA fell 18%.']) {
+        const { rejected } = check(sentence);
+        assert.strictEqual(rejected.length, 1, sentence);
+        assert.match(rejected[0].reasons[0], /the data has it/, sentence);
+    }
+});
+
+test('a move stated in the right direction, or without one, passes', () => {
+    for (const sentence of ['S&P 500 is down 0.45%.', 'INTC slid -5.00%.', 'ZETA leading gains at +18.00%.', 'INTC moved 5% on volume.']) {
+        const { rejected, provenance } = check(sentence);
+        assert.deepStrictEqual(rejected, [], sentence);
+        assert.ok(provenance.some(entry => entry.field === 'summary' && entry.text === sentence), sentence);
+    }
+});
+
+test('each clause carries its own direction', () => {
+    assert.deepStrictEqual(check('INTC fell 5% while ZETA rose 18%.').rejected, []);
+    assert.strictEqual(check('INTC rose 5% while ZETA fell 18%.').rejected.length, 1);
+});
+
+test('a number that matches nothing is still rejected', () => {
+    assert.match(check('ZETA rose 25%.').rejected[0].reasons[0], /matches no move/);
+    assert.match(check('INTC trades at $31.00.').rejected[0].reasons[0], /matches no price/);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.HTTP_CACHE = 'off';
+delete process.env.FIXTURES_DIR;
+const { createScheduler, fetchAll } = require('../lib/fetch-scheduler');
+const { fetchJson } = require('../lib/http');
+
+const FAST = { rate: 1000, burst: 1000, baseDelayMs: 1, maxDelayMs: 5 };
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function httpError(status, retryAfter = null) {
+    return Object.assign(new Error(`HTTP ${status}`), { status, retryAfter });
+}
+
+test('no more tasks run at once than the concurrency allows', async () => {
+    const scheduler = createScheduler({ ...FAST, concurrency: 2 });
+    let active = 0;
+    let peak = 0;
+    const results = await Promise.all([1, 2, 3, 4, 5].map(n => scheduler.run(async () => {
+        peak = Math.max(peak, ++active);
+        await sleep(10);
+        active--;
+        return n;
+    })));
+    assert.deepStrictEqual(results, [1, 2, 3, 4, 5]);
+    assert.strictEqual(peak, 2);
+});
+
+test('requests beyond the burst wait for the token bucket to refill', async () => {
+    const scheduler = createScheduler({ ...FAST, rate: 20, burst: 1 });
+    const started = Date.now();
+    await Promise.all([1, 2, 3].map(() => scheduler.run(async () => null)));
+    // Two refills at 20 per second
+    assert.ok(Date.now() - started >= 90);
+});
+
+test('429 and 5xx answers are retried with backoff, client errors are not', async () => {
+    const scheduler = createScheduler({ ...FAST, retries: 3 });
+    let calls = 0;
+    const value = await scheduler.run(async () => {
+        if (++calls < 3) throw httpError(calls === 1 ? 503 : 429);
+        return 'ok';
+    });
+    assert.strictEqual(value, 'ok');
+    assert.strictEqual(scheduler.stats.retries, 2);
+
+    calls = 0;
+    await assert.rejects(scheduler.run(async () => {
+        calls++;
+        throw httpError(404);
+    }), { status: 404 });
+    assert.strictEqual(calls, 1);
+
+    calls = 0;
+    await assert.rejects(scheduler.run(async () => {
+        calls++;
+        throw httpError(500);
+    }), { status: 500 });
+    assert.strictEqual(calls, 4);
+    assert.strictEqual(scheduler.stats.failures, 2);
+});
+
+test('transport errors are retried, other errors without a status are not', async () => {
+    const scheduler = createScheduler({ ...FAST, retries: 3 });
+    const failures = [
+        new TypeError('fetch failed', { cause: Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' }) }),
+        Object.assign(new Error('connect ETIMEDOUT'), { code: 'ETIMEDOUT' }),
+        new DOMException('This operation was aborted', 'AbortError')
+    ];
+    let calls = 0;
+    assert.strictEqual(await scheduler.run(async () => {
+        if (calls < failures.length) throw failures[calls++];
+        return 'ok';
+    }), 'ok');
+    assert.strictEqual(scheduler.stats.retries, 3);
+
+    calls = 0;
+    await assert.rejects(scheduler.run(async () => {
+        calls++;
+        throw new SyntaxError('Unexpected token < in JSON');
+    }), SyntaxError);
+    assert.strictEqual(calls, 1);
+});
+
+test('a Retry-After header sets the wait before the next attempt, up to maxDelayMs', async () => {
+    const scheduler = createScheduler({ ...FAST, maxDelayMs: 1000, retries: 1 });
+    let calls = 0;
+    let started = Date.now();
+    await scheduler.run(async () => {
+        if (++calls === 1) throw httpError(429, 0.1);
+        return 'ok';
+    });
+    assert.ok(Date.now() - started >= 95);
+
+    // An hour-long Retry-After waits no longer than the backoff ceiling
+    const capped = createScheduler({ ...FAST, maxDelayMs: 20, retries: 1 });
+    calls = 0;
+    started = Date.now();
+    await capped.run(async () => {
+        if (++calls === 1) throw httpError(503, 3600);
+        return 'ok';
+    });
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('fetchAll lines results up with the items and reports the ones that failed', async () => {
+    const { results, failures } = await fetchAll(['A', 'B', 'C'], async (symbol) => {
+        if (symbol === 'B') throw new Error('boom');
+        return symbol === 'C' ? null : { symbol };
+    }, { label: 'test symbols' });
+    assert.deepStrictEqual(results, [{ symbol: 'A' }, null, null]);
+    assert.deepStrictEqual(failures, [{ key: 'B', reason: 'boom' }, { key: 'C', reason: 'no data' }]);
+});
+
+test('concurrent requests for the same URL share one round trip', async () => {
+    let calls = 0;
+    global.fetch = async () => {
+        calls++;
+        await sleep(10);
+        return Response.json({ ok: true });
+    };
+    const url = 'https://query1.finance.yahoo.com/v8/finance/chart/AAPL?interval=1d&range=1mo';
+    const [a, b] = await Promise.all([fetchJson(url), fetchJson(url)]);
+    assert.deepStrictEqual([a, b], [{ ok: true }, { ok: true }]);
+    assert.strictEqual(calls, 1);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const MODULES = ['fixtures', 'clock', 'http'].map(name => require.resolve(`../lib/${name}`));
+
+// The fixture mode is read when lib/fixtures.js loads, so each mode gets fresh modules
+function load(mode) {
+    process.env.FIXTURES_DIR = dir;
+    process.env.FIXTURES_MODE = mode;
+    MODULES.forEach(file => delete require.cache[file]);
+    return { http: require('../lib/http'), clock: require('../lib/clock') };
+}
+
+const QUOTE_URL = 'https://query1.finance.yahoo.com/v8/finance/chart/AAPL?interval=1d&range=1d';
+const MISSING_URL = 'https://query1.finance.yahoo.com/v8/finance/chart/NOPE?interval=1d&range=1d';
+
+test('recording saves every response and the clock, replaying serves them without the network', async () => {
+    global.fetch = async (url) => (url === QUOTE_URL
+        ? Response.json({ price: 101 })
+        : new Response('Not Found', { status: 404 }));
+
+    const recording = load('record');
+    assert.deepStrictEqual(await recording.http.fetchJson(QUOTE_URL), { price: 101 });
+    await assert.rejects(recording.http.fetchJson(MISSING_URL), { status: 404 });
+    const recorded = JSON.parse(fs.readFileSync(path.join(dir, 'clock.json'), 'utf8'));
+
+    global.fetch = async () => assert.fail('replay must not fetch');
+    const replaying = load('replay');
+    assert.deepStrictEqual(await replaying.http.fetchJson(QUOTE_URL), { price: 101 });
+    await assert.rejects(replaying.http.fetchJson(MISSING_URL), { status: 404 });
+    await assert.rejects(replaying.http.fetchJson(QUOTE_URL.replace('AAPL', 'MSFT')), /No recorded response/);
+
+    assert.strictEqual(replaying.clock.now().toISOString(), recorded.now);
+    assert.strictEqual(process.env.TZ, recorded.timeZone);
+});
+
+test('a replay draws the same random sequence every time', () => {
+    const draws = () => {
+        const { clock } = load('replay');
+        return [clock.random(), clock.random(), clock.random()];
+    };
+    const first = draws();
+    assert.deepStrictEqual(draws(), first);
+    assert.ok(first.every(value => value >= 0 && value < 1));
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'generator-'));
+process.env.BUILD_MANIFEST_DIR = path.join(dir, 'manifests');
+process.env.OUTPUT_DIR = path.join(dir, 'site');
+delete process.env.BUILD_FORCE;
+delete process.env.FIXTURES_DIR;
+const { build, createContext } = require('../lib/generator');
+const crypto = require('../generate-crypto');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('generate() fetches through the context provider and returns pages without writing them', async () => {
+    const requested = [];
+    const provider = {
+        async getQuotes(symbols) {
+            requested.push(...symbols);
+            return { 'BTC-USD': { price: 65000, change: 650, changePercent: 1, volume: 10 } };
+        }
+    };
+    const pages = await crypto.generate(createContext({ provider }));
+    assert.ok(requested.includes('BTC-USD'));
+    assert.deepStrictEqual(pages.map(page => page.path), ['crypto.html']);
+    assert.deepStrictEqual(pages[0].inputs.cryptos.map(c => c.symbol), ['BTC']);
+    assert.match(pages[0].content, /65,000\.00/);
+});
+
+test('build() writes what generate() returns and reports the counts', async () => {
+    const generate = async ({ provider }) => [{ path: 'page.html', inputs: { price: provider.price }, content: `<p>${provider.price}</p>` }];
+    const generatorFile = path.join(dir, 'generate-page.js');
+    fs.writeFileSync(generatorFile, '// page');
+
+    assert.deepStrictEqual(await build(generatorFile, generate, { provider: { price: 1 } }), { written: 1, unchanged: 0 });
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'site', 'page.html'), 'utf8'), '<p>1</p>');
+});
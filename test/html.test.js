@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { html, xml, raw, escape, jsonLd } = require('../lib/html');
+
+test('interpolated values are escaped unless they are html`` markup or raw()', () => {
+    const name = `AT&T <b>"Lowe's"</b>`;
+    assert.strictEqual(escape(name), 'AT&amp;T &lt;b&gt;&quot;Lowe&#39;s&quot;&lt;/b&gt;');
+    assert.strictEqual(String(html`<td title="${name}">${name}</td>`), `<td title="${escape(name)}">${escape(name)}</td>`);
+    assert.strictEqual(String(html`<ul>${['<a>', html`<li>b</li>`]}</ul>`), '<ul>&lt;a&gt;<li>b</li></ul>');
+    assert.strictEqual(String(html`<div>${raw('<p>trusted</p>')}</div>`), '<div><p>trusted</p></div>');
+    assert.strictEqual(String(raw(null)), '');
+    // Numbers and other values are stringified, then escaped
+    assert.strictEqual(String(html`${0} ${1.5} ${true}`), '0 1.5 true');
+});
+
+test('xml`` escapes feed text the same way', () => {
+    assert.strictEqual(String(xml`<title>${'S&P 500 <up>'}</title>`), '<title>S&amp;P 500 &lt;up&gt;</title>');
+});
+
+test('structured data cannot close its script block', () => {
+    const block = String(jsonLd({ name: '</script><script>alert(1)</script>', note: 'A & B\u2028' }));
+    assert.match(block, /^<script type="application\/ld\+json">/);
+    assert.strictEqual(block.match(/<\/script>/g).length, 1);
+    assert.ok(!block.includes('\u2028'));
+    const json = block.replace(/^<script[^>]*>/, '').replace(/<\/script>$/, '');
+    assert.deepStrictEqual(JSON.parse(json), { name: '</script><script>alert(1)</script>', note: 'A & B\u2028' });
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+delete process.env.SITE_ENV;
+delete process.env.SITE_CONFIG;
+const { site } = require('../lib/config');
+const { html, raw } = require('../lib/html');
+const { layout } = require('../lib/layout');
+const partials = require('../lib/partials');
+
+test('html`` joins arrays and drops null, undefined and false', () => {
+    const items = ['a', 'b'];
+    assert.strictEqual(String(html`<ul>${items.map(item => html`<li>${item}</li>`)}</ul>`), '<ul><li>a</li><li>b</li></ul>');
+    assert.strictEqual(String(html`${null}${undefined}${false}${0}`), '0');
+});
+
+test('the layout wraps a body in the shared head, nav and footer', () => {
+    const page = layout({
+        page: 'crypto',
+        title: 'Crypto',
+        description: 'Coins',
+        canonical: 'crypto.html',
+        accent: '#f7931a',
+        links: [{ href: '#top', label: 'Top' }],
+        footer: 'Prices delayed',
+        body: html`<p>body</p>`
+    });
+    assert.match(page, /<title>Crypto<\/title>/);
+    assert.match(page, new RegExp(`<link rel="canonical" href="${site.baseUrl}/crypto.html">`));
+    assert.match(page, /<body class="page-crypto" style="--accent: #f7931a">/);
+    assert.match(page, /<div class="page-links"><a href="#top">Top<\/a><\/div>/);
+    assert.match(page, /<main>\s*<p>body<\/p>\s*<\/main>/);
+    assert.match(page, /Prices delayed/);
+    assert.ok(page.includes(String(partials.headTags())));
+    // Optional parts leave no trace
+    assert.doesNotMatch(layout({ page: 'x', title: 't', description: 'd', body: '' }), /keywords|canonical|page-links|style="--accent/);
+});
+
+test('partials render their optional parts only when given', () => {
+    assert.doesNotMatch(String(partials.pageHeader({ title: 'T' })), /tagline|class="date"/);
+    assert.match(String(partials.pageHeader({ title: 'T', tagline: 'Tag', date: 'Today' })), /<p class="tagline">Tag<\/p>\s*<p class="date">Today<\/p>/);
+    assert.match(String(partials.card({ title: 'About', className: 'wide', body: raw('<p>x</p>') })), /<div class="card wide">\s*<h2>About<\/h2>\s*<p>x<\/p>/);
+    assert.match(String(partials.adSlot('top')), new RegExp(`data-ad-client="${site.ads.client}"`));
+    assert.strictEqual(String(partials.adSlot('nope')), '');
+    assert.strictEqual((String(partials.nav()).match(/<a /g) || []).length, partials.NAV_LINKS.length + 1);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.PRICE_STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'levels-'));
+const store = require('../lib/price-store');
+const { computeLevels, levelsFor, MIN_BARS } = require('../lib/levels');
+
+test.after(() => fs.rmSync(process.env.PRICE_STORE_DIR, { recursive: true, force: true }));
+
+// count weekday sessions ending on 2026-10-16 (a Friday), oldest first
+function sessions(count) {
+    const dates = [];
+    for (let d = new Date('2026-10-16T20:00:00Z'); dates.length < count; d = new Date(d.getTime() - 86400000)) {
+        if (d.getUTCDay() % 6) dates.unshift(d);
+    }
+    return dates;
+}
+
+function ohlcBars(count) {
+    return sessions(count).map((d, i) => ({ time: d.getTime(), open: 100 + i, high: 103 + i, low: 98 + i, close: 101 + i, volume: 1e6 }));
+}
+
+function closeOnly(bars) {
+    return bars.map(bar => ({ ...bar, open: bar.close, high: bar.close, low: bar.close, volume: 0, closeOnly: true }));
+}
+
+test('pivots come from the prior bar\'s range', () => {
+    const levels = computeLevels([{ date: '2026-10-16', high: 110, low: 100, close: 105 }], 104);
+    const byName = Object.fromEntries(levels.map(level => [level.name, level.price]));
+    assert.strictEqual(byName['Prior high'], 110);
+    assert.strictEqual(byName['Prior low'], 100);
+    assert.strictEqual(byName.Pivot, 105);
+    assert.strictEqual(byName['Pivot R1'], 110);
+    assert.strictEqual(byName['Pivot S1'], 100);
+});
+
+test('real OHLC history gives distinct support and resistance', () => {
+    store.recordBars('REAL', ohlcBars(30));
+    const levels = levelsFor('REAL', 130, { date: '2026-10-19' });
+    assert.ok(levels);
+    assert.strictEqual(levels.prior.date, '2026-10-16');
+    assert.ok(levels.prior.high > levels.prior.low);
+    assert.ok(levels.above.length && levels.below.length);
+    assert.ok(levels.above.every(level => level.price > 130) && levels.below.every(level => level.price < 130));
+});
+
+test('close-only history gives no levels', () => {
+    store.recordBars('SPARK', closeOnly(ohlcBars(30)));
+    assert.strictEqual(levelsFor('SPARK', 130, { date: '2026-10-19' }), null);
+});
+
+test('a close-only prior session gives no levels', () => {
+    const bars = ohlcBars(30);
+    store.recordBars('STALE', [...bars.slice(0, -1), ...closeOnly(bars.slice(-1))]);
+    assert.strictEqual(levelsFor('STALE', 130, { date: '2026-10-19' }), null);
+});
+
+test('too few real bars give no levels', () => {
+    const bars = ohlcBars(30);
+    store.recordBars('SHORT', [...closeOnly(bars.slice(0, 30 - MIN_BARS + 1)), ...bars.slice(30 - MIN_BARS + 1)]);
+    assert.strictEqual(levelsFor('SHORT', 130, { date: '2026-10-19' }), null);
+    store.recordBars('ENOUGH', [...closeOnly(bars.slice(0, 30 - MIN_BARS)), ...bars.slice(30 - MIN_BARS)]);
+    assert.ok(levelsFor('ENOUGH', 130, { date: '2026-10-19' }));
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const calendar = require('../lib/market-calendar');
+const { atET, sessionAt, sessionsOn, zoneName } = require('../lib/market-session');
+
+test('holidays follow the exchange rules, observed days and one-off closures included', () => {
+    assert.deepStrictEqual(calendar.holidays(2025).map(h => h.date), [
+        '2025-01-01', '2025-01-09', '2025-01-20', '2025-02-17', '2025-04-18', '2025-05-26',
+        '2025-06-19', '2025-07-04', '2025-09-01', '2025-11-27', '2025-12-25'
+    ]);
+    // Independence Day on a Saturday is observed the Friday before
+    assert.strictEqual(calendar.holidayName('2026-07-03'), 'Independence Day');
+    // New Year's Day on a Saturday is not observed, Dec 31 trades
+    assert.ok(!calendar.holidays(2022).some(h => h.name === "New Year's Day"));
+    assert.ok(calendar.isTradingDay('2021-12-31'));
+});
+
+test('early closes fall on July 3, the day after Thanksgiving and Christmas Eve', () => {
+    assert.deepStrictEqual(calendar.earlyCloses(2025).map(e => e.date), ['2025-07-03', '2025-11-28', '2025-12-24']);
+    // July 3 2026 is the observed holiday, so it doesn't close early
+    assert.deepStrictEqual(calendar.earlyCloses(2026).map(e => e.date), ['2026-11-27', '2026-12-24']);
+    assert.deepStrictEqual(calendar.sessionHours('2025-11-28'), { open: '09:30', close: '13:00', earlyClose: true });
+    assert.strictEqual(calendar.sessionHours('2025-12-25'), null);
+});
+
+test('session boundaries are New York wall-clock times across DST switches', () => {
+    // Daylight time starts on 2026-03-08 and ends on 2026-11-01
+    assert.strictEqual(atET('2026-03-06', '09:30').toISOString(), '2026-03-06T14:30:00.000Z');
+    assert.strictEqual(atET('2026-03-09', '09:30').toISOString(), '2026-03-09T13:30:00.000Z');
+    assert.strictEqual(atET('2026-11-02', '09:30').toISOString(), '2026-11-02T14:30:00.000Z');
+    assert.strictEqual(zoneName(new Date('2026-03-09T15:00:00Z')), 'EDT');
+    assert.strictEqual(zoneName(new Date('2026-11-02T15:00:00Z')), 'EST');
+
+    assert.strictEqual(sessionAt(new Date('2026-03-09T13:29:00Z')).session, 'pre');
+    assert.strictEqual(sessionAt(new Date('2026-03-09T13:30:00Z')).session, 'regular');
+    assert.strictEqual(sessionAt(new Date('2026-11-02T14:29:00Z')).session, 'pre');
+});
+
+test('an early close ends the regular session at 1:00 PM and after hours at 5:00 PM', () => {
+    const [, regular, post] = sessionsOn('2025-11-28');
+    assert.strictEqual(regular.endsAt.toISOString(), '2025-11-28T18:00:00.000Z');
+    assert.strictEqual(post.endsAt.toISOString(), '2025-11-28T22:00:00.000Z');
+    assert.strictEqual(sessionAt(new Date('2025-11-28T18:30:00Z')).session, 'post');
+    assert.strictEqual(sessionAt(new Date('2025-11-28T22:30:00Z')).session, 'closed');
+});
+
+test('a holiday is closed all day and the next open skips it', () => {
+    assert.deepStrictEqual(sessionsOn('2025-12-25'), []);
+    const state = sessionAt(new Date('2025-12-25T15:00:00Z'));
+    assert.strictEqual(state.session, 'closed');
+    assert.strictEqual(state.nextOpen.toISOString(), '2025-12-26T14:30:00.000Z');
+    // Good Friday into the weekend: next open is Monday
+    assert.strictEqual(sessionAt(new Date('2025-04-18T15:00:00Z')).nextOpen.toISOString(), '2025-04-21T13:30:00.000Z');
+});
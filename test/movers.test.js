@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isLiquid, discoverMovers, rankMovers } = require('../lib/movers');
+const { parseScreener } = require('../lib/data-provider');
+
+function quote(symbol, overrides = {}) {
+    return { symbol, quoteType: 'EQUITY', price: 50, volume: 2e6, marketCap: 5e9, changePercent: 5, ...overrides };
+}
+
+// Discovery logs its counts and warns about missing endpoints
+async function quietly(run) {
+    const { log, warn } = console;
+    console.log = console.warn = () => {};
+    try {
+        return await run();
+    } finally {
+        Object.assign(console, { log, warn });
+    }
+}
+
+test('only liquid US stocks qualify as movers', () => {
+    assert.strictEqual(isLiquid(quote('AAPL')), true);
+    assert.strictEqual(isLiquid(quote('PENNY', { price: 1.5 })), false);
+    assert.strictEqual(isLiquid(quote('THIN', { volume: 100000 })), false);
+    assert.strictEqual(isLiquid(quote('TINY', { marketCap: 50e6 })), false);
+    assert.strictEqual(isLiquid(quote('SPY', { quoteType: 'ETF' })), false);
+    assert.strictEqual(isLiquid(quote('TINY', { marketCap: 50e6 }), { minPrice: 0, minVolume: 0, minMarketCap: 0 }), true);
+});
+
+test('screens and trending tickers are merged, quoting only the trending symbols no screen returned', async () => {
+    const quoted = [];
+    const provider = {
+        async getScreener(id) {
+            if (id === 'most_actives') throw new Error('HTTP 503');
+            return id === 'day_gainers'
+                ? { UP: quote('UP', { changePercent: 12 }), PENNY: quote('PENNY', { price: 0.5 }) }
+                : { DOWN: quote('DOWN', { changePercent: -9 }) };
+        },
+        async getTrending() {
+            return ['UP', 'HOT', 'WARRANT'];
+        },
+        async getQuotes(symbols) {
+            quoted.push(...symbols);
+            return { HOT: quote('HOT'), WARRANT: quote('WARRANT', { volume: 1000 }) };
+        }
+    };
+
+    const movers = await quietly(() => discoverMovers(provider));
+    assert.deepStrictEqual(movers.map(q => q.symbol).sort(), ['DOWN', 'HOT', 'UP']);
+    assert.deepStrictEqual(quoted, ['HOT', 'WARRANT']);
+});
+
+test('discovery comes back empty rather than failing when every endpoint is down', async () => {
+    const down = async () => { throw new Error('offline'); };
+    assert.deepStrictEqual(await quietly(() => discoverMovers({ getScreener: down, getTrending: down, getQuotes: down })), []);
+});
+
+test('a predefined screen response is read as quote rows', () => {
+    const quotes = parseScreener({
+        finance: { result: [{ quotes: [{ symbol: 'UP', regularMarketPrice: 11, regularMarketPreviousClose: 10, regularMarketVolume: 9e6, quoteType: 'EQUITY' }] }] }
+    });
+    assert.deepStrictEqual(Object.keys(quotes), ['UP']);
+    assert.strictEqual(quotes.UP.changePercent, 10);
+    assert.deepStrictEqual(parseScreener({ finance: { result: [] } }), {});
+});
+
+test('movers rank by the regular session unless the clock is in an extended one', () => {
+    const stocks = [
+        quote('UP', { changePercent: 4, volume: 1e6 }),
+        quote('DOWN', { changePercent: -6, volume: 9e6 }),
+        quote('FLAT', { changePercent: 0, volume: 5e6 })
+    ];
+    const extended = {
+        UP: { session: 'pre', gapPercent: -2, volume: 300 },
+        DOWN: { session: 'pre', gapPercent: 3, volume: 100 },
+        // Last night's after-hours trade, still the newest the provider has
+        FLAT: { session: 'post', gapPercent: 9, volume: 900 }
+    };
+    const symbols = list => list.map(stock => stock.symbol);
+
+    const regular = rankMovers(stocks, { extended, session: null });
+    assert.deepStrictEqual(symbols(regular.gainers), ['UP']);
+    assert.deepStrictEqual(symbols(regular.decliners), ['DOWN']);
+    assert.deepStrictEqual(symbols(regular.active), ['DOWN', 'FLAT', 'UP']);
+    assert.ok(regular.ranked.every(stock => stock.extended === null));
+
+    const pre = rankMovers(stocks, { extended, session: 'pre' });
+    assert.deepStrictEqual(symbols(pre.ranked), ['UP', 'DOWN']);
+    assert.deepStrictEqual(symbols(pre.gainers), ['DOWN']);
+    assert.deepStrictEqual(symbols(pre.decliners), ['UP']);
+    assert.deepStrictEqual(symbols(pre.active), ['UP', 'DOWN']);
+    assert.strictEqual(pre.gainers[0].extended, extended.DOWN);
+
+    assert.deepStrictEqual(symbols(rankMovers(stocks, { count: 1 }).active), ['DOWN']);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feeds-'));
+process.env.NEWS_FEEDS_DIR = dir;
+const { parseFeed, collectNews, headlineFor } = require('../lib/news');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const hoursAgo = hours => new Date(Date.now() - hours * 3600000);
+
+function rss(items) {
+    return `<?xml version="1.0"?><rss version="2.0"><channel>${items.map(item => `
+        <item><title>${item.title}</title><link>${item.link}</link>${item.date ? `<pubDate>${item.date.toUTCString()}</pubDate>` : ''}
+        <description>${item.description || ''}</description></item>`).join('')}
+    </channel></rss>`;
+}
+
+test('RSS and Atom items are normalised, and only web links kept', () => {
+    const items = parseFeed(rss([
+        { title: 'Stocks &amp; bonds rally', link: 'https://example.com/a', date: new Date('2026-10-19T12:00:00Z'), description: '<p>Broad <b>gains</b></p>' },
+        { title: 'Undated', link: 'https://example.com/b' },
+        { title: 'Script', link: 'javascript:alert(1)' }
+    ]), { name: 'Wire' });
+    assert.deepStrictEqual(items.map(item => [item.title, item.summary, item.time, item.category]), [
+        ['Stocks & bonds rally', 'Broad gains', Date.parse('2026-10-19T12:00:00Z'), 'Markets'],
+        ['Undated', '', null, 'Markets']
+    ]);
+
+    const atom = parseFeed(`<feed xmlns="http://www.w3.org/2005/Atom"><entry><id>x1</id><title>Apple beats</title>
+        <link rel="self" href="https://example.com/self"/><link rel="alternate" href="https://example.com/apple"/>
+        <updated>2026-10-19T12:00:00Z</updated><summary>Quarter</summary></entry></feed>`, { name: 'Atom', category: 'Tech' }, 'AAPL');
+    assert.deepStrictEqual(atom.map(item => [item.id, item.url, item.category, item.symbols]), [['x1', 'https://example.com/apple', 'Tech', ['AAPL']]]);
+});
+
+test('general feeds are tagged by ticker or company name, copies merged and old items dropped', async () => {
+    const yahooTime = Math.floor(hoursAgo(1.5).getTime() / 1000) * 1000;
+    fs.writeFileSync(path.join(dir, 'wire.xml'), rss([
+        { title: 'Apple shares climb after upgrade', link: 'https://example.com/apple?utm_source=rss', date: hoursAgo(1) },
+        { title: 'Fed holds rates', link: 'https://example.com/fed', date: hoursAgo(2) },
+        { title: 'AAPL last week', link: 'https://example.com/old', date: hoursAgo(200) }
+    ]));
+    const provider = {
+        getNews: async symbol => (symbol === 'AAPL'
+            ? [{ id: 'y1', title: 'Apple shares climb after upgrade', url: 'https://example.com/apple', source: 'Yahoo', time: yahooTime }]
+            : [])
+    };
+
+    const items = await collectNews(provider, [{ symbol: 'AAPL', name: 'Apple Inc' }, 'MSFT'], { feeds: [{ name: 'Wire' }], maxAgeHours: 48 });
+    assert.deepStrictEqual(items.map(item => [item.title, item.symbols]), [
+        ['Apple shares climb after upgrade', ['AAPL']],
+        ['Fed holds rates', []]
+    ]);
+    // The copy without tracking parameters, from the earliest time either source gave
+    assert.strictEqual(items[0].url, 'https://example.com/apple');
+    assert.strictEqual(items[0].time, yahooTime);
+});
+
+test('the headline for a stock prefers one naming it with a catalyst', () => {
+    const at = Date.now();
+    const items = [
+        { title: 'Tech stocks drift', symbols: ['AAPL', 'MSFT', 'NVDA'], time: at },
+        { title: 'Apple earnings beat estimates', symbols: ['AAPL'], time: at - 3600000 },
+        { title: 'Microsoft signs cloud deal', symbols: ['MSFT'], time: at }
+    ];
+    assert.strictEqual(headlineFor(items, 'AAPL', { name: 'Apple Inc', maxAgeHours: 48 }).title, 'Apple earnings beat estimates');
+    assert.strictEqual(headlineFor(items, 'TSLA', { maxAgeHours: 48 }), null);
+});
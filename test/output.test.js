@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'output-'));
+process.env.BUILD_MANIFEST_DIR = path.join(dir, 'manifests');
+process.env.OUTPUT_DIR = path.join(dir, 'site');
+delete process.env.BUILD_FORCE;
+delete process.env.FIXTURES_DIR;
+const { createPageWriter, writePages } = require('../lib/output');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const generator = path.join(dir, 'generate-test.js');
+const page = path.join(dir, 'site', 'page.html');
+
+// A writer as the next build would create it, with the last build's manifest saved
+function nextBuild(previous) {
+    previous?.save();
+    return createPageWriter(generator);
+}
+
+test('a page is only rendered again when its inputs, its file or the generator change', () => {
+    fs.writeFileSync(generator, '// v1');
+    let renders = 0;
+    const render = () => `<p>${++renders}</p>`;
+
+    let writer = nextBuild();
+    assert.strictEqual(writer.write(page, { price: 1 }, render), true);
+    assert.strictEqual(fs.readFileSync(page, 'utf8'), '<p>1</p>');
+
+    writer = nextBuild(writer);
+    assert.strictEqual(writer.write(page, { price: 1 }, render), false);
+    assert.strictEqual(renders, 1);
+    assert.deepStrictEqual(writer.counts, { written: 0, unchanged: 1 });
+
+    writer = nextBuild(writer);
+    assert.strictEqual(writer.write(page, { price: 2 }, render), true);
+
+    fs.rmSync(page);
+    writer = nextBuild(writer);
+    assert.strictEqual(writer.write(page, { price: 2 }, render), true);
+
+    // A template change rebuilds pages whose data is the same
+    fs.writeFileSync(generator, '// v2');
+    writer = nextBuild(writer);
+    assert.strictEqual(writer.write(page, { price: 2 }, render), true);
+    assert.strictEqual(fs.readFileSync(page, 'utf8'), `<p>${renders}</p>`);
+});
+
+test('writePages skips unchanged pages and compares pages without inputs by content', () => {
+    const other = path.join(dir, 'generate-other.js');
+    fs.writeFileSync(other, '// other');
+    const pages = (price, note) => [
+        { path: 'quote.html', inputs: { price }, content: `<p>${price} ${note}</p>` },
+        { path: 'static.html', content: `<p>${note}</p>` }
+    ];
+
+    assert.deepStrictEqual(writePages(other, pages(1, 'a')), { written: 2, unchanged: 0 });
+    // The quote page's inputs didn't change, so its stale note stays
+    assert.deepStrictEqual(writePages(other, pages(1, 'b')), { written: 1, unchanged: 1 });
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'site', 'quote.html'), 'utf8'), '<p>1 a</p>');
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'site', 'static.html'), 'utf8'), '<p>b</p>');
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.PRICE_STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'price-store-'));
+const store = require('../lib/price-store');
+
+const DAY = 86400000;
+const bar = (date, close, extra = {}) => ({ time: Date.parse(`${date}T20:00:00Z`), open: close - 1, high: close + 1, low: close - 2, close, volume: 1000, ...extra });
+
+test.after(() => fs.rmSync(process.env.PRICE_STORE_DIR, { recursive: true, force: true }));
+
+test('close-only bars keep their mark through the store', () => {
+    store.recordBars('MARK', [bar('2026-10-14', 10), bar('2026-10-15', 11, { open: 11, high: 11, low: 11, volume: 0, closeOnly: true })]);
+    assert.deepStrictEqual(store.bars('MARK').map(b => !!b.closeOnly), [false, true]);
+});
+
+test('spark bars stored before the mark existed are loaded as close-only', () => {
+    const line = { date: '2026-10-15', time: Date.parse('2026-10-15T20:00:00Z'), open: 5, high: 5, low: 5, close: 5, volume: 0, source: 'chart' };
+    fs.writeFileSync(path.join(process.env.PRICE_STORE_DIR, 'OLD.jsonl'), JSON.stringify(line) + '\n');
+    assert.strictEqual(store.latest('OLD').closeOnly, true);
+});
+
+test('a quote without a day range is stored as close-only', () => {
+    store.recordQuote({ symbol: 'SNAP1', price: 20, volume: 10, time: Date.parse('2026-10-16T20:00:00Z') });
+    store.recordQuote({ symbol: 'SNAP2', price: 20, open: 19, dayHigh: 21, dayLow: 18, volume: 10, time: Date.parse('2026-10-16T20:00:00Z') });
+    assert.strictEqual(store.latest('SNAP1').closeOnly, true);
+    assert.strictEqual(store.latest('SNAP2').closeOnly, undefined);
+});
+
+test('backfill reads the per-symbol chart, never the close-only batch', async () => {
+    const requested = [];
+    const provider = {
+        async getHistory(symbol, { range }) {
+            requested.push([symbol, range]);
+            return { symbol, bars: [0, 1, 2].map(i => bar(new Date(Date.parse('2026-10-12') + i * DAY).toISOString().slice(0, 10), 100 + i)) };
+        },
+        async getHistories() {
+            throw new Error('getHistories must not be used for backfill');
+        }
+    };
+    const written = await store.topUp(provider, ['FILLA', 'FILLB'], { range: '1mo' });
+    assert.strictEqual(written, 6);
+    assert.deepStrictEqual(requested, [['FILLA', '1mo'], ['FILLB', '1mo']]);
+    assert.deepStrictEqual(store.bars('FILLA').map(b => [b.date, b.high, b.low]), [['2026-10-12', 101, 98], ['2026-10-13', 102, 99], ['2026-10-14', 103, 100]]);
+});
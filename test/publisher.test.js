@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'publisher-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+Object.assign(process.env, {
+    GIT_AUTHOR_NAME: 'test', GIT_AUTHOR_EMAIL: 'test@example.com',
+    GIT_COMMITTER_NAME: 'test', GIT_COMMITTER_EMAIL: 'test@example.com'
+});
+
+const git = (args, cwd) => execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+const write = (file, content) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+};
+const quiet = () => {};
+
+// A checkout with a bare origin; the publisher works on the repo it lives in, so lib/ and its config are copied in
+const remote = path.join(dir, 'origin.git');
+const work = path.join(dir, 'work');
+const site = path.join(dir, 'dist');
+git(['init', '-q', '--bare', '-b', 'main', remote], dir);
+git(['clone', '-q', remote, work], dir);
+fs.cpSync(path.join(__dirname, '..', 'lib'), path.join(work, 'lib'), { recursive: true });
+fs.copyFileSync(path.join(__dirname, '..', 'site.config.json'), path.join(work, 'site.config.json'));
+write(path.join(work, 'README.md'), 'source\n');
+git(['add', '-A'], work);
+git(['commit', '-qm', 'source'], work);
+git(['push', '-q', 'origin', 'HEAD:main'], work);
+const { publish, expand } = require(path.join(work, 'lib', 'publisher.js'));
+
+const options = { remote: 'origin', dir: path.join(dir, 'publish'), siteDir: site, retries: 2, retryDelay: 1, log: quiet };
+const PATHS = ['archive/*.html', 'stock/*.html'];
+
+test('expand lists the files a glob matches', () => {
+    write(path.join(site, 'stock', 'A.html'), 'a');
+    write(path.join(site, 'stock', 'notes.txt'), 'n');
+    assert.deepStrictEqual(expand(['stock/*.html', 'missing/*.html'], site), ['stock/A.html']);
+});
+
+test('commit mode commits only the archive and rebases onto a remote that moved', async () => {
+    write(path.join(work, 'archive', '2026-10-19.html'), 'brief');
+    write(path.join(work, 'stock', 'A.html'), 'stray');
+
+    // Someone else pushes meanwhile, so the first push is rejected
+    const other = path.join(dir, 'other');
+    git(['clone', '-q', remote, other], dir);
+    write(path.join(other, 'CHANGELOG.md'), 'theirs\n');
+    git(['add', '-A'], other);
+    git(['commit', '-qm', 'theirs'], other);
+    git(['push', '-q', 'origin', 'HEAD:main'], other);
+
+    const result = await publish({ paths: PATHS, message: 'pages', mode: 'commit', ...options });
+    assert.deepStrictEqual(result, { mode: 'commit', committed: true, pushed: true });
+    assert.deepStrictEqual(git(['show', '--name-only', '--format=', 'origin/main'], work).split('\n'), ['archive/2026-10-19.html']);
+    assert.strictEqual(git(['show', 'origin/main:CHANGELOG.md'], work), 'theirs');
+    // Pages that only belong in the output root stay out of the source branch
+    assert.match(git(['status', '--porcelain'], work), /\?\? stock\//);
+
+    const again = await publish({ paths: PATHS, message: 'pages', mode: 'commit', ...options });
+    assert.deepStrictEqual(again, { mode: 'commit', committed: false, pushed: false });
+});
+
+test('commit mode aborts and reports a rebase that conflicts with someone else\'s edit', async () => {
+    const other = path.join(dir, 'other');
+    git(['pull', '-q', 'origin', 'main'], other);
+    write(path.join(other, 'archive', '2026-10-20.html'), 'edited by hand');
+    git(['add', '-A'], other);
+    git(['commit', '-qm', 'hand edit'], other);
+    git(['push', '-q', 'origin', 'HEAD:main'], other);
+
+    write(path.join(work, 'archive', '2026-10-20.html'), 'brief');
+    const logged = [];
+    const result = await publish({ paths: PATHS, message: 'pages', mode: 'commit', ...options, log: line => logged.push(line) });
+    assert.deepStrictEqual(result, { mode: 'commit', committed: true, pushed: false });
+    assert.strictEqual(git(['show', 'origin/main:archive/2026-10-20.html'], work), 'edited by hand');
+    assert.ok(logged.some(line => /aborted, conflicts in archive\/2026-10-20\.html/.test(line)));
+    // The rebase is undone and our commit kept for the next cycle
+    assert.ok(!fs.existsSync(path.join(work, '.git', 'rebase-merge')));
+    assert.strictEqual(fs.readFileSync(path.join(work, 'archive', '2026-10-20.html'), 'utf8'), 'brief');
+});
+
+test('branch mode publishes the output root into the publish branch and leaves the source branch alone', async () => {
+    const head = git(['rev-parse', 'HEAD'], work);
+    write(path.join(site, 'stock', 'B.html'), 'b');
+
+    const result = await publish({ paths: ['stock/*.html'], message: 'site', mode: 'branch', branch: 'gh-pages', ...options });
+    assert.deepStrictEqual(result, { mode: 'branch', committed: true, pushed: true });
+    assert.strictEqual(git(['rev-parse', 'HEAD'], work), head);
+    assert.deepStrictEqual(git(['ls-tree', '-r', '--name-only', 'gh-pages'], remote).split('\n'), ['stock/A.html', 'stock/B.html']);
+
+    // A removed output is removed from the branch too
+    fs.rmSync(path.join(site, 'stock', 'A.html'));
+    await publish({ paths: ['stock/*.html'], message: 'site', mode: 'branch', branch: 'gh-pages', ...options });
+    assert.deepStrictEqual(git(['ls-tree', '-r', '--name-only', 'gh-pages'], remote).split('\n'), ['stock/B.html']);
+});
+
+test('none and empty output lists publish nothing', async () => {
+    assert.deepStrictEqual(await publish({ paths: PATHS, message: 'x', mode: 'none', log: quiet }), { mode: 'none', committed: false, pushed: false });
+    assert.deepStrictEqual(await publish({ paths: [], message: 'x', mode: 'commit', log: quiet }), { mode: 'commit', committed: false, pushed: false });
+});
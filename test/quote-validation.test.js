@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quarantine-'));
+process.env.QUARANTINE_DIR = dir;
+delete process.env.QUOTE_VALIDATION;
+const { validateQuote, validateExtended, createValidator, withValidation } = require('../lib/quote-validation');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Monday 2026-10-19, 3pm ET: the session of the day is open
+const AT = new Date('2026-10-19T19:00:00Z');
+
+function quote(overrides = {}) {
+    return { symbol: 'AAPL', price: 102, previousClose: 100, change: 2, changePercent: 2, volume: 1000, time: AT.getTime() - 60000, ...overrides };
+}
+
+const checks = q => validateQuote(q, { at: AT }).map(issue => issue.check);
+
+test('a sane quote passes every check', () => {
+    assert.deepStrictEqual(validateQuote(quote(), { at: AT }), []);
+});
+
+test('each check flags its own kind of bad quote', () => {
+    assert.deepStrictEqual(checks(quote({ price: 0 })), ['price']);
+    assert.deepStrictEqual(checks(quote({ previousClose: 0, changePercent: Infinity })), ['price', 'move']);
+    assert.deepStrictEqual(checks(quote({ time: null })), ['stale']);
+    // Friday's close on Monday afternoon
+    assert.deepStrictEqual(checks(quote({ time: Date.parse('2026-10-16T20:00:00Z') })), ['stale']);
+    assert.deepStrictEqual(checks(quote({ price: 200, change: 100, changePercent: 100 })), ['move']);
+    assert.deepStrictEqual(checks(quote({ volume: 0 })), ['volume']);
+    assert.deepStrictEqual(checks(quote({ change: 5 })), ['previous-close']);
+    assert.deepStrictEqual(checks(quote({ change: undefined, changePercent: 3 })), ['previous-close']);
+});
+
+test('bounds and staleness follow the asset class', () => {
+    // An index has a tighter move bound and needs no volume
+    assert.deepStrictEqual(checks(quote({ symbol: '^GSPC', price: 115, change: 15, changePercent: 15, volume: 0 })), ['move']);
+    // Crypto trades through the weekend, so age is measured in hours
+    const btc = quote({ symbol: 'BTC-USD', volume: 0 });
+    assert.deepStrictEqual(checks(btc), []);
+    assert.deepStrictEqual(checks({ ...btc, time: AT.getTime() - 4 * 3600000 }), ['stale']);
+    // Before the open (plus its grace period) yesterday's session is still current
+    assert.deepStrictEqual(validateQuote(quote({ time: Date.parse('2026-10-16T20:00:00Z') }), { at: new Date('2026-10-19T13:45:00Z') }), []);
+});
+
+test('enforce mode quarantines a bad quote once and leaves it out', async () => {
+    const validator = createValidator({ mode: 'enforce' });
+    const fresh = { time: Date.now() };
+    const provider = withValidation({
+        async getQuote(symbol) { return quote({ symbol, ...fresh }); },
+        async getQuotes(symbols) {
+            return Object.fromEntries(symbols.map(symbol => [symbol, quote({ symbol, ...fresh, price: symbol === 'BAD' ? -1 : 102 })]));
+        }
+    }, validator);
+
+    assert.deepStrictEqual(Object.keys(await provider.getQuotes(['AAPL', 'BAD', 'MSFT'])), ['AAPL', 'MSFT']);
+    assert.deepStrictEqual(Object.keys(await provider.getQuotes(['BAD'])), []);
+    assert.strictEqual((await provider.getQuote('AAPL')).price, 102);
+
+    const { checked, quarantined } = validator.summary();
+    assert.strictEqual(checked, 3);
+    assert.deepStrictEqual(Object.keys(quarantined), ['BAD']);
+    assert.match(validator.formatReport(), /3 symbols checked, 1 quarantined\n\s+⚠️ BAD\s+price: price is -1/);
+
+    const [file] = fs.readdirSync(dir);
+    const entries = fs.readFileSync(path.join(dir, file), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(entries.map(entry => [entry.symbol, entry.mode]), [['BAD', 'enforce']]);
+});
+
+test('warn mode reports but publishes, off skips the checks', () => {
+    const warn = createValidator({ mode: 'warn' });
+    const bad = quote({ symbol: 'WARN', price: 0 });
+    assert.strictEqual(warn.check(bad), bad);
+    assert.match(warn.formatReport(), /1 flagged \(warn mode, still published\)/);
+
+    const off = createValidator({ mode: 'off' });
+    assert.strictEqual(off.check(bad), bad);
+    assert.strictEqual(off.formatReport(), '🧪 Quote validation off');
+    assert.strictEqual(off.summary().checked, 0);
+});
+
+test('an extended-hours quote is checked and quarantined on its own', async () => {
+    const pre = { symbol: 'AAPL', session: 'pre', price: 103, priorClose: 100, gap: 3, gapPercent: 3, volume: 0, time: AT.getTime() };
+    // Thin pre-market volume is no error
+    assert.deepStrictEqual(validateExtended(pre, { at: AT }), []);
+    assert.deepStrictEqual(validateExtended({ ...pre, price: 250, gapPercent: 150 }, { at: AT }).map(issue => issue.message), ['gap of 150.00% is beyond the 75% bound for equity']);
+
+    const validator = createValidator({ mode: 'enforce' });
+    const provider = withValidation({
+        async getQuote(symbol) { return quote({ symbol, time: Date.now() }); },
+        async getExtendedQuotes(symbols) {
+            return Object.fromEntries(symbols.map(symbol => [symbol, { ...pre, symbol, time: Date.now(), price: symbol === 'MSFT' ? 0 : 103 }]));
+        }
+    }, validator);
+    assert.deepStrictEqual(Object.keys(await provider.getExtendedQuotes(['AAPL', 'MSFT'])), ['AAPL']);
+    assert.deepStrictEqual(Object.keys(validator.summary().quarantined), ['MSFT pre']);
+    // The regular quote of the same symbol is still good
+    assert.strictEqual((await provider.getQuote('MSFT')).price, 102);
+});
+
+test('a history whose latest quote fails keeps its bars for the price store', async () => {
+    const validator = createValidator({ mode: 'enforce' });
+    const bars = [{ time: Date.parse('2026-10-15T20:00:00Z'), open: 99, high: 101, low: 98, close: 100, volume: 10 }];
+    const history = symbol => ({ ...quote({ symbol, time: Date.now(), price: symbol === 'STALE' ? 0 : 102 }), bars });
+    const provider = withValidation({
+        async getHistory(symbol) { return history(symbol); },
+        async getHistories(symbols) { return Object.fromEntries(symbols.map(symbol => [symbol, history(symbol)])); }
+    }, validator);
+
+    assert.deepStrictEqual(await provider.getHistory('STALE'), { symbol: 'STALE', bars });
+    const histories = await provider.getHistories(['AAPL', 'STALE']);
+    assert.deepStrictEqual(Object.keys(histories), ['AAPL', 'STALE']);
+    assert.strictEqual(histories.AAPL.price, 102);
+    assert.deepStrictEqual(histories.STALE, { symbol: 'STALE', bars });
+    assert.deepStrictEqual(Object.keys(validator.summary().quarantined), ['STALE']);
+});
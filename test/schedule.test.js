@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toET } = require('../lib/market-calendar');
+const { compile, isDue, nextRun } = require('../lib/schedule');
+
+const et = iso => toET(new Date(iso));
+
+test('cron fields accept lists, ranges and steps and reject bad entries', () => {
+    const [job] = compile([{ name: 'quarter', cron: '*/15 9-16 * * 1-5' }]);
+    assert.ok(isDue(job, et('2026-10-19T13:45:00Z')));
+    assert.ok(!isDue(job, et('2026-10-19T13:50:00Z')));
+    // Saturday
+    assert.ok(!isDue(job, et('2026-10-17T13:45:00Z')));
+
+    assert.throws(() => compile([{ name: 'bad', cron: '61 * * * *' }]), /Job "bad": Invalid minute "61"/);
+    assert.throws(() => compile([{ name: 'short', cron: '0 4 * *' }]), /expected 5 fields/);
+    assert.throws(() => compile([{ name: 'days', cron: '0 4 * * *', days: 'sometimes' }]), /unknown days/);
+});
+
+test('session-relative entries follow early closes and skip holidays', () => {
+    const [job] = compile([{ name: 'close', cron: '@close+15' }]);
+    // 4:15 PM EST on a normal day, 1:15 PM EST the day after Thanksgiving
+    assert.ok(isDue(job, et('2025-11-26T21:15:00Z')));
+    assert.ok(isDue(job, et('2025-11-28T18:15:00Z')));
+    assert.ok(!isDue(job, et('2025-11-28T21:15:00Z')));
+    assert.ok(!isDue(job, et('2025-11-27T21:15:00Z')));
+});
+
+test('trading-day jobs run next on the first session after a holiday, in New York time', () => {
+    const [job] = compile([{ name: 'premarket', cron: '0 4 * * *', days: 'trading' }]);
+    // From Christmas Day, 4:00 AM EST on the 26th
+    assert.strictEqual(nextRun(job, new Date('2025-12-25T12:00:00Z')).toISOString(), '2025-12-26T09:00:00.000Z');
+    // Across the switch to daylight time, 4:00 AM EDT
+    assert.strictEqual(nextRun(job, new Date('2026-03-07T12:00:00Z')).toISOString(), '2026-03-09T08:00:00.000Z');
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { scoreSentiment } = require('../lib/sentiment');
+
+const factor = (result, key) => result.factors.find(f => f.key === key);
+
+test('with no data the gauge is neutral and every factor says so', () => {
+    const result = scoreSentiment({});
+    assert.deepStrictEqual([result.score, result.label, result.sentiment], [50, 'Neutral', 'neutral']);
+    assert.ok(result.factors.every(f => f.score === null && f.detail === 'no data'));
+});
+
+test('factors without data are left out and the weights rescaled', () => {
+    const result = scoreSentiment({ indices: [{ name: 'S&P 500', changePercent: 2 }, { name: 'Nasdaq', changePercent: 3 }] });
+    assert.strictEqual(factor(result, 'indices').score, 100);
+    assert.deepStrictEqual([result.score, result.label, result.sentiment], [100, 'Extreme greed', 'bullish']);
+});
+
+test('a high and rising VIX with falling indices reads as fear', () => {
+    const result = scoreSentiment({
+        indices: [{ name: 'S&P 500', changePercent: -1.2 }],
+        vix: { price: 35, changePercent: 20 },
+        breadth: [{ changePercent: -1 }, { changePercent: -2 }, { changePercent: 0.5 }, { changePercent: 0 }]
+    });
+    assert.strictEqual(factor(result, 'vix').score, 0);
+    assert.strictEqual(factor(result, 'breadth').score, 33);
+    assert.strictEqual(factor(result, 'breadth').detail, '1 advancing, 2 declining');
+    assert.strictEqual(result.sentiment, 'bearish');
+    assert.match(result.label, /fear/i);
+});
+
+test('wide sector dispersion pulls participation toward neutral', () => {
+    const narrow = scoreSentiment({ sectors: [{ name: 'A', changePercent: 0.5 }, { name: 'B', changePercent: 0.6 }, { name: 'C', changePercent: 0.4 }] });
+    const wide = scoreSentiment({ sectors: [{ name: 'A', changePercent: 0.1 }, { name: 'B', changePercent: 4 }, { name: 'C', changePercent: 0.2 }] });
+    assert.ok(factor(narrow, 'sectors').score > factor(wide, 'sectors').score);
+    assert.ok(factor(wide, 'sectors').score > 50);
+    // One sector is not a participation reading
+    assert.strictEqual(factor(scoreSentiment({ sectors: [{ name: 'A', changePercent: 1 }] }), 'sectors').score, null);
+});
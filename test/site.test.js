@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-'));
+process.env.OUTPUT_DIR = path.join(dir, 'dist');
+process.env.BUILD_MANIFEST_DIR = path.join(dir, 'manifests');
+const site = require('../lib/site');
+const { isPersistent } = require('../lib/output');
+const { stylesheet } = require('../lib/assets');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('hand-written pages are rendered through the layout from their metadata comment', () => {
+    const pages = site.generate();
+    const glossary = pages.find(page => page.path === 'glossary.html').content;
+    assert.match(glossary, /^<!DOCTYPE html>/);
+    assert.match(glossary, /<title>Stock Market Terms Glossary \| Trading Definitions &amp; Explanations<\/title>/);
+    assert.match(glossary, /<body class="page-glossary">/);
+    assert.match(glossary, /<h1>📚 Market Terms Glossary<\/h1>/);
+    assert.match(glossary, new RegExp(`<link rel="stylesheet" href="${stylesheet().href}">`));
+    assert.doesNotMatch(glossary, /<!--\ntitle:/);
+    assert.ok(pages.every(page => !page.path.startsWith('static')));
+});
+
+test('the hashed stylesheet is published with the static pages', () => {
+    const css = stylesheet();
+    assert.match(css.path, /^assets\/site\.[0-9a-f]{10}\.css$/);
+    assert.deepStrictEqual(site.staticFiles(), [...site.listFiles(site.STATIC_DIR), css.path]);
+    assert.strictEqual(site.generate().find(page => page.path === css.path).content, css.content);
+});
+
+test('only the archive is kept in the source tree', () => {
+    assert.strictEqual(isPersistent('archive/2026-10-19.html'), true);
+    assert.strictEqual(isPersistent('stock/AAPL.html'), false);
+    assert.strictEqual(isPersistent('archive.html'), false);
+});
+
+test('clean removes the output root and the build manifests', () => {
+    fs.mkdirSync(path.join(dir, 'dist', 'stock'), { recursive: true });
+    fs.mkdirSync(path.join(dir, 'manifests'), { recursive: true });
+    const log = console.log;
+    console.log = () => {};
+    try {
+        site.clean();
+    } finally {
+        console.log = log;
+    }
+    assert.strictEqual(fs.existsSync(path.join(dir, 'dist')), false);
+    assert.strictEqual(fs.existsSync(path.join(dir, 'manifests')), false);
+});
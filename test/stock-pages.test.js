@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stock-pages-'));
+process.env.PRICE_STORE_DIR = path.join(dir, 'prices');
+process.env.PRICE_STORE = 'off';
+delete process.env.FIXTURES_DIR;
+const { createContext } = require('../lib/generator');
+const stockPages = require('../generate-stock-pages');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// 2026-10-16 was a Friday; 15:30 ET is in the regular session
+const TRADED = Date.parse('2026-10-16T19:30:00Z');
+
+test('a stock page dates itself by its quote, so the as-of line is part of its hashed inputs', async () => {
+    const provider = {
+        async getQuotes(symbols) {
+            return Object.fromEntries(symbols.map(symbol => [symbol, { symbol, price: 100, changePercent: 1, volume: 10, time: TRADED }]));
+        },
+        async getExtendedQuotes() { return {}; }
+    };
+    const pages = await stockPages.generate(createContext({ provider }));
+    const page = pages.find(entry => entry.path === 'stock/AAPL.html');
+    assert.match(page.inputs.data.updated, /\(regular session\)$/);
+    assert.ok(String(page.content).includes(`<p class="as-of">${page.inputs.data.updated}</p>`));
+
+    // Without data there is nothing to date, and no build time stands in for it
+    const empty = await stockPages.generate(createContext({ provider: { ...provider, async getQuotes() { return {}; } } }));
+    assert.ok(empty.every(entry => !String(entry.content).includes('class="as-of"')));
+});
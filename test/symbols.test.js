@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const registry = require('../lib/symbols');
+
+test('validation reports missing fields, bad values and duplicates', () => {
+    const { errors } = registry.validate([
+        { symbol: 'AAPL', name: 'Apple', assetClass: 'equity', tags: [] },
+        { symbol: 'aapl', name: 'Apple again', assetClass: 'equity' },
+        { symbol: 'XYZ', assetClass: 'bond', tags: 'brief' },
+        { name: 'No symbol', assetClass: 'etf' }
+    ]);
+    assert.deepStrictEqual(errors, [
+        'aapl: duplicate of entry #1',
+        'XYZ: missing name',
+        'XYZ: unknown assetClass "bond"',
+        'XYZ: tags must be an array',
+        'entry #4: missing symbol'
+    ]);
+});
+
+test('gaps in descriptive fields and tagged delisted tickers are reported, not errors', () => {
+    const { errors, delisted, incomplete } = registry.validate([
+        { symbol: 'AAPL', name: 'Apple', assetClass: 'equity', description: 'Phones', sector: 'Technology', tags: ['brief'] },
+        { symbol: 'SPY', name: 'SPDR S&P 500', assetClass: 'etf', exchange: 'NYSE Arca' },
+        { symbol: 'OLD', name: 'Old Co', assetClass: 'equity', tags: ['stock-page'], delisted: { date: '2024-01-02', reason: 'Acquired' } }
+    ]);
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(delisted.map(entry => entry.symbol), ['OLD']);
+    assert.deepStrictEqual(incomplete, { industry: ['AAPL'], exchange: ['AAPL'], description: ['SPY'] });
+});
+
+test('symbols.json is valid and select() leaves delisted entries out', () => {
+    const entries = registry.load();
+    assert.deepStrictEqual(registry.validate(entries).errors, []);
+
+    const stockPages = registry.select({ tag: 'stock-page-2' });
+    assert.ok(stockPages.length > 0);
+    assert.ok(stockPages.every(entry => !entry.delisted && entry.tags.includes('stock-page-2')));
+    assert.ok(registry.select({ tag: 'stock-page-2', includeDelisted: true }).some(entry => entry.delisted));
+
+    assert.ok(registry.select({ assetClass: 'index' }).every(entry => entry.assetClass === 'index'));
+    assert.strictEqual(registry.get('AAPL').assetClass, 'equity');
+    assert.strictEqual(registry.get('NOT-A-TICKER'), null);
+});